@@ -11,7 +11,13 @@ import OnboardingScreen from './src/screens/OnboardingScreen';
 import SessionSummaryScreen from './src/screens/SessionSummaryScreen';
 import FavoritesScreen from './src/screens/FavoritesScreen';
 import ReviewDeletionsScreen from './src/screens/ReviewDeletionsScreen';
+import SmartFilterScreen from './src/screens/SmartFilterScreen';
+import EventsScreen from './src/screens/EventsScreen';
+import AlbumsScreen from './src/screens/AlbumsScreen';
+import SettingsScreen from './src/screens/SettingsScreen';
+import TrashScreen from './src/screens/TrashScreen';
 import { Colors } from './src/constants/colors';
+import { loadSettings } from './src/utils/settings';
 
 const Stack = createNativeStackNavigator();
 
@@ -26,6 +32,8 @@ export default function App() {
   const checkOnboardingStatus = async () => {
     try {
       const value = await AsyncStorage.getItem('swipeclean:onboarded');
+      // Screens and detection read settings synchronously, so load them before the first screen
+      await loadSettings();
       const onboarded = value === 'true';
       setHasOnboarded(onboarded);
       setInitialRoute(onboarded ? 'Dashboard' : 'Onboarding');
@@ -119,6 +127,46 @@ export default function App() {
                 headerShown: false,
               }}
             />
+            <Stack.Screen 
+              name="SmartFilter" 
+              component={SmartFilterScreen}
+              options={{
+                title: 'Smart Filter',
+                headerShown: false,
+              }}
+            />
+            <Stack.Screen 
+              name="Events" 
+              component={EventsScreen}
+              options={{
+                title: 'Trips & Events',
+                headerShown: false,
+              }}
+            />
+            <Stack.Screen 
+              name="Albums" 
+              component={AlbumsScreen}
+              options={{
+                title: 'Albums',
+                headerShown: false,
+              }}
+            />
+            <Stack.Screen 
+              name="Settings" 
+              component={SettingsScreen}
+              options={{
+                title: 'Settings',
+                headerShown: false,
+              }}
+            />
+            <Stack.Screen 
+              name="Trash" 
+              component={TrashScreen}
+              options={{
+                title: 'Trash',
+                headerShown: false,
+              }}
+            />
           </Stack.Navigator>
         </NavigationContainer>
       </SafeAreaProvider>
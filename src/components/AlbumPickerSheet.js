@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Text, FlatList, TouchableOpacity, TextInput, Modal, Alert } from 'react-native';
+import { getLibraryAlbums } from '../utils/albums';
+import { Colors } from '../constants/colors';
+
+const MAX_QUICK_ALBUMS = 5;
+
+/**
+ * Bottom sheet for filing the current photo into an album or a new one, and pinning quick albums
+ * @param {Object} props - {visible}, {quickAlbums} pinned {id, title}, {onSelect} with the album,
+ *   {onCreate} with the new album's title, {onTogglePin} with the album and {onClose}
+ */
+export default function AlbumPickerSheet({ visible, quickAlbums, onSelect, onCreate, onTogglePin, onClose }) {
+  const [albums, setAlbums] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newTitle, setNewTitle] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setNewTitle('');
+      loadAlbums();
+    }
+  }, [visible]);
+
+  const loadAlbums = async () => {
+    try {
+      setLoading(true);
+      setAlbums(await getLibraryAlbums());
+    } catch (error) {
+      console.error('Error loading albums:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const togglePin = (album, isPinned) => {
+    if (!isPinned && quickAlbums.length >= MAX_QUICK_ALBUMS) {
+      Alert.alert('Quick Albums Full', `You can pin up to ${MAX_QUICK_ALBUMS} albums. Unpin one first.`);
+      return;
+    }
+    onTogglePin(album, !isPinned);
+  };
+
+  const createAlbum = () => {
+    const title = newTitle.trim();
+    if (!title) return;
+    if (albums.some(album => album.title === title)) {
+      Alert.alert('Album Exists', `There already is an album called "${title}".`);
+      return;
+    }
+    onCreate(title);
+  };
+
+  const renderAlbum = ({ item }) => {
+    const isPinned = quickAlbums.some(album => album.id === item.id);
+
+    return (
+      <View style={styles.albumRow}>
+        <TouchableOpacity style={styles.albumInfo} onPress={() => onSelect(item)}>
+          <Text style={styles.albumTitle} numberOfLines={1}>{item.title}</Text>
+          <Text style={styles.albumDetail}>{item.assetCount ?? 0} items</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.pinButton, isPinned && styles.pinButtonActive]}
+          onPress={() => togglePin(item, isPinned)}
+        >
+          <Text style={styles.pinButtonText}>{isPinned ? '📌 Pinned' : 'Pin'}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+      <View style={styles.sheet}>
+        <View style={styles.sheetHeader}>
+          <Text style={styles.sheetTitle}>Move to Album</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.newAlbumRow}>
+          <TextInput
+            style={styles.textInput}
+            value={newTitle}
+            onChangeText={setNewTitle}
+            placeholder="New album name"
+            placeholderTextColor={Colors.textSecondary}
+            returnKeyType="done"
+            onSubmitEditing={createAlbum}
+          />
+          <TouchableOpacity
+            style={[styles.createButton, !newTitle.trim() && styles.createButtonDisabled]}
+            onPress={createAlbum}
+            disabled={!newTitle.trim()}
+          >
+            <Text style={styles.createButtonText}>Create</Text>
+          </TouchableOpacity>
+        </View>
+
+        {loading ? (
+          <Text style={styles.emptyText}>Loading albums...</Text>
+        ) : (
+          <FlatList
+            data={albums}
+            renderItem={renderAlbum}
+            keyExtractor={item => item.id}
+            ListEmptyComponent={<Text style={styles.emptyText}>No albums yet</Text>}
+          />
+        )}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    maxHeight: '70%',
+    backgroundColor: Colors.background,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 40,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  sheetTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: Colors.text,
+  },
+  closeText: {
+    fontSize: 20,
+    color: Colors.textSecondary,
+  },
+  newAlbumRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  textInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: Colors.accent,
+    backgroundColor: Colors.accent,
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: Colors.text,
+  },
+  createButton: {
+    backgroundColor: Colors.primary,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderRadius: 12,
+    marginLeft: 10,
+  },
+  createButtonDisabled: {
+    opacity: 0.4,
+  },
+  createButtonText: {
+    color: Colors.background,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  albumRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.accent,
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 8,
+  },
+  albumInfo: {
+    flex: 1,
+  },
+  albumTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  albumDetail: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  pinButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    marginLeft: 10,
+  },
+  pinButtonActive: {
+    backgroundColor: Colors.primary,
+  },
+  pinButtonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+    marginTop: 20,
+  },
+});
@@ -3,6 +3,44 @@ import { View, StyleSheet, Text } from 'react-native';
 import { Colors } from '../constants/colors';
 
 export default function DuplicateIndicator({ photo }) {
+  // Photos in a duplicate/similar/burst group show the best shot suggestion
+  if (photo.groupSize > 1) {
+    return (
+      <View style={styles.container}>
+        <View style={[styles.badge, photo.suggestedKeeper && styles.keeperBadge]}>
+          <Text style={styles.badgeText}>
+            {photo.suggestedKeeper ? `★ Best of ${photo.groupSize}` : 'Weaker copy'}
+          </Text>
+        </View>
+      </View>
+    );
+  }
+
+  // Rotated or cropped export of another photo
+  if (photo.editedFromId && !photo.isDuplicate) {
+    return (
+      <View style={styles.container}>
+        <View style={[styles.badge, styles.editedBadge]}>
+          <Text style={styles.badgeText}>
+            {photo.editKind === 'rotated' ? '↻ Rotated copy' : '✂️ Cropped copy'}
+          </Text>
+        </View>
+      </View>
+    );
+  }
+
+  if (photo.editedVersionIds?.length > 0 && !photo.isDuplicate) {
+    return (
+      <View style={styles.container}>
+        <View style={[styles.badge, styles.editedBadge]}>
+          <Text style={styles.badgeText}>
+            Original of {photo.editedVersionIds.length} edit{photo.editedVersionIds.length > 1 ? 's' : ''}
+          </Text>
+        </View>
+      </View>
+    );
+  }
+
   if (!photo.isDuplicate && !photo.duplicateCount) {
     return null;
   }
@@ -36,10 +74,15 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 5,
   },
+  keeperBadge: {
+    backgroundColor: Colors.success,
+  },
+  editedBadge: {
+    backgroundColor: Colors.warning,
+  },
   badgeText: {
     color: Colors.background,
     fontSize: 12,
     fontWeight: 'bold',
   },
 });
-
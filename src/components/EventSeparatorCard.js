@@ -0,0 +1,154 @@
+import React from 'react';
+import { View, StyleSheet, Text, TouchableOpacity, Dimensions } from 'react-native';
+import { formatDateRange } from '../utils/eventClustering';
+import { Colors } from '../constants/colors';
+
+const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
+
+const formatBytes = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+/**
+ * Card shown between two events of a chronological session
+ * @param {Object} props - {finished, next} segments, {summary} of the finished event
+ *   ({reviewed, deleted, kept, favorited, freed}), {onContinue} and {onSkip}
+ */
+export default function EventSeparatorCard({ finished, next, summary, onContinue, onSkip }) {
+  const nextCount = next.end - next.start;
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.doneIcon}>✓</Text>
+      <Text style={styles.doneTitle}>Event done</Text>
+      <Text style={styles.dateRange}>{formatDateRange(finished.startTime, finished.endTime)}</Text>
+
+      <View style={styles.summaryRow}>
+        <View style={styles.summaryBox}>
+          <Text style={styles.summaryNumber}>{summary.deleted}</Text>
+          <Text style={styles.summaryLabel}>Deleted</Text>
+        </View>
+        <View style={styles.summaryBox}>
+          <Text style={styles.summaryNumber}>{summary.kept}</Text>
+          <Text style={styles.summaryLabel}>Kept</Text>
+        </View>
+        <View style={styles.summaryBox}>
+          <Text style={styles.summaryNumber}>{summary.favorited}</Text>
+          <Text style={styles.summaryLabel}>Favorited</Text>
+        </View>
+      </View>
+      <Text style={styles.summaryDetail}>
+        {summary.reviewed} of {finished.end - finished.start} reviewed · {formatBytes(summary.freed)} to free
+      </Text>
+
+      <View style={styles.divider} />
+
+      <Text style={styles.nextLabel}>Up next</Text>
+      <Text style={styles.nextRange}>{formatDateRange(next.startTime, next.endTime)}</Text>
+      <Text style={styles.summaryDetail}>{nextCount} item{nextCount === 1 ? '' : 's'}</Text>
+
+      <TouchableOpacity style={styles.continueButton} onPress={onContinue}>
+        <Text style={styles.continueButtonText}>Start next event</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.skipButton} onPress={onSkip}>
+        <Text style={styles.skipButtonText}>Skip this event</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    position: 'absolute',
+    width: SCREEN_WIDTH * 0.9,
+    height: SCREEN_HEIGHT * 0.7,
+    alignSelf: 'center',
+    borderRadius: 20,
+    backgroundColor: Colors.accent,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  doneIcon: {
+    fontSize: 40,
+    color: Colors.primary,
+    fontWeight: 'bold',
+  },
+  doneTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: Colors.text,
+    marginTop: 8,
+  },
+  dateRange: {
+    fontSize: 14,
+    color: Colors.textSecondary,
+    marginTop: 4,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  summaryBox: {
+    alignItems: 'center',
+    marginHorizontal: 14,
+  },
+  summaryNumber: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: Colors.primary,
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  summaryDetail: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    marginTop: 10,
+  },
+  divider: {
+    width: '60%',
+    height: 1,
+    backgroundColor: Colors.primary,
+    opacity: 0.3,
+    marginVertical: 24,
+  },
+  nextLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: Colors.textSecondary,
+    textTransform: 'uppercase',
+  },
+  nextRange: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: Colors.text,
+    marginTop: 4,
+  },
+  continueButton: {
+    backgroundColor: Colors.primary,
+    paddingHorizontal: 32,
+    paddingVertical: 14,
+    borderRadius: 24,
+    marginTop: 24,
+  },
+  continueButtonText: {
+    color: Colors.background,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  skipButton: {
+    paddingVertical: 12,
+    marginTop: 4,
+  },
+  skipButtonText: {
+    color: Colors.textSecondary,
+    fontSize: 14,
+  },
+});
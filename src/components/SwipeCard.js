@@ -9,14 +9,57 @@ import Animated, {
   runOnJS,
 } from 'react-native-reanimated';
 import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+import { useVideoPlayer, VideoView } from 'expo-video';
 import DuplicateIndicator from './DuplicateIndicator';
-import { Colors } from '../constants/colors';
+import { Colors, SwipeActions, SwipeDirections } from '../constants/colors';
+import { isVideo, formatDuration } from '../utils/media';
+import { useSettings, SettingKey } from '../utils/settings';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
-const SWIPE_THRESHOLD = SCREEN_WIDTH * 0.3;
 const ROTATION_MAX = 15;
 
-export default function SwipeCard({ photo, onSwipe, index, total }) {
+// Overlay shown while dragging towards a direction, depends on the action mapped to it
+const ACTION_OVERLAYS = {
+  [SwipeActions.DELETE]: { label: 'DELETE', style: 'deleteOverlay' },
+  [SwipeActions.KEEP]: { label: 'KEEP', style: 'keepOverlay' },
+  [SwipeActions.FAVORITE]: { label: '⭐ FAVORITE', style: 'favoriteOverlay' },
+  [SwipeActions.LATER]: { label: '🤔 LATER', style: 'laterOverlay' },
+};
+
+/**
+ * Muted, looping inline preview so a clip can be judged without opening it
+ */
+function VideoPreview({ uri, onError }) {
+  const player = useVideoPlayer(uri, (videoPlayer) => {
+    videoPlayer.loop = true;
+    videoPlayer.muted = true;
+    videoPlayer.play();
+  });
+
+  useEffect(() => {
+    const subscription = player.addListener('statusChange', ({ status, error }) => {
+      if (status === 'error') {
+        console.error('Video load error for URI:', uri, error);
+        onError();
+      }
+    });
+    return () => subscription.remove();
+  }, [player]);
+
+  return (
+    <VideoView
+      player={player}
+      style={styles.image}
+      contentFit="cover"
+      nativeControls={false}
+    />
+  );
+}
+
+export default function SwipeCard({ photo, onSwipe, onLongPress, index, total }) {
+  const settings = useSettings();
+  const swipeThreshold = SCREEN_WIDTH * settings[SettingKey.SWIPE_THRESHOLD];
+  const gestures = settings[SettingKey.GESTURES];
   const translateX = useSharedValue(0);
   const translateY = useSharedValue(0);
   const opacity = useSharedValue(1);
@@ -83,24 +126,30 @@ export default function SwipeCard({ photo, onSwipe, index, total }) {
       const swipeDistanceX = Math.abs(event.translationX);
       const swipeDistanceY = Math.abs(event.translationY);
       
-      if (swipeDistanceX > SWIPE_THRESHOLD) {
-        // Horizontal swipe - delete (left) or keep (right)
-        const direction = event.translationX > 0 ? 'right' : 'left';
-        const action = direction === 'right' ? 'keep' : 'delete';
-        
+      // The dominant axis decides the direction, the gesture mapping decides the action
+      let direction = null;
+      if (swipeDistanceX >= swipeDistanceY && swipeDistanceX > swipeThreshold) {
+        direction = event.translationX > 0 ? SwipeDirections.RIGHT : SwipeDirections.LEFT;
+      } else if (swipeDistanceY > swipeDistanceX && swipeDistanceY > swipeThreshold) {
+        direction = event.translationY > 0 ? SwipeDirections.DOWN : SwipeDirections.UP;
+      }
+      
+      if (direction === SwipeDirections.LEFT || direction === SwipeDirections.RIGHT) {
         translateX.value = withSpring(
-          direction === 'right' ? SCREEN_WIDTH * 1.5 : -SCREEN_WIDTH * 1.5,
+          direction === SwipeDirections.RIGHT ? SCREEN_WIDTH * 1.5 : -SCREEN_WIDTH * 1.5,
           { damping: 15 }
         );
         opacity.value = withTiming(0, { duration: 200 });
         
-        runOnJS(onSwipe)(action, photo);
-      } else if (swipeDistanceY > SWIPE_THRESHOLD && event.translationY < 0) {
-        // Upward swipe - favorite
-        translateY.value = withSpring(-SCREEN_HEIGHT * 1.5, { damping: 15 });
+        runOnJS(onSwipe)(gestures[direction], photo);
+      } else if (direction) {
+        translateY.value = withSpring(
+          direction === SwipeDirections.DOWN ? SCREEN_HEIGHT * 1.5 : -SCREEN_HEIGHT * 1.5,
+          { damping: 15 }
+        );
         opacity.value = withTiming(0, { duration: 200 });
         
-        runOnJS(onSwipe)('favorite', photo);
+        runOnJS(onSwipe)(gestures[direction], photo);
       } else {
         // Return to center
         translateX.value = withSpring(0, { damping: 15 });
@@ -109,6 +158,13 @@ export default function SwipeCard({ photo, onSwipe, index, total }) {
       }
     });
 
+  // Holding the card still opens the album sheet, moving it first makes it a swipe
+  const longPressGesture = Gesture.LongPress()
+    .enabled(!!onLongPress)
+    .onStart(() => {
+      runOnJS(onLongPress)(photo);
+    });
+
   const cardStyle = useAnimatedStyle(() => {
     const rotateZ = (translateX.value / SCREEN_WIDTH) * ROTATION_MAX;
     
@@ -123,31 +179,53 @@ export default function SwipeCard({ photo, onSwipe, index, total }) {
     };
   });
 
-  const deleteOverlayStyle = useAnimatedStyle(() => {
+  const leftOverlayStyle = useAnimatedStyle(() => {
     const opacity = translateX.value < 0 
-      ? Math.min(Math.abs(translateX.value) / SWIPE_THRESHOLD, 1) 
+      ? Math.min(Math.abs(translateX.value) / swipeThreshold, 1) 
       : 0;
     return { opacity };
   });
 
-  const keepOverlayStyle = useAnimatedStyle(() => {
+  const rightOverlayStyle = useAnimatedStyle(() => {
     const opacity = translateX.value > 0 
-      ? Math.min(translateX.value / SWIPE_THRESHOLD, 1) 
+      ? Math.min(translateX.value / swipeThreshold, 1) 
       : 0;
     return { opacity };
   });
 
-  const favoriteOverlayStyle = useAnimatedStyle(() => {
+  const upOverlayStyle = useAnimatedStyle(() => {
     const opacity = translateY.value < 0 
-      ? Math.min(Math.abs(translateY.value) / SWIPE_THRESHOLD, 1) 
+      ? Math.min(Math.abs(translateY.value) / swipeThreshold, 1) 
       : 0;
     return { opacity };
   });
 
+  const downOverlayStyle = useAnimatedStyle(() => {
+    const opacity = translateY.value > 0 
+      ? Math.min(translateY.value / swipeThreshold, 1) 
+      : 0;
+    return { opacity };
+  });
+
+  const overlayStyles = [
+    [SwipeDirections.LEFT, leftOverlayStyle],
+    [SwipeDirections.RIGHT, rightOverlayStyle],
+    [SwipeDirections.UP, upOverlayStyle],
+    [SwipeDirections.DOWN, downOverlayStyle],
+  ];
+
+  const mediaBadge = [
+    isVideo(photo) && `▶ ${formatDuration(photo.duration)}`,
+    photo.isLivePhoto && !isVideo(photo) && '◉ LIVE',
+    photo.twins?.length > 0 && [photo.twinFormat, ...photo.twins.map(t => t.twinFormat)].join(' + '),
+  ].filter(Boolean).join(' · ');
+
   return (
-    <GestureDetector gesture={panGesture}>
+    <GestureDetector gesture={Gesture.Race(panGesture, longPressGesture)}>
       <Animated.View style={[styles.card, cardStyle]}>
-        {imageUri ? (
+        {imageUri && isVideo(photo) && !imageError ? (
+          <VideoPreview uri={imageUri} onError={() => setImageError(true)} />
+        ) : imageUri && !isVideo(photo) ? (
           <Image 
             source={{ uri: imageUri }} 
             style={styles.image}
@@ -165,41 +243,36 @@ export default function SwipeCard({ photo, onSwipe, index, total }) {
           <View style={styles.imagePlaceholder}>
             <ActivityIndicator size="large" color={Colors.primary} />
             {imageError && (
-              <Text style={styles.errorText}>Failed to load image</Text>
+              <Text style={styles.errorText}>
+                {isVideo(photo) ? 'Failed to load video' : 'Failed to load image'}
+              </Text>
             )}
           </View>
         )}
         
-        {/* Overlay indicators */}
-        <Animated.View 
-          style={[
-            styles.overlay, 
-            styles.deleteOverlay,
-            deleteOverlayStyle
-          ]}
-        >
-          <Text style={styles.overlayText}>DELETE</Text>
-        </Animated.View>
-        
-        <Animated.View 
-          style={[
-            styles.overlay, 
-            styles.keepOverlay,
-            keepOverlayStyle
-          ]}
-        >
-          <Text style={styles.overlayText}>KEEP</Text>
-        </Animated.View>
+        {/* Overlay indicators, labelled with the action mapped to each direction */}
+        {overlayStyles.map(([direction, overlayStyle]) => {
+          const overlay = ACTION_OVERLAYS[gestures[direction]];
+          return (
+            <Animated.View 
+              key={direction}
+              style={[
+                styles.overlay, 
+                styles[overlay.style],
+                overlayStyle
+              ]}
+            >
+              <Text style={styles.overlayText}>{overlay.label}</Text>
+            </Animated.View>
+          );
+        })}
         
-        <Animated.View 
-          style={[
-            styles.overlay, 
-            styles.favoriteOverlay,
-            favoriteOverlayStyle
-          ]}
-        >
-          <Text style={styles.overlayText}>⭐ FAVORITE</Text>
-        </Animated.View>
+        {/* Video length, Live Photo and capture formats */}
+        {mediaBadge.length > 0 && (
+          <View style={styles.videoBadge}>
+            <Text style={styles.videoBadgeText}>{mediaBadge}</Text>
+          </View>
+        )}
         
         {/* Duplicate indicator */}
         <DuplicateIndicator photo={photo} />
@@ -252,6 +325,20 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     backgroundColor: Colors.accent,
   },
+  videoBadge: {
+    position: 'absolute',
+    top: 20,
+    left: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  videoBadgeText: {
+    color: Colors.background,
+    fontSize: 12,
+    fontWeight: '600',
+  },
   errorText: {
     marginTop: 12,
     fontSize: 14,
@@ -280,6 +367,10 @@ const styles = StyleSheet.create({
     borderColor: Colors.warning,
     backgroundColor: `${Colors.warning}20`,
   },
+  laterOverlay: {
+    borderColor: Colors.primary,
+    backgroundColor: `${Colors.primary}20`,
+  },
   overlayText: {
     fontSize: 32,
     fontWeight: 'bold',
@@ -1,63 +1,44 @@
-import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, TouchableOpacity, Text } from 'react-native';
-import { getDeletedPhotos, restorePhoto } from '../utils/storage';
+import React from 'react';
+import { View, StyleSheet, TouchableOpacity, Text, Alert } from 'react-native';
+import { useUndoJournal } from '../utils/undoJournal';
 import { Colors } from '../constants/colors';
 
-export default function UndoButton({ onUndo }) {
-  const [recentDeleted, setRecentDeleted] = useState(null);
-  const [visible, setVisible] = useState(false);
+const SEVERAL_STEPS = 5;
 
-  useEffect(() => {
-    checkRecentDeletions();
-    const interval = setInterval(checkRecentDeletions, 1000);
-    return () => clearInterval(interval);
-  }, []);
+/**
+ * Undo and redo buttons for the shared journal, disabled while there is nothing to undo or redo
+ * so the row around them keeps its layout. A tap takes one step, holding offers several.
+ * @param {Object} props - {onUndo} and {onRedo}, called with the number of steps
+ */
+export default function UndoButton({ onUndo, onRedo }) {
+  const { undoCount, redoCount } = useUndoJournal();
 
-  const checkRecentDeletions = async () => {
-    try {
-      const deleted = await getDeletedPhotos();
-      if (deleted.length > 0) {
-        const mostRecent = deleted[deleted.length - 1];
-        const timeSinceDeletion = Date.now() - mostRecent.deletedAt;
-        
-        // Show undo button if deleted within last 5 seconds
-        if (timeSinceDeletion < 5000) {
-          setRecentDeleted(mostRecent);
-          setVisible(true);
-        } else {
-          setVisible(false);
-        }
-      } else {
-        setVisible(false);
-      }
-    } catch (error) {
-      console.error('Error checking deleted photos:', error);
+  const chooseSteps = (title, count, run) => {
+    const buttons = [{ text: 'Cancel', style: 'cancel' }];
+    if (count > SEVERAL_STEPS) {
+      buttons.push({ text: `Last ${SEVERAL_STEPS}`, onPress: () => run(SEVERAL_STEPS) });
     }
+    buttons.push({ text: `All ${count}`, onPress: () => run(count) });
+    Alert.alert(title, `${count} decision${count === 1 ? '' : 's'} available`, buttons);
   };
 
-  const handleUndo = async () => {
-    if (!recentDeleted) return;
-
-    try {
-      await restorePhoto(recentDeleted.id);
-      setVisible(false);
-      
-      if (onUndo) {
-        onUndo(recentDeleted);
-      }
-    } catch (error) {
-      console.error('Error restoring photo:', error);
-    }
-  };
-
-  if (!visible) {
-    return null;
-  }
-
   return (
     <View style={styles.container}>
-      <TouchableOpacity style={styles.button} onPress={handleUndo}>
-        <Text style={styles.buttonText}>↶ Undo Delete</Text>
+      <TouchableOpacity
+        style={[styles.undoButton, undoCount === 0 && styles.buttonDisabled]}
+        onPress={() => onUndo(1)}
+        onLongPress={() => chooseSteps('Undo', undoCount, onUndo)}
+        disabled={undoCount === 0}
+      >
+        <Text style={styles.buttonText}>↶</Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={[styles.redoButton, redoCount === 0 && styles.buttonDisabled]}
+        onPress={() => onRedo(1)}
+        onLongPress={() => chooseSteps('Redo', redoCount, onRedo)}
+        disabled={redoCount === 0}
+      >
+        <Text style={styles.buttonText}>↷</Text>
       </TouchableOpacity>
     </View>
   );
@@ -65,27 +46,45 @@ export default function UndoButton({ onUndo }) {
 
 const styles = StyleSheet.create({
   container: {
-    position: 'absolute',
-    top: 100,
-    left: 20,
-    right: 20,
-    zIndex: 1000,
+    flexDirection: 'row',
+    alignItems: 'center',
   },
-  button: {
-    backgroundColor: Colors.primary,
-    padding: 12,
-    borderRadius: 24,
+  undoButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(255, 149, 0, 0.9)',
+    justifyContent: 'center',
     alignItems: 'center',
     shadowColor: '#000',
     shadowOffset: { width: 0, height: 2 },
     shadowOpacity: 0.25,
     shadowRadius: 4,
-    elevation: 5,
+    elevation: 3,
+    marginHorizontal: 12,
+  },
+  redoButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(255, 149, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 3,
+    marginHorizontal: 12,
+  },
+  buttonDisabled: {
+    opacity: 0.3,
+    elevation: 0,
+    shadowOpacity: 0,
   },
   buttonText: {
     color: Colors.background,
-    fontSize: 14,
+    fontSize: 22,
     fontWeight: '600',
   },
 });
-
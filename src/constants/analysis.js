@@ -0,0 +1,13 @@
+export const AnalysisPhase = {
+  LOADING: 'loading',
+  ANALYZING: 'analyzing',
+  GROUPING: 'grouping',
+  DONE: 'done',
+};
+
+export const AnalysisPhaseLabels = {
+  [AnalysisPhase.LOADING]: 'Loading photos from library...',
+  [AnalysisPhase.ANALYZING]: 'Analyzing photos...',
+  [AnalysisPhase.GROUPING]: 'Finding duplicates...',
+  [AnalysisPhase.DONE]: 'Done',
+};
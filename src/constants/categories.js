@@ -0,0 +1,16 @@
+// Ids of the built-in photo categories (see src/detectors for the detectors behind them)
+export const PhotoCategory = {
+  DUPLICATE: 'duplicate',
+  SIMILAR: 'similar',
+  SCREENSHOT: 'screenshot',
+  LOW_QUALITY: 'low_quality',
+  BURST: 'burst',
+  OLD_UNUSED: 'old_unused',
+  ACCIDENTAL: 'accidental',
+  LARGE_FILE: 'large_file',
+  DOCUMENT: 'document',
+  EDITED_COPY: 'edited_copy',
+  LARGE_VIDEO: 'large_video',
+  SCREEN_RECORDING: 'screen_recording',
+  CAPTURE_TWIN: 'capture_twin',
+};
@@ -18,5 +18,13 @@ export const SwipeActions = {
   DELETE: 'delete',
   KEEP: 'keep',
   FAVORITE: 'favorite',
+  LATER: 'later',
+};
+
+export const SwipeDirections = {
+  LEFT: 'left',
+  RIGHT: 'right',
+  UP: 'up',
+  DOWN: 'down',
 };
 
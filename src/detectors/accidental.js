@@ -0,0 +1,18 @@
+import { PhotoCategory } from '../constants/categories';
+import { DetectorCost } from './registry';
+
+// Pocket photos, covered lens and blown-out frames (from the exposure histogram)
+export default {
+  id: PhotoCategory.ACCIDENTAL,
+  label: 'Accidental',
+  icon: '🌑',
+  cost: DetectorCost.PIXELS,
+  priority: 8,
+  analyze: (photo) => !!photo.accidentalReason,
+  mode: {
+    key: 'accidental',
+    subtitle: 'Pocket & black shots',
+    // Most certain pocket/black/white shots first
+    sort: (a, b) => (b.accidentalConfidence || 0) - (a.accidentalConfidence || 0),
+  },
+};
@@ -0,0 +1,13 @@
+import { PhotoCategory } from '../constants/categories';
+import { DetectorCost } from './registry';
+
+// Shots of one burst: marked by the camera, or three or more near-identical shots within a minute
+export default {
+  id: PhotoCategory.BURST,
+  label: 'Bursts',
+  icon: '📸',
+  cost: DetectorCost.LIBRARY,
+  priority: 0,
+  analyze: (photo, context) => photo.burstMemberIds?.length > 0 || context.similar.length > 2,
+  mode: null, // Reviewed in the duplicates mode
+};
@@ -0,0 +1,20 @@
+import { PhotoCategory } from '../constants/categories';
+import { DetectorCost } from './registry';
+
+// The same capture saved in several formats: RAW+JPEG, HEIC+JPEG, Live Photo still + clip
+export default {
+  id: PhotoCategory.CAPTURE_TWIN,
+  label: 'Format Twins',
+  icon: '🎞️',
+  cost: DetectorCost.METADATA,
+  priority: 7,
+  analyze: (photo) => photo.captureTwinIds?.length > 0,
+  mode: {
+    key: 'twins',
+    subtitle: 'RAW+JPEG & Live pairs',
+    // Members of one capture stay together, the format worth keeping first
+    sort: (a, b) =>
+      String(a.twinPrimaryId).localeCompare(String(b.twinPrimaryId)) ||
+      (a.twinPrimaryId === a.id ? 0 : 1) - (b.twinPrimaryId === b.id ? 0 : 1),
+  },
+};
@@ -0,0 +1,64 @@
+import { PhotoCategory } from '../constants/categories';
+import { DetectorCost } from './registry';
+
+const DOCUMENT_CONFIDENCE_THRESHOLD = 0.6;
+const RECEIPT_ASPECT = 1.9; // Long edge / short edge of a receipt strip
+const WHITEBOARD_MAX_EDGE_DENSITY = 0.08; // A few marker strokes on a large board
+const CAMERA_ASPECTS = [1, 4 / 3, 3 / 2, 16 / 9];
+
+/**
+ * Decide whether a photo shows paperwork, using the layout metrics from the pixel analysis
+ * @returns {Object|null} {kind ('receipt' | 'whiteboard' | 'document'), confidence} or null
+ */
+function assessDocument(photo) {
+  // Screenshots are full of text too, but they have their own category
+  if (typeof photo.documentLikelihood !== 'number' || photo.screenshotSignal) {
+    return null;
+  }
+
+  const longEdge = Math.max(photo.width, photo.height);
+  const shortEdge = Math.min(photo.width, photo.height);
+  const aspect = shortEdge > 0 ? longEdge / shortEdge : 0;
+
+  // Scanner apps crop to the page, so an aspect no camera produces is a hint on its own
+  let aspectBonus = 0;
+  if (aspect >= RECEIPT_ASPECT) {
+    aspectBonus = 0.1;
+  } else if (aspect > 0 && !CAMERA_ASPECTS.some(cameraAspect => Math.abs(aspect - cameraAspect) < 0.02)) {
+    aspectBonus = 0.05;
+  }
+
+  const confidence = Math.min(1, photo.documentLikelihood + aspectBonus);
+  if (confidence < DOCUMENT_CONFIDENCE_THRESHOLD) {
+    return null;
+  }
+
+  let kind = 'document';
+  if (aspect >= RECEIPT_ASPECT) {
+    kind = 'receipt';
+  } else if (photo.edgeDensity < WHITEBOARD_MAX_EDGE_DENSITY) {
+    kind = 'whiteboard';
+  }
+  return { kind, confidence: Math.round(confidence * 1000) / 1000 };
+}
+
+// Receipts, slides, whiteboards and paperwork (edge/contrast statistics, no OCR)
+export default {
+  id: PhotoCategory.DOCUMENT,
+  label: 'Documents & Receipts',
+  icon: '🧾',
+  cost: DetectorCost.PIXELS,
+  priority: 2,
+  analyze: (photo) => {
+    const document = assessDocument(photo);
+    return document
+      ? { documentKind: document.kind, documentConfidence: document.confidence }
+      : false;
+  },
+  mode: {
+    key: 'documents',
+    subtitle: 'Receipts, slides & notes',
+    // Clearest paperwork first
+    sort: (a, b) => (b.documentConfidence || 0) - (a.documentConfidence || 0),
+  },
+};
@@ -0,0 +1,23 @@
+import { PhotoCategory } from '../constants/categories';
+import { DetectorCost } from './registry';
+
+// Copies of the same image anywhere in the library (matched by perceptual hash or filename)
+export default {
+  id: PhotoCategory.DUPLICATE,
+  label: 'Duplicates',
+  icon: '🔄',
+  cost: DetectorCost.LIBRARY,
+  priority: 10,
+  analyze: (photo, context) => context.duplicates.length > 0,
+  mode: {
+    key: 'duplicates',
+    subtitle: 'Remove copies',
+    // Similar and burst shots are reviewed together with exact copies
+    filter: (photo) => photo.isDuplicate || !!photo.groupId ||
+      photo.categories?.includes(PhotoCategory.DUPLICATE) ||
+      photo.categories?.includes(PhotoCategory.SIMILAR),
+    // Keep each group together so copies are swiped back to back, best shot first
+    sort: (a, b) =>
+      (a.groupId || '').localeCompare(b.groupId || '') || (a.groupRank || 0) - (b.groupRank || 0),
+  },
+};
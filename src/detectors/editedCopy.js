@@ -0,0 +1,28 @@
+import { PhotoCategory } from '../constants/categories';
+import { DetectorCost } from './registry';
+
+/**
+ * Id of the original an edited copy belongs to, so originals and their edits sort together
+ */
+function originalIdOf(photo) {
+  return String(photo.editedFromId || photo.id);
+}
+
+// Rotated and cropped exports of another photo (matched through rotated/center-cropped hashes)
+export default {
+  id: PhotoCategory.EDITED_COPY,
+  label: 'Edited Copies',
+  icon: '✂️',
+  cost: DetectorCost.LIBRARY,
+  priority: 6,
+  analyze: (photo) => !!photo.editedFromId,
+  mode: {
+    key: 'edited',
+    subtitle: 'Crops & rotations',
+    // Originals are shown too, so each edit can be compared with what it was made from
+    filter: (photo) => !!photo.editedFromId || photo.editedVersionIds?.length > 0,
+    // Original first, then its edits
+    sort: (a, b) =>
+      originalIdOf(a).localeCompare(originalIdOf(b)) || (a.editedFromId ? 1 : 0) - (b.editedFromId ? 1 : 0),
+  },
+};
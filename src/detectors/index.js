@@ -0,0 +1,34 @@
+// Built-in detectors, registered in the order their cleanup modes appear on the dashboard
+
+import { registerDetector } from './registry';
+import screenshot from './screenshot';
+import duplicate from './duplicate';
+import largeFile from './largeFile';
+import largeVideo from './largeVideo';
+import screenRecording from './screenRecording';
+import oldUnused from './oldUnused';
+import lowQuality from './lowQuality';
+import accidental from './accidental';
+import document from './document';
+import editedCopy from './editedCopy';
+import captureTwin from './captureTwin';
+import similar from './similar';
+import burst from './burst';
+
+[
+  screenshot,
+  duplicate,
+  editedCopy,
+  captureTwin,
+  largeFile,
+  largeVideo,
+  screenRecording,
+  oldUnused,
+  lowQuality,
+  accidental,
+  document,
+  similar,
+  burst,
+].forEach(registerDetector);
+
+export * from './registry';
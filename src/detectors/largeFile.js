@@ -0,0 +1,21 @@
+import { PhotoCategory } from '../constants/categories';
+import { isVideo } from '../utils/media';
+import { getSetting, SettingKey } from '../utils/settings';
+import { DetectorCost } from './registry';
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// Photos larger than the large file setting, 5MB by default (videos have their own, much higher bar)
+export default {
+  id: PhotoCategory.LARGE_FILE,
+  label: 'Large Files',
+  icon: '📦',
+  cost: DetectorCost.METADATA,
+  priority: 0,
+  analyze: (photo) => !isVideo(photo) && (photo.size || 0) > getSetting(SettingKey.LARGE_FILE_MB) * BYTES_PER_MB,
+  mode: {
+    key: 'large',
+    subtitle: 'Save space',
+    sort: (a, b) => (b.size || 0) - (a.size || 0), // Largest first
+  },
+};
@@ -0,0 +1,20 @@
+import { PhotoCategory } from '../constants/categories';
+import { isVideo } from '../utils/media';
+import { DetectorCost } from './registry';
+
+const LARGE_VIDEO_BYTES = 100 * 1024 * 1024;
+
+// Videos larger than 100MB, usually the biggest single items in a library
+export default {
+  id: PhotoCategory.LARGE_VIDEO,
+  label: 'Large Videos',
+  icon: '🎬',
+  cost: DetectorCost.METADATA,
+  priority: 4,
+  analyze: (photo) => isVideo(photo) && (photo.size || 0) > LARGE_VIDEO_BYTES,
+  mode: {
+    key: 'largevideos',
+    subtitle: 'Biggest space savers',
+    sort: (a, b) => (b.size || 0) - (a.size || 0), // Largest first
+  },
+};
@@ -0,0 +1,58 @@
+import { PhotoCategory } from '../constants/categories';
+import { isVideo } from '../utils/media';
+import { DetectorCost } from './registry';
+
+const BLUR_CONFIDENCE_THRESHOLD = 0.5; // Blur confidence from which a photo counts as low quality
+const MIN_USEFUL_PIXELS = 640 * 480; // Anything smaller is low resolution by today's standards
+
+/**
+ * Decide whether a photo is low quality
+ * Pixel sharpness is preferred, file size per pixel is only a fallback when it wasn't measured
+ * @returns {Object|null} {reason, confidence} or null when the photo looks fine
+ */
+function assessLowQuality(photo) {
+  // Video bitrates say nothing about sharpness
+  if (isVideo(photo)) return null;
+
+  const pixels = photo.width * photo.height;
+  
+  if (typeof photo.blurConfidence === 'number') {
+    if (photo.blurConfidence >= BLUR_CONFIDENCE_THRESHOLD) {
+      return { reason: 'blur', confidence: photo.blurConfidence };
+    }
+    if (pixels > 0 && pixels < MIN_USEFUL_PIXELS) {
+      return { reason: 'low_resolution', confidence: 1 - pixels / MIN_USEFUL_PIXELS };
+    }
+    return null;
+  }
+  
+  if (pixels > 0) {
+    const bytesPerPixel = photo.size / pixels;
+    // Very small files or very low bytes per pixel indicates compression/low quality
+    if (photo.size < 50000 || (pixels > 1000000 && bytesPerPixel < 0.1)) {
+      return { reason: 'file_size', confidence: 0.5 };
+    }
+  }
+  return null;
+}
+
+// Blurred, shaken or tiny photos
+export default {
+  id: PhotoCategory.LOW_QUALITY,
+  label: 'Low Quality',
+  icon: '🌫️',
+  cost: DetectorCost.PIXELS,
+  priority: 5,
+  analyze: (photo) => {
+    const lowQuality = assessLowQuality(photo);
+    return lowQuality
+      ? { lowQualityReason: lowQuality.reason, lowQualityConfidence: lowQuality.confidence }
+      : false;
+  },
+  mode: {
+    key: 'lowquality',
+    subtitle: 'Blurry photos',
+    // Most obviously blurred first
+    sort: (a, b) => (b.lowQualityConfidence || 0) - (a.lowQualityConfidence || 0),
+  },
+};
@@ -0,0 +1,24 @@
+import { PhotoCategory } from '../constants/categories';
+import { getSetting, SettingKey } from '../utils/settings';
+import { DetectorCost } from './registry';
+
+// Photos older than the old photo setting, a year by default
+export default {
+  id: PhotoCategory.OLD_UNUSED,
+  label: 'Old Photos',
+  icon: '📅',
+  cost: DetectorCost.METADATA,
+  priority: 0,
+  analyze: (photo, context) => {
+    const daysSinceCreation = (context.now - photo.creationTime) / (1000 * 60 * 60 * 24);
+    return daysSinceCreation > getSetting(SettingKey.OLD_AFTER_DAYS);
+  },
+  mode: {
+    key: 'old',
+    get subtitle() {
+      const days = getSetting(SettingKey.OLD_AFTER_DAYS);
+      return days % 365 === 0 ? `${days / 365}+ years old` : `${days}+ days old`;
+    },
+    sort: (a, b) => a.creationTime - b.creationTime, // Oldest first
+  },
+};
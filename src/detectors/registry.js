@@ -0,0 +1,112 @@
+// Detector registry
+// Every photo category is backed by a detector that declares how to recognise it and,
+// optionally, the cleanup mode offered for it. Detection, grouping, the dashboard grid and the
+// swipe screen filter are all generated from this list.
+
+// Relative cost of running a detector, cheaper detectors run first
+export const DetectorCost = {
+  METADATA: 1, // Asset fields only
+  PIXELS: 2, // Needs thumbnail metrics from the pixel analysis
+  LIBRARY: 3, // Needs relations to other photos (duplicates, similar shots)
+};
+
+export const ALL_PHOTOS_MODE = {
+  key: 'all',
+  label: 'All Photos',
+  icon: '🖼️',
+  subtitle: 'Complete cleanup',
+  detectorId: null,
+};
+
+const detectors = [];
+
+/**
+ * Register a detector
+ * @param {Object} detector - {id, label, icon, cost, priority, analyze(photo, context), mode}
+ *   analyze returns false/null for no match, true or an object of fields to attach to the photo.
+ *   mode is null or {key, subtitle, filter?, sort?}; filter defaults to the detector's category.
+ */
+export function registerDetector(detector) {
+  if (!detector.id || typeof detector.analyze !== 'function') {
+    throw new Error('Detectors need an id and an analyze function');
+  }
+  if (detectors.some(existing => existing.id === detector.id)) {
+    throw new Error(`Detector "${detector.id}" is already registered`);
+  }
+  detectors.push(detector);
+}
+
+/**
+ * Get registered detectors in registration order
+ */
+export function getDetectors() {
+  return [...detectors];
+}
+
+/**
+ * Get registered detectors ordered by cost, the order they run in
+ */
+export function getDetectorsByCost() {
+  return [...detectors].sort((a, b) => (a.cost || 0) - (b.cost || 0));
+}
+
+/**
+ * Get a detector by category id
+ */
+export function getDetector(id) {
+  return detectors.find(detector => detector.id === id) || null;
+}
+
+/**
+ * Get all cleanup modes: "All Photos" first, then one per detector that offers a mode
+ * @returns {Array} [{key, label, icon, subtitle, detectorId, filter?, sort?}]
+ */
+export function getCleanupModes() {
+  return [
+    ALL_PHOTOS_MODE,
+    ...detectors
+      .filter(detector => detector.mode)
+      .map(detector => ({
+        label: detector.label,
+        icon: detector.icon,
+        ...detector.mode,
+        detectorId: detector.id,
+      })),
+  ];
+}
+
+/**
+ * Get a cleanup mode by key
+ */
+export function getCleanupMode(key) {
+  return getCleanupModes().find(mode => mode.key === key) || null;
+}
+
+/**
+ * Priority of a photo in the "All Photos" mode, the sum of its detectors' priorities
+ */
+function getPhotoPriority(photo) {
+  return (photo.categories || []).reduce((score, category) => {
+    const detector = getDetector(category);
+    return score + (detector?.priority || 0);
+  }, 0);
+}
+
+/**
+ * Select and order the photos for a cleanup mode
+ * @param {Array} photos - Categorized photos
+ * @param {string} modeKey - Mode key, unknown keys fall back to all photos
+ * @returns {Array} Photos to review, in review order
+ */
+export function selectPhotosForMode(photos, modeKey) {
+  const mode = getCleanupMode(modeKey) || ALL_PHOTOS_MODE;
+
+  if (!mode.detectorId) {
+    // Prioritize duplicates, accidental and low-quality photos
+    return [...photos].sort((a, b) => getPhotoPriority(b) - getPhotoPriority(a));
+  }
+
+  const filter = mode.filter || (photo => photo.categories?.includes(mode.detectorId));
+  const selected = photos.filter(filter);
+  return mode.sort ? selected.sort(mode.sort) : selected;
+}
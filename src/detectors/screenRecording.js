@@ -0,0 +1,23 @@
+import { PhotoCategory } from '../constants/categories';
+import { detectScreenRecording } from '../utils/screenshotDetection';
+import { isVideo } from '../utils/media';
+import { DetectorCost } from './registry';
+
+// Screen recordings (album, filename, then dimensions)
+export default {
+  id: PhotoCategory.SCREEN_RECORDING,
+  label: 'Screen Recordings',
+  icon: '📹',
+  cost: DetectorCost.METADATA,
+  priority: 3,
+  analyze: (photo, context) => {
+    if (!isVideo(photo)) return false;
+    const recording = detectScreenRecording(photo, context.screenshotContext);
+    return recording.isScreenRecording ? { screenRecordingSignal: recording.signal } : false;
+  },
+  mode: {
+    key: 'screenrecordings',
+    subtitle: 'Recorded screens',
+    sort: (a, b) => (b.size || 0) - (a.size || 0), // Largest first
+  },
+};
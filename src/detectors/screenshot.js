@@ -0,0 +1,22 @@
+import { PhotoCategory } from '../constants/categories';
+import { detectScreenshot } from '../utils/screenshotDetection';
+import { isVideo } from '../utils/media';
+import { DetectorCost } from './registry';
+
+// Screenshots (media subtype, album, filename, then dimensions)
+export default {
+  id: PhotoCategory.SCREENSHOT,
+  label: 'Screenshots',
+  icon: '📱',
+  cost: DetectorCost.METADATA,
+  priority: 3,
+  analyze: (photo, context) => {
+    if (isVideo(photo)) return false;
+    const screenshot = detectScreenshot(photo, context.screenshotContext);
+    return screenshot.isScreenshot ? { screenshotSignal: screenshot.signal } : false;
+  },
+  mode: {
+    key: 'screenshots',
+    subtitle: 'Quick cleanup',
+  },
+};
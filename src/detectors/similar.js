@@ -0,0 +1,13 @@
+import { PhotoCategory } from '../constants/categories';
+import { DetectorCost } from './registry';
+
+// One or two near-identical shots of the same scene taken within a minute
+export default {
+  id: PhotoCategory.SIMILAR,
+  label: 'Similar',
+  icon: '👯',
+  cost: DetectorCost.LIBRARY,
+  priority: 0,
+  analyze: (photo, context) => context.similar.length > 0 && context.similar.length <= 2,
+  mode: null, // Reviewed in the duplicates mode
+};
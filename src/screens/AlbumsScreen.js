@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Text, FlatList, TouchableOpacity, Alert } from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import * as MediaLibrary from 'expo-media-library';
+import { getLibraryAlbums } from '../utils/albums';
+import { getProtectedAlbums, setAlbumProtected } from '../utils/storage';
+import { Colors } from '../constants/colors';
+
+export default function AlbumsScreen({ navigation }) {
+  const [albums, setAlbums] = useState([]);
+  const [protectedIds, setProtectedIds] = useState(new Set());
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadAlbums();
+  }, []);
+
+  const loadAlbums = async () => {
+    try {
+      const { status } = await MediaLibrary.requestPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert(
+          'Permission Required',
+          'SwipeClean needs access to your photos to list your albums.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+        return;
+      }
+
+      setAlbums(await getLibraryAlbums());
+      setProtectedIds(new Set((await getProtectedAlbums()).map(album => album.id)));
+    } catch (error) {
+      console.error('Error loading albums:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleSelection = (album) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(album.id)) {
+        next.delete(album.id);
+      } else {
+        next.add(album.id);
+      }
+      return next;
+    });
+  };
+
+  const toggleProtection = async (album) => {
+    const isProtected = !protectedIds.has(album.id);
+    const saved = await setAlbumProtected(album, isProtected);
+    if (!saved) {
+      Alert.alert('Error', 'Could not save album protection. Please try again.');
+      return;
+    }
+
+    setProtectedIds(prev => {
+      const next = new Set(prev);
+      if (isProtected) {
+        next.add(album.id);
+      } else {
+        next.delete(album.id);
+      }
+      return next;
+    });
+    // A protected album can't be cleaned up, so it leaves the selection
+    if (isProtected) {
+      setSelectedIds(prev => {
+        const next = new Set(prev);
+        next.delete(album.id);
+        return next;
+      });
+    }
+  };
+
+  const startAlbumSession = () => {
+    const picked = albums.filter(album => selectedIds.has(album.id));
+    navigation.navigate('Swipe', {
+      mode: 'all',
+      albumIds: picked.map(album => album.id),
+      albumTitles: picked.map(album => album.title),
+    });
+  };
+
+  const renderAlbum = ({ item }) => {
+    const isProtected = protectedIds.has(item.id);
+    const isSelected = selectedIds.has(item.id);
+
+    return (
+      <View style={[styles.albumRow, isSelected && styles.albumRowSelected]}>
+        <TouchableOpacity
+          style={styles.albumInfo}
+          onPress={() => toggleSelection(item)}
+          disabled={isProtected}
+        >
+          <View style={[styles.checkbox, isSelected && styles.checkboxChecked, isProtected && styles.checkboxDisabled]}>
+            {isSelected && <Text style={styles.checkmark}>✓</Text>}
+          </View>
+          <View style={styles.albumTextContainer}>
+            <Text style={styles.albumTitle} numberOfLines={1}>{item.title}</Text>
+            <Text style={styles.albumDetail}>
+              {item.assetCount ?? 0} items{isProtected ? ' · protected' : ''}
+            </Text>
+          </View>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.protectButton, isProtected && styles.protectButtonActive]}
+          onPress={() => toggleProtection(item)}
+        >
+          <Text style={styles.protectButtonText}>{isProtected ? '🛡️ Protected' : 'Protect'}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="auto" />
+
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Albums</Text>
+      </View>
+
+      {loading ? (
+        <Text style={styles.loadingText}>Loading albums...</Text>
+      ) : (
+        <FlatList
+          data={albums}
+          renderItem={renderAlbum}
+          keyExtractor={item => item.id}
+          contentContainerStyle={styles.list}
+          ListHeaderComponent={
+            <Text style={styles.listHint}>
+              Pick albums to clean up. Photos in protected albums never show up in any cleanup.
+            </Text>
+          }
+          ListEmptyComponent={<Text style={styles.loadingText}>No albums found</Text>}
+        />
+      )}
+
+      {selectedIds.size > 0 && (
+        <TouchableOpacity style={styles.startButton} onPress={startAlbumSession}>
+          <Text style={styles.startButtonText}>
+            Clean Up {selectedIds.size} Album{selectedIds.size > 1 ? 's' : ''}
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 60,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+    backgroundColor: Colors.primary,
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: Colors.background,
+    fontWeight: '600',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: Colors.background,
+    flex: 1,
+  },
+  loadingText: {
+    fontSize: 16,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  list: {
+    padding: 20,
+    paddingBottom: 100, // Space for the start button
+  },
+  listHint: {
+    fontSize: 14,
+    color: Colors.textSecondary,
+    marginBottom: 15,
+  },
+  albumRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.accent,
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 10,
+    borderWidth: 2,
+    borderColor: Colors.accent,
+  },
+  albumRowSelected: {
+    borderColor: Colors.primary,
+  },
+  albumInfo: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  checkbox: {
+    width: 24,
+    height: 24,
+    borderRadius: 6,
+    borderWidth: 2,
+    borderColor: Colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  checkboxChecked: {
+    backgroundColor: Colors.primary,
+  },
+  checkboxDisabled: {
+    borderColor: Colors.textSecondary,
+    opacity: 0.4,
+  },
+  checkmark: {
+    color: Colors.background,
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  albumTextContainer: {
+    flex: 1,
+  },
+  albumTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  albumDetail: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  protectButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    marginLeft: 10,
+  },
+  protectButtonActive: {
+    backgroundColor: Colors.primary,
+  },
+  protectButtonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  startButton: {
+    position: 'absolute',
+    bottom: 30,
+    left: 20,
+    right: 20,
+    backgroundColor: Colors.primary,
+    paddingVertical: 16,
+    borderRadius: 24,
+    alignItems: 'center',
+  },
+  startButtonText: {
+    color: Colors.background,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
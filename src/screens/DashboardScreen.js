@@ -1,8 +1,14 @@
 import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, Text, ScrollView, TouchableOpacity, Dimensions, Image } from 'react-native';
+import { View, StyleSheet, Text, ScrollView, TouchableOpacity, Dimensions, Image, Alert } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
-import { getTotalStorageCleared, getCleanupHistory, getDeletedPhotos } from '../utils/storage';
+import { getTotalStorageCleared, getCleanupHistory, getDeletedPhotos, getSmartFilters, deleteSmartFilter, getUndecidedPhotos, getSavedSessions } from '../utils/storage';
+import { UNDECIDED_MODE_KEY } from '../utils/undecided';
+import { describeSmartFilter, getSmartFilterModeKey } from '../utils/smartFilters';
 import { Colors } from '../constants/colors';
+import { getCleanupModes } from '../detectors';
+import { TIMELINE_MODE_KEY } from '../utils/eventClustering';
+import { useSettings } from '../utils/settings';
+import { purgeExpiredTrash, getTrashSummary } from '../utils/trash';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
@@ -11,7 +17,12 @@ export default function DashboardScreen({ navigation }) {
   const [recentSessions, setRecentSessions] = useState([]);
   const [markedForDeletion, setMarkedForDeletion] = useState(0);
   const [markedStorage, setMarkedStorage] = useState(0);
+  const [smartFilters, setSmartFilters] = useState([]);
+  const [undecidedCount, setUndecidedCount] = useState(0);
+  const [savedSessions, setSavedSessions] = useState([]); // Unfinished, one per mode, album selection or event
+  const [trash, setTrash] = useState({ count: 0, size: 0 });
   const [loading, setLoading] = useState(true);
+  useSettings(); // Mode subtitles follow the settings
 
   useEffect(() => {
     loadDashboardData();
@@ -40,6 +51,13 @@ export default function DashboardScreen({ navigation }) {
       setMarkedForDeletion(markedPhotos.length);
       setMarkedStorage(markedStorageValue);
       setRecentSessions(history.slice(-5).reverse()); // Last 5 sessions
+      setSmartFilters(await getSmartFilters());
+      setUndecidedCount((await getUndecidedPhotos()).length);
+      setSavedSessions(await getSavedSessions());
+
+      // Trash past its retention period is deleted for good here
+      await purgeExpiredTrash();
+      setTrash(await getTrashSummary());
       setLoading(false);
     } catch (error) {
       console.error('Error loading dashboard data:', error);
@@ -47,6 +65,25 @@ export default function DashboardScreen({ navigation }) {
     }
   };
 
+  const handleSmartFilterOptions = (filter) => {
+    Alert.alert(
+      filter.name,
+      describeSmartFilter(filter),
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Edit', onPress: () => navigation.navigate('SmartFilter', { filterId: filter.id }) },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await deleteSmartFilter(filter.id);
+            loadDashboardData();
+          },
+        },
+      ]
+    );
+  };
+
   const formatBytes = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -84,6 +121,12 @@ export default function DashboardScreen({ navigation }) {
             <Text style={styles.title}>SwipeClean</Text>
             <Text style={styles.subtitle}>Clean up your photos with a swipe</Text>
           </View>
+          <TouchableOpacity 
+            style={styles.settingsButton}
+            onPress={() => navigation.navigate('Settings')}
+          >
+            <Text style={styles.settingsButtonText}>⚙️</Text>
+          </TouchableOpacity>
         </View>
       </View>
 
@@ -116,66 +159,98 @@ export default function DashboardScreen({ navigation }) {
         <Text style={styles.sectionSubtitle}>Choose what to clean up</Text>
         
         <View style={styles.quickModesGrid}>
+          {getCleanupModes().map(mode => (
+            <TouchableOpacity 
+              key={mode.key}
+              style={styles.quickModeCard}
+              onPress={() => navigation.navigate('Swipe', { mode: mode.key })}
+            >
+              <Text style={styles.quickModeIcon}>{mode.icon}</Text>
+              <Text style={styles.quickModeTitle}>{mode.label}</Text>
+              <Text style={styles.quickModeSubtext}>{mode.subtitle}</Text>
+            </TouchableOpacity>
+          ))}
+
+          {/* Saved smart filters, long press to edit or delete */}
+          {smartFilters.map(filter => (
+            <TouchableOpacity 
+              key={filter.id}
+              style={styles.quickModeCard}
+              onPress={() => navigation.navigate('Swipe', { mode: getSmartFilterModeKey(filter) })}
+              onLongPress={() => handleSmartFilterOptions(filter)}
+            >
+              <Text style={styles.quickModeIcon}>🔎</Text>
+              <Text style={styles.quickModeTitle} numberOfLines={1}>{filter.name}</Text>
+              <Text style={styles.quickModeSubtext}>{describeSmartFilter(filter)}</Text>
+            </TouchableOpacity>
+          ))}
+
           <TouchableOpacity 
-            style={styles.quickModeCard}
-            onPress={() => navigation.navigate('Swipe', { mode: 'all' })}
-          >
-            <Text style={styles.quickModeIcon}>🖼️</Text>
-            <Text style={styles.quickModeTitle}>All Photos</Text>
-            <Text style={styles.quickModeSubtitle}>Complete cleanup</Text>
-          </TouchableOpacity>
-          
-          <TouchableOpacity 
-            style={styles.quickModeCard}
-            onPress={() => navigation.navigate('Swipe', { mode: 'screenshots' })}
-          >
-            <Text style={styles.quickModeIcon}>📱</Text>
-            <Text style={styles.quickModeTitle}>Screenshots</Text>
-            <Text style={styles.quickModeSubtext}>Quick cleanup</Text>
-          </TouchableOpacity>
-          
-          <TouchableOpacity 
-            style={styles.quickModeCard}
-            onPress={() => navigation.navigate('Swipe', { mode: 'duplicates' })}
-          >
-            <Text style={styles.quickModeIcon}>🔄</Text>
-            <Text style={styles.quickModeTitle}>Duplicates</Text>
-            <Text style={styles.quickModeSubtext}>Remove copies</Text>
-          </TouchableOpacity>
-          
-          <TouchableOpacity 
-            style={styles.quickModeCard}
-            onPress={() => navigation.navigate('Swipe', { mode: 'large' })}
-          >
-            <Text style={styles.quickModeIcon}>📦</Text>
-            <Text style={styles.quickModeTitle}>Large Files</Text>
-            <Text style={styles.quickModeSubtext}>Save space</Text>
-          </TouchableOpacity>
-          
-          <TouchableOpacity 
-            style={styles.quickModeCard}
-            onPress={() => navigation.navigate('Swipe', { mode: 'old' })}
-          >
-            <Text style={styles.quickModeIcon}>📅</Text>
-            <Text style={styles.quickModeTitle}>Old Photos</Text>
-            <Text style={styles.quickModeSubtext}>1+ years old</Text>
-          </TouchableOpacity>
-          
-          <TouchableOpacity 
-            style={styles.quickModeCard}
-            onPress={() => navigation.navigate('Swipe', { mode: 'lowquality' })}
+            style={[styles.quickModeCard, styles.newFilterCard]}
+            onPress={() => navigation.navigate('SmartFilter')}
           >
-            <Text style={styles.quickModeIcon}>🌫️</Text>
-            <Text style={styles.quickModeTitle}>Low Quality</Text>
-            <Text style={styles.quickModeSubtext}>Blurry photos</Text>
+            <Text style={styles.quickModeIcon}>➕</Text>
+            <Text style={styles.quickModeTitle}>New Filter</Text>
+            <Text style={styles.quickModeSubtext}>Build your own</Text>
           </TouchableOpacity>
         </View>
+
+        <TouchableOpacity 
+          style={[styles.secondaryActionButton, styles.sessionButton]}
+          onPress={() => navigation.navigate('Events')}
+        >
+          <Text style={styles.secondaryActionIcon}>🗺️</Text>
+          <View style={styles.secondaryActionTextContainer}>
+            <Text style={styles.secondaryActionText}>Trips & Events</Text>
+            <Text style={styles.secondaryActionSubtext}>Clean up one trip or event at a time</Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={[styles.secondaryActionButton, styles.sessionButton]}
+          onPress={() => navigation.navigate('Swipe', { mode: TIMELINE_MODE_KEY })}
+        >
+          <Text style={styles.secondaryActionIcon}>🗓️</Text>
+          <View style={styles.secondaryActionTextContainer}>
+            <Text style={styles.secondaryActionText}>Event by Event</Text>
+            <Text style={styles.secondaryActionSubtext}>Walk your whole library in order, one event at a time</Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={[styles.secondaryActionButton, styles.sessionButton]}
+          onPress={() => navigation.navigate('Albums')}
+        >
+          <Text style={styles.secondaryActionIcon}>📁</Text>
+          <View style={styles.secondaryActionTextContainer}>
+            <Text style={styles.secondaryActionText}>Albums</Text>
+            <Text style={styles.secondaryActionSubtext}>Clean up chosen albums, protect the ones to keep</Text>
+          </View>
+        </TouchableOpacity>
       </View>
 
       {/* Secondary Actions */}
-      {(markedForDeletion > 0 || recentSessions.length > 0) && (
+      {(savedSessions.length > 0 || markedForDeletion > 0 || undecidedCount > 0 || trash.count > 0 || recentSessions.length > 0) && (
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Actions</Text>
+
+          {savedSessions.map(session => (
+            <TouchableOpacity 
+              key={session.key}
+              style={styles.secondaryActionButton}
+              onPress={() => navigation.navigate('Swipe', { ...session.params, resume: true })}
+            >
+              <Text style={styles.secondaryActionIcon}>{session.icon}</Text>
+              <View style={styles.secondaryActionTextContainer}>
+                <Text style={styles.secondaryActionText}>
+                  Resume session ({(session.currentIndex + 1).toLocaleString()} of {session.total.toLocaleString()})
+                </Text>
+                <Text style={styles.secondaryActionSubtext} numberOfLines={1}>
+                  {session.label}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          ))}
           
           {markedForDeletion > 0 && (
             <TouchableOpacity 
@@ -194,6 +269,40 @@ export default function DashboardScreen({ navigation }) {
             </TouchableOpacity>
           )}
           
+          {undecidedCount > 0 && (
+            <TouchableOpacity 
+              style={styles.secondaryActionButton}
+              onPress={() => navigation.navigate('Swipe', { mode: UNDECIDED_MODE_KEY })}
+            >
+              <Text style={styles.secondaryActionIcon}>🤔</Text>
+              <View style={styles.secondaryActionTextContainer}>
+                <Text style={styles.secondaryActionText}>
+                  Decide Later ({undecidedCount})
+                </Text>
+                <Text style={styles.secondaryActionSubtext}>
+                  Go through the photos you put off
+                </Text>
+              </View>
+            </TouchableOpacity>
+          )}
+
+          {trash.count > 0 && (
+            <TouchableOpacity 
+              style={styles.secondaryActionButton}
+              onPress={() => navigation.navigate('Trash')}
+            >
+              <Text style={styles.secondaryActionIcon}>♻️</Text>
+              <View style={styles.secondaryActionTextContainer}>
+                <Text style={styles.secondaryActionText}>
+                  Trash ({trash.count})
+                </Text>
+                <Text style={styles.secondaryActionSubtext}>
+                  {formatBytes(trash.size)} kept for restoring
+                </Text>
+              </View>
+            </TouchableOpacity>
+          )}
+          
           <TouchableOpacity 
             style={styles.secondaryActionButton}
             onPress={() => navigation.navigate('Favorites')}
@@ -219,14 +328,22 @@ export default function DashboardScreen({ navigation }) {
                   {formatBytes(session.storageCleared || 0)}
                 </Text>
               </View>
-              <View style={styles.sessionStats}>
-                <Text style={styles.sessionStat}>
-                  {session.deleted || 0} deleted
-                </Text>
-                <Text style={styles.sessionStat}>
-                  {session.favorited || 0} favorited
-                </Text>
-              </View>
+              {session.purged > 0 ? (
+                <View style={styles.sessionStats}>
+                  <Text style={styles.sessionStat}>
+                    {session.purged} removed from trash
+                  </Text>
+                </View>
+              ) : (
+                <View style={styles.sessionStats}>
+                  <Text style={styles.sessionStat}>
+                    {session.deleted || 0} deleted
+                  </Text>
+                  <Text style={styles.sessionStat}>
+                    {session.favorited || 0} favorited
+                  </Text>
+                </View>
+              )}
             </View>
           ))}
         </View>
@@ -268,6 +385,17 @@ const styles = StyleSheet.create({
   titleContainer: {
     flex: 1,
   },
+  settingsButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  settingsButtonText: {
+    fontSize: 22,
+  },
   title: {
     fontSize: 28,
     fontWeight: 'bold',
@@ -469,6 +597,15 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 2,
   },
+  newFilterCard: {
+    borderWidth: 2,
+    borderColor: Colors.primary,
+    borderStyle: 'dashed',
+  },
+  sessionButton: {
+    marginTop: 4,
+    marginBottom: 8,
+  },
   quickModeIcon: {
     fontSize: 32,
     marginBottom: 8,
@@ -479,11 +616,6 @@ const styles = StyleSheet.create({
     color: Colors.text,
     marginBottom: 4,
   },
-  quickModeSubtitle: {
-    fontSize: 12,
-    color: Colors.textSecondary,
-    textAlign: 'center',
-  },
   quickModeSubtext: {
     fontSize: 12,
     color: Colors.textSecondary,
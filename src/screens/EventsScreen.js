@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, StyleSheet, Text, FlatList, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import * as MediaLibrary from 'expo-media-library';
+import { loadLibraryMedia } from '../utils/analysisPipeline';
+import { loadAssetLocations } from '../utils/assetLocations';
+import { clusterEvents, nameEvents, formatDateRange, EventKind, EVENT_MODE_KEY } from '../utils/eventClustering';
+import { isCancellation } from '../utils/cancellation';
+import { Colors } from '../constants/colors';
+
+export default function EventsScreen({ navigation }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [progress, setProgress] = useState({ label: 'Loading photos from library...', processed: 0, total: 0 });
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    loadEvents();
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  const loadEvents = async () => {
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    try {
+      const { status } = await MediaLibrary.requestPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert(
+          'Permission Required',
+          'SwipeClean needs access to your photos to find your trips and events.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+        return;
+      }
+
+      const photos = await loadLibraryMedia({
+        signal: abortController.signal,
+        onProgress: ({ processed, total }) =>
+          setProgress({ label: 'Loading photos from library...', processed, total }),
+      });
+
+      // Only assets that are new since the last visit are looked up
+      const locations = await loadAssetLocations(photos, {
+        signal: abortController.signal,
+        onProgress: ({ processed, total }) =>
+          setProgress({ label: 'Finding where photos were taken...', processed, total }),
+      });
+
+      setProgress({ label: 'Naming places...', processed: 0, total: 0 });
+      setEvents(await nameEvents(clusterEvents(photos, locations)));
+      setLoading(false);
+    } catch (error) {
+      if (isCancellation(error)) return;
+      console.error('Error loading events:', error);
+      Alert.alert(
+        'Error',
+        `Failed to find events: ${error.message || 'Unknown error'}. Please try again.`,
+        [{ text: 'OK', onPress: () => navigation.goBack() }]
+      );
+    }
+  };
+
+  const startEventSession = (event) => {
+    navigation.navigate('Swipe', { mode: EVENT_MODE_KEY, event });
+  };
+
+  const renderEvent = ({ item }) => (
+    <TouchableOpacity style={styles.eventCard} onPress={() => startEventSession(item)}>
+      <Text style={styles.eventIcon}>{item.kind === EventKind.TRIP ? '🧳' : '📍'}</Text>
+      <View style={styles.eventTextContainer}>
+        <Text style={styles.eventName} numberOfLines={1}>{item.name}</Text>
+        <Text style={styles.eventDetail}>
+          {formatDateRange(item.startTime, item.endTime)} · {item.photoIds.length} items
+        </Text>
+      </View>
+      <Text style={styles.eventChevron}>›</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="auto" />
+
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Trips & Events</Text>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={Colors.primary} />
+          <Text style={styles.loadingText}>{progress.label}</Text>
+          {progress.total > 0 && (
+            <Text style={styles.progressDetail}>
+              {progress.processed.toLocaleString()} of {progress.total.toLocaleString()}
+            </Text>
+          )}
+          <Text style={styles.resumeHint}>Places are remembered, the next visit is much faster</Text>
+        </View>
+      ) : events.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyIcon}>🗺️</Text>
+          <Text style={styles.emptyText}>No events found</Text>
+          <Text style={styles.emptySubtext}>
+            Events are groups of photos taken around the same time and place
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={events}
+          renderItem={renderEvent}
+          keyExtractor={item => item.id}
+          contentContainerStyle={styles.list}
+          ListHeaderComponent={
+            <Text style={styles.listHint}>Pick a trip or event to swipe through just its photos</Text>
+          }
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 60,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+    backgroundColor: Colors.primary,
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: Colors.background,
+    fontWeight: '600',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: Colors.background,
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  loadingText: {
+    marginTop: 20,
+    fontSize: 16,
+    color: Colors.text,
+    textAlign: 'center',
+  },
+  progressDetail: {
+    marginTop: 8,
+    fontSize: 14,
+    color: Colors.textSecondary,
+  },
+  resumeHint: {
+    marginTop: 24,
+    fontSize: 12,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+  },
+  list: {
+    padding: 20,
+  },
+  listHint: {
+    fontSize: 14,
+    color: Colors.textSecondary,
+    marginBottom: 15,
+  },
+  eventCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.accent,
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+  },
+  eventIcon: {
+    fontSize: 28,
+    marginRight: 15,
+  },
+  eventTextContainer: {
+    flex: 1,
+  },
+  eventName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  eventDetail: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  eventChevron: {
+    fontSize: 24,
+    color: Colors.textSecondary,
+    marginLeft: 10,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 64,
+    marginBottom: 20,
+  },
+  emptyText: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: Colors.text,
+    marginBottom: 10,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+  },
+});
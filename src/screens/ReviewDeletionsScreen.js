@@ -4,10 +4,35 @@ import { StatusBar } from 'expo-status-bar';
 import * as MediaLibrary from 'expo-media-library';
 import { getDeletedPhotos, restorePhoto, getTotalStorageCleared, saveCleanupSession } from '../utils/storage';
 import { Colors } from '../constants/colors';
+import { isVideo, formatDuration } from '../utils/media';
+import { loadProtection, isProtected } from '../utils/albums';
+import { JournalEffect, recordDecision, undo, redo, peekUndo, peekRedo, forgetPhotos, describeEntries } from '../utils/undoJournal';
+import UndoButton from '../components/UndoButton';
+import { isTrashEnabled, copyToTrash, discardTrashCopies } from '../utils/trash';
+import { getSetting, SettingKey } from '../utils/settings';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const ITEM_SIZE = (SCREEN_WIDTH - 60) / 3;
 
+/**
+ * Sort photos by whether they are still in the library, after a deletion that reported an error
+ * Photos whose lookup failed are unchecked, they may be gone or not
+ * @returns {Promise<Object>} {deleted, unchecked}
+ */
+async function findDeletedPhotos(photos) {
+  const deleted = [];
+  const unchecked = [];
+  for (const photo of photos) {
+    try {
+      if (!(await MediaLibrary.getAssetInfoAsync(photo.id))) deleted.push(photo);
+    } catch (error) {
+      console.error(`Error checking photo ${photo.id}:`, error);
+      unchecked.push(photo);
+    }
+  }
+  return { deleted, unchecked };
+}
+
 export default function ReviewDeletionsScreen({ navigation }) {
   const [markedPhotos, setMarkedPhotos] = useState([]);
   const [selectedPhotos, setSelectedPhotos] = useState(new Set());
@@ -29,7 +54,14 @@ export default function ReviewDeletionsScreen({ navigation }) {
   const loadMarkedPhotos = async () => {
     try {
       setLoading(true);
-      const deleted = await getDeletedPhotos();
+      const marked = await getDeletedPhotos();
+
+      // Photos marked before their album was protected are unmarked, never deleted
+      const protection = await loadProtection();
+      const deleted = marked.filter(photo => !isProtected(photo, protection));
+      for (const photo of marked.filter(p => isProtected(p, protection))) {
+        await restorePhoto(photo.id);
+      }
       
       // Calculate total storage (ensure size is a number)
       const total = deleted.reduce((sum, photo) => {
@@ -77,9 +109,13 @@ export default function ReviewDeletionsScreen({ navigation }) {
       return;
     }
 
+    const retentionDays = getSetting(SettingKey.TRASH_RETENTION_DAYS);
+    const useTrash = isTrashEnabled();
     Alert.alert(
       'Confirm Deletion',
-      `Are you sure you want to permanently delete ${selected.length} photo${selected.length > 1 ? 's' : ''}? This cannot be undone.`,
+      useTrash
+        ? `Delete ${selected.length} photo${selected.length > 1 ? 's' : ''}? They can be restored from the trash for ${retentionDays} day${retentionDays === 1 ? '' : 's'}.`
+        : `Are you sure you want to permanently delete ${selected.length} photo${selected.length > 1 ? 's' : ''}? This cannot be undone.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -88,54 +124,87 @@ export default function ReviewDeletionsScreen({ navigation }) {
           onPress: async () => {
             setDeleting(true);
             try {
-              const photosToDelete = markedPhotos.filter(p => selectedPhotos.has(p.id));
-              const ids = photosToDelete.map(p => p.id);
-              
-              // Calculate total storage that will be freed
-              // Make sure size is a number and handle edge cases
-              const storageCleared = photosToDelete.reduce((sum, photo) => {
-                const photoSize = Number(photo.size) || 0;
-                return sum + photoSize;
-              }, 0);
+              let photosToDelete = markedPhotos.filter(p => selectedPhotos.has(p.id));
+
+              // Originals go to the trash first, photos that couldn't be copied are not deleted
+              let notTrashed = [];
+              if (useTrash) {
+                const { trashed, failed } = await copyToTrash(photosToDelete);
+                photosToDelete = trashed;
+                notTrashed = failed;
+                if (photosToDelete.length === 0) {
+                  Alert.alert('Nothing Deleted', 'The photos could not be copied to the trash, so they were kept.');
+                  return;
+                }
+              }
               
               // Delete from device (handle errors gracefully)
-              let deletionSuccess = false;
+              let deletedPhotos = photosToDelete;
+              let uncheckedPhotos = [];
               try {
-                await MediaLibrary.deleteAssetsAsync(ids);
-                deletionSuccess = true;
+                const deleted = await MediaLibrary.deleteAssetsAsync(photosToDelete.map(p => p.id));
+                if (deleted === false) deletedPhotos = [];
               } catch (deleteError) {
                 console.warn('MediaLibrary delete error (may have succeeded):', deleteError);
-                // On iOS, sometimes this throws even if deletion succeeds
-                // Check if assets still exist or just proceed
-                deletionSuccess = true; // Assume success if we got here
+                // On iOS this sometimes throws even if deletion succeeds, and also when the
+                // user declines the system prompt, so check what is really gone
+                ({ deleted: deletedPhotos, unchecked: uncheckedPhotos } = await findDeletedPhotos(photosToDelete));
               }
+
+              // Photos still in the library must not stay restorable, that would duplicate them
+              // Unchecked ones stay marked and keep their copy, in case they are gone after all
+              const keptPhotos = photosToDelete.filter(p => !deletedPhotos.includes(p) && !uncheckedPhotos.includes(p));
+              if (useTrash && keptPhotos.length > 0) {
+                await discardTrashCopies(keptPhotos);
+              }
+              if (deletedPhotos.length === 0) {
+                Alert.alert('Nothing Deleted', uncheckedPhotos.length > 0
+                  ? 'The photos could not be checked after deleting and are still marked.'
+                  : 'The photos were not deleted and are still marked.');
+                return;
+              }
+              const ids = deletedPhotos.map(p => p.id);
+              
+              // Calculate total storage that will be freed
+              // Make sure size is a number and handle edge cases
+              const deletedSize = deletedPhotos.reduce((sum, photo) => {
+                const photoSize = Number(photo.size) || 0;
+                return sum + photoSize;
+              }, 0);
+              // Trashed photos still take their space, it is counted when the trash is purged
+              const storageCleared = useTrash ? 0 : deletedSize;
               
               // Remove from deleted photos storage
-              for (const photo of photosToDelete) {
+              for (const photo of deletedPhotos) {
                 await restorePhoto(photo.id);
               }
+              // Decisions on deleted photos can't be undone or redone any more
+              await forgetPhotos(ids);
               
               // Save cleanup session with actual deleted photos
-              if (deletionSuccess) {
-                const stats = {
-                  photosReviewed: markedPhotos.length,
-                  deleted: photosToDelete.length,
-                  kept: 0,
-                  favorited: 0,
-                  storageCleared: storageCleared,
-                };
-                await saveCleanupSession(stats);
-              }
+              const stats = {
+                photosReviewed: markedPhotos.length,
+                deleted: deletedPhotos.length,
+                kept: 0,
+                favorited: 0,
+                storageCleared: storageCleared,
+              };
+              await saveCleanupSession(stats);
               
               // Reload list
               await loadMarkedPhotos();
               
-              if (deletionSuccess) {
-                Alert.alert(
-                  'Success', 
-                  `Deleted ${selected.length} photo${selected.length > 1 ? 's' : ''} and freed ${formatBytes(storageCleared)}.`
-                );
-              }
+              const deletedText = useTrash
+                ? `Moved ${deletedPhotos.length} photo${deletedPhotos.length > 1 ? 's' : ''} to the trash. They can be restored for ${retentionDays} day${retentionDays === 1 ? '' : 's'}, ${formatBytes(deletedSize)} is freed once they are purged.`
+                : `Deleted ${deletedPhotos.length} photo${deletedPhotos.length > 1 ? 's' : ''} and freed ${formatBytes(storageCleared)}.`;
+              const notDeleted = notTrashed.length + keptPhotos.length;
+              const keptText = notDeleted > 0
+                ? ` ${notDeleted} photo${notDeleted > 1 ? 's' : ''} could not be deleted and ${notDeleted > 1 ? 'are' : 'is'} still marked.`
+                : '';
+              const uncheckedText = uncheckedPhotos.length > 0
+                ? ` ${uncheckedPhotos.length} photo${uncheckedPhotos.length > 1 ? 's' : ''} could not be checked and ${uncheckedPhotos.length > 1 ? 'are' : 'is'} still marked.`
+                : '';
+              Alert.alert('Success', deletedText + keptText + uncheckedText);
             } catch (error) {
               console.error('Error deleting photos:', error);
               Alert.alert('Error', 'Failed to delete some photos. Please try again.');
@@ -148,11 +217,71 @@ export default function ReviewDeletionsScreen({ navigation }) {
     );
   };
 
+  // Unmarking goes through the journal, so it can be undone like a swipe
   const handleRemoveFromList = async (photo) => {
-    await restorePhoto(photo.id);
+    try {
+      await recordDecision({
+        action: 'unmark',
+        photo,
+        effects: [{ type: JournalEffect.UNMARK_DELETED, photos: [photo] }],
+      });
+    } catch (error) {
+      console.error('Error unmarking photo:', error);
+    }
+    await loadMarkedPhotos();
+  };
+
+  // The journal is shared, so undo and redo also reach swipe session decisions, ask first then
+  const confirmSessionEntries = (title, entries, onConfirm) => {
+    const fromSessions = entries.filter(entry => entry.context?.sessionId);
+    if (fromSessions.length === 0) {
+      onConfirm();
+      return;
+    }
+    Alert.alert(
+      title,
+      `These decisions were made in a swipe session:\n${describeEntries(fromSessions)}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Continue', onPress: onConfirm },
+      ]
+    );
+  };
+
+  const undoSteps = async (steps) => {
+    try {
+      await undo(steps);
+    } catch (error) {
+      console.error('Error undoing:', error);
+    }
     await loadMarkedPhotos();
   };
 
+  const redoSteps = async (steps) => {
+    try {
+      await redo(steps);
+    } catch (error) {
+      console.error('Error redoing:', error);
+    }
+    await loadMarkedPhotos();
+  };
+
+  const handleUndo = async (steps) => {
+    try {
+      confirmSessionEntries('Undo in Session?', await peekUndo(steps), () => undoSteps(steps));
+    } catch (error) {
+      console.error('Error undoing:', error);
+    }
+  };
+
+  const handleRedo = async (steps) => {
+    try {
+      confirmSessionEntries('Redo in Session?', await peekRedo(steps), () => redoSteps(steps));
+    } catch (error) {
+      console.error('Error redoing:', error);
+    }
+  };
+
   const formatBytes = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -241,7 +370,12 @@ export default function ReviewDeletionsScreen({ navigation }) {
           />
         ) : (
           <View style={styles.imagePlaceholder}>
-            <Text style={styles.imageErrorText}>📷</Text>
+            <Text style={styles.imageErrorText}>{isVideo(item) ? '🎬' : '📷'}</Text>
+          </View>
+        )}
+        {isVideo(item) && (
+          <View style={styles.videoBadge}>
+            <Text style={styles.videoBadgeText}>▶ {formatDuration(item.duration)}</Text>
           </View>
         )}
         {isSelected && (
@@ -295,6 +429,7 @@ export default function ReviewDeletionsScreen({ navigation }) {
           <Text style={styles.backButtonText}>← Back</Text>
         </TouchableOpacity>
         <Text style={styles.title}>Review Deletions</Text>
+        <UndoButton onUndo={handleUndo} onRedo={handleRedo} />
       </View>
 
       {markedPhotos.length === 0 ? (
@@ -546,5 +681,19 @@ const styles = StyleSheet.create({
   imageErrorText: {
     fontSize: 32,
   },
+  videoBadge: {
+    position: 'absolute',
+    bottom: 6,
+    left: 6,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 8,
+  },
+  videoBadgeText: {
+    color: Colors.background,
+    fontSize: 11,
+    fontWeight: '600',
+  },
 });
 
@@ -49,6 +49,13 @@ export default function SessionSummaryScreen({ route, navigation }) {
           <Text style={styles.statValue}>{stats?.favorited || 0}</Text>
           <Text style={styles.statLabel}>Favorited</Text>
         </View>
+
+        {stats?.later > 0 && (
+          <View style={styles.statCard}>
+            <Text style={styles.statValue}>{stats.later}</Text>
+            <Text style={styles.statLabel}>Decide Later</Text>
+          </View>
+        )}
       </View>
 
       <View style={styles.storageCard}>
@@ -108,8 +115,10 @@ const styles = StyleSheet.create({
   },
   statsContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'space-around',
     padding: 20,
+    gap: 12,
   },
   statCard: {
     alignItems: 'center',
@@ -0,0 +1,354 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Text, ScrollView, TouchableOpacity, Alert } from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { SettingDefinitions, SettingKey, SettingType, updateSetting, resetSettings, useSettings } from '../utils/settings';
+import { getReviewedModes, resetReviewed } from '../utils/reviewedLedger';
+import { Colors, SwipeActions, SwipeDirections } from '../constants/colors';
+
+/**
+ * Step a value within its range, rounded to the step so 0.1 + 0.01 stays 0.11
+ */
+function stepValue(definition, value, direction) {
+  const decimals = (String(definition.step).split('.')[1] || '').length;
+  const next = Number((value + direction * definition.step).toFixed(decimals));
+  return Math.min(definition.max, Math.max(definition.min, next));
+}
+
+const DIRECTION_LABELS = {
+  [SwipeDirections.LEFT]: '← Left',
+  [SwipeDirections.RIGHT]: '→ Right',
+  [SwipeDirections.UP]: '↑ Up',
+  [SwipeDirections.DOWN]: '↓ Down',
+};
+
+const ACTION_LABELS = {
+  [SwipeActions.DELETE]: 'Delete',
+  [SwipeActions.KEEP]: 'Keep',
+  [SwipeActions.FAVORITE]: 'Favorite',
+  [SwipeActions.LATER]: 'Later',
+};
+
+/**
+ * Give a direction a new action; the direction that had it takes over the old one, so every
+ * action keeps exactly one direction
+ */
+function assignGesture(gestures, direction, action) {
+  const previousDirection = Object.keys(gestures).find(key => gestures[key] === action);
+  return {
+    ...gestures,
+    [previousDirection]: gestures[direction],
+    [direction]: action,
+  };
+}
+
+export default function SettingsScreen({ navigation }) {
+  const settings = useSettings();
+  const [reviewedModes, setReviewedModes] = useState([]);
+
+  // How many photos are hidden depends on the period, so recount when it changes
+  useEffect(() => {
+    getReviewedModes().then(setReviewedModes);
+  }, [settings[SettingKey.REVIEWED_HIDE_DAYS]]);
+
+  const changeSetting = async (key, direction) => {
+    const definition = SettingDefinitions[key];
+    const next = stepValue(definition, settings[key], direction);
+    if (next === settings[key]) return;
+
+    const problem = await updateSetting(key, next);
+    if (problem) {
+      Alert.alert('Setting Not Saved', problem);
+    }
+  };
+
+  const changeGesture = async (key, direction, action) => {
+    if (settings[key][direction] === action) return;
+
+    const problem = await updateSetting(key, assignGesture(settings[key], direction, action));
+    if (problem) {
+      Alert.alert('Setting Not Saved', problem);
+    }
+  };
+
+  const renderGestures = (key) => (
+    <View style={styles.gestureList}>
+      {Object.values(SwipeDirections).map(direction => (
+        <View key={direction} style={styles.gestureRow}>
+          <Text style={styles.gestureDirection}>{DIRECTION_LABELS[direction]}</Text>
+          <View style={styles.chipRow}>
+            {Object.values(SwipeActions).map(action => (
+              <TouchableOpacity
+                key={action}
+                style={[styles.chip, settings[key][direction] === action && styles.chipActive]}
+                onPress={() => changeGesture(key, direction, action)}
+              >
+                <Text style={[styles.chipText, settings[key][direction] === action && styles.chipTextActive]}>
+                  {ACTION_LABELS[action]}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+
+  const renderStepper = (key, definition) => (
+    <View style={styles.stepper}>
+      <TouchableOpacity
+        style={[styles.stepperButton, settings[key] <= definition.min && styles.stepperButtonDisabled]}
+        onPress={() => changeSetting(key, -1)}
+        disabled={settings[key] <= definition.min}
+      >
+        <Text style={styles.stepperButtonText}>−</Text>
+      </TouchableOpacity>
+      <Text style={styles.stepperValue}>{definition.format(settings[key])}</Text>
+      <TouchableOpacity
+        style={[styles.stepperButton, settings[key] >= definition.max && styles.stepperButtonDisabled]}
+        onPress={() => changeSetting(key, 1)}
+        disabled={settings[key] >= definition.max}
+      >
+        <Text style={styles.stepperButtonText}>+</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const handleResetReviewed = (mode) => {
+    Alert.alert(
+      'Show Reviewed Photos',
+      `The ${mode.count} photo${mode.count === 1 ? '' : 's'} you reviewed in ${mode.label} will show up in it again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Reset',
+          style: 'destructive',
+          onPress: async () => {
+            await resetReviewed(mode.key);
+            setReviewedModes(await getReviewedModes());
+          },
+        },
+      ]
+    );
+  };
+
+  const handleReset = () => {
+    Alert.alert(
+      'Reset Settings',
+      'Restore every setting to its default value?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reset', style: 'destructive', onPress: () => resetSettings() },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="auto" />
+
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Settings</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.hint}>Detection settings apply from the next scan</Text>
+
+        {Object.entries(SettingDefinitions).map(([key, definition]) => (
+          <View key={key} style={styles.settingCard}>
+            <View style={styles.settingTextContainer}>
+              <Text style={styles.settingLabel}>{definition.label}</Text>
+              <Text style={styles.settingDescription}>{definition.description}</Text>
+            </View>
+            {definition.type === SettingType.GESTURES
+              ? renderGestures(key)
+              : renderStepper(key, definition)}
+          </View>
+        ))}
+
+        {reviewedModes.length > 0 && (
+          <View style={styles.settingCard}>
+            <View style={styles.settingTextContainer}>
+              <Text style={styles.settingLabel}>Reviewed photos</Text>
+              <Text style={styles.settingDescription}>Hidden from each mode, reset to see them again</Text>
+            </View>
+            {reviewedModes.map(mode => (
+              <View key={mode.key} style={styles.reviewedRow}>
+                <Text style={styles.reviewedLabel} numberOfLines={1}>
+                  {mode.label} · {mode.count.toLocaleString()}
+                </Text>
+                <TouchableOpacity style={styles.reviewedResetButton} onPress={() => handleResetReviewed(mode)}>
+                  <Text style={styles.reviewedResetText}>Reset</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        )}
+
+        <TouchableOpacity style={styles.resetButton} onPress={handleReset}>
+          <Text style={styles.resetButtonText}>Reset to Defaults</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 60,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+    backgroundColor: Colors.primary,
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: Colors.background,
+    fontWeight: '600',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: Colors.background,
+    flex: 1,
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  hint: {
+    fontSize: 14,
+    color: Colors.textSecondary,
+    marginBottom: 15,
+  },
+  settingCard: {
+    backgroundColor: Colors.accent,
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+  },
+  settingTextContainer: {
+    marginBottom: 12,
+  },
+  settingLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  settingDescription: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  stepperButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: Colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperButtonDisabled: {
+    opacity: 0.3,
+  },
+  stepperButtonText: {
+    fontSize: 22,
+    color: Colors.background,
+    fontWeight: '600',
+  },
+  stepperValue: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  gestureList: {
+    gap: 10,
+  },
+  gestureRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  gestureDirection: {
+    width: 64,
+    fontSize: 14,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  chipRow: {
+    flex: 1,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    backgroundColor: Colors.background,
+  },
+  chipActive: {
+    backgroundColor: Colors.primary,
+  },
+  chipText: {
+    fontSize: 12,
+    color: Colors.text,
+  },
+  chipTextActive: {
+    color: Colors.background,
+    fontWeight: '600',
+  },
+  reviewedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  reviewedLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: Colors.text,
+  },
+  reviewedResetButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    marginLeft: 10,
+  },
+  reviewedResetText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  resetButton: {
+    marginTop: 20,
+    paddingVertical: 14,
+    borderRadius: 24,
+    borderWidth: 1,
+    borderColor: Colors.error,
+    alignItems: 'center',
+  },
+  resetButtonText: {
+    color: Colors.error,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
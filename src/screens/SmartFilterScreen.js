@@ -0,0 +1,487 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Text, ScrollView, TouchableOpacity, TextInput, Alert } from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import * as MediaLibrary from 'expo-media-library';
+import { getSmartFilter, saveSmartFilter, deleteSmartFilter } from '../utils/storage';
+import { getLibraryAlbums } from '../utils/albums';
+import {
+  FilterField,
+  FilterFieldLabels,
+  FilterCombinator,
+  createRule,
+  validateSmartFilter,
+  getSmartFilterModeKey,
+} from '../utils/smartFilters';
+import { getDetectors } from '../detectors';
+import { Colors } from '../constants/colors';
+
+const EMPTY_FILTER = { name: '', combinator: FilterCombinator.AND, rules: [] };
+
+export default function SmartFilterScreen({ navigation, route }) {
+  const filterId = route?.params?.filterId || null;
+  const [filter, setFilter] = useState(EMPTY_FILTER);
+  const [albums, setAlbums] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadFilter();
+  }, []);
+
+  const loadFilter = async () => {
+    try {
+      if (filterId) {
+        const saved = await getSmartFilter(filterId);
+        if (saved) {
+          setFilter(saved);
+        }
+      }
+
+      // Albums are optional, the album condition just has nothing to pick without access
+      const { status } = await MediaLibrary.requestPermissionsAsync();
+      if (status === 'granted') {
+        setAlbums(await getLibraryAlbums());
+      }
+    } catch (error) {
+      console.error('Error loading smart filter:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const addRule = (field) => {
+    setFilter(prev => ({ ...prev, rules: [...prev.rules, createRule(field)] }));
+  };
+
+  const updateRule = (index, changes) => {
+    setFilter(prev => ({
+      ...prev,
+      rules: prev.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
+    }));
+  };
+
+  const removeRule = (index) => {
+    setFilter(prev => ({ ...prev, rules: prev.rules.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async (startSession) => {
+    const problem = validateSmartFilter(filter);
+    if (problem) {
+      Alert.alert('Incomplete Filter', problem);
+      return;
+    }
+
+    setSaving(true);
+    const saved = await saveSmartFilter({ ...filter, name: filter.name.trim() });
+    setSaving(false);
+    if (!saved) {
+      Alert.alert('Error', 'Failed to save the filter. Please try again.');
+      return;
+    }
+
+    if (startSession) {
+      navigation.replace('Swipe', { mode: getSmartFilterModeKey(saved) });
+    } else {
+      navigation.goBack();
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Filter',
+      `Delete "${filter.name}"? Your photos are not affected.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await deleteSmartFilter(filterId);
+            navigation.goBack();
+          },
+        },
+      ]
+    );
+  };
+
+  const renderNumberInput = (index, rule, key, placeholder) => (
+    <TextInput
+      style={styles.numberInput}
+      value={rule[key] === null || rule[key] === undefined ? '' : String(rule[key])}
+      onChangeText={(text) => updateRule(index, { [key]: text })}
+      placeholder={placeholder}
+      placeholderTextColor={Colors.textSecondary}
+      keyboardType="decimal-pad"
+    />
+  );
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipSelected]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderRuleEditor = (rule, index) => {
+    switch (rule.field) {
+      case FilterField.CATEGORY:
+        return (
+          <>
+            <View style={styles.chipRow}>
+              {renderChip('is', 'Is', !rule.negate, () => updateRule(index, { negate: false }))}
+              {renderChip('not', 'Is not', rule.negate, () => updateRule(index, { negate: true }))}
+            </View>
+            <View style={styles.chipRow}>
+              {getDetectors().map(detector => renderChip(
+                detector.id,
+                `${detector.icon} ${detector.label}`,
+                rule.category === detector.id,
+                () => updateRule(index, { category: detector.id })
+              ))}
+            </View>
+          </>
+        );
+      case FilterField.SIZE:
+        return (
+          <View style={styles.inputRow}>
+            {renderNumberInput(index, rule, 'minMB', 'Min MB')}
+            <Text style={styles.inputSeparator}>to</Text>
+            {renderNumberInput(index, rule, 'maxMB', 'Max MB')}
+          </View>
+        );
+      case FilterField.DATE:
+        return (
+          <View style={styles.inputRow}>
+            <TextInput
+              style={styles.numberInput}
+              value={rule.from}
+              onChangeText={(text) => updateRule(index, { from: text })}
+              placeholder="From YYYY-MM-DD"
+              placeholderTextColor={Colors.textSecondary}
+              autoCapitalize="none"
+            />
+            <Text style={styles.inputSeparator}>to</Text>
+            <TextInput
+              style={styles.numberInput}
+              value={rule.to}
+              onChangeText={(text) => updateRule(index, { to: text })}
+              placeholder="To YYYY-MM-DD"
+              placeholderTextColor={Colors.textSecondary}
+              autoCapitalize="none"
+            />
+          </View>
+        );
+      case FilterField.DIMENSIONS:
+        return (
+          <>
+            <View style={styles.inputRow}>
+              {renderNumberInput(index, rule, 'minWidth', 'Min width')}
+              <Text style={styles.inputSeparator}>to</Text>
+              {renderNumberInput(index, rule, 'maxWidth', 'Max width')}
+            </View>
+            <View style={styles.inputRow}>
+              {renderNumberInput(index, rule, 'minHeight', 'Min height')}
+              <Text style={styles.inputSeparator}>to</Text>
+              {renderNumberInput(index, rule, 'maxHeight', 'Max height')}
+            </View>
+          </>
+        );
+      case FilterField.ALBUM:
+        return albums.length === 0 ? (
+          <Text style={styles.hintText}>No albums found in your library.</Text>
+        ) : (
+          <View style={styles.chipRow}>
+            {albums.map(album => renderChip(
+              album.id,
+              album.title,
+              rule.albumId === album.id,
+              () => updateRule(index, { albumId: album.id, albumTitle: album.title })
+            ))}
+          </View>
+        );
+      case FilterField.FILENAME:
+        return (
+          <>
+            <TextInput
+              style={styles.textInput}
+              value={rule.pattern}
+              onChangeText={(text) => updateRule(index, { pattern: text })}
+              placeholder="e.g. IMG_* or whatsapp"
+              placeholderTextColor={Colors.textSecondary}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <Text style={styles.hintText}>Use * and ? as wildcards</Text>
+          </>
+        );
+      default:
+        return null;
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        <StatusBar style="auto" />
+        <Text style={styles.loadingText}>Loading filter...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="auto" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{filterId ? 'Edit Filter' : 'New Filter'}</Text>
+        {filterId && (
+          <TouchableOpacity onPress={handleDelete}>
+            <Text style={styles.backButtonText}>Delete</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Text style={styles.sectionTitle}>Name</Text>
+        <TextInput
+          style={styles.textInput}
+          value={filter.name}
+          onChangeText={(text) => setFilter(prev => ({ ...prev, name: text }))}
+          placeholder="e.g. Big WhatsApp images"
+          placeholderTextColor={Colors.textSecondary}
+        />
+
+        <Text style={styles.sectionTitle}>Match</Text>
+        <View style={styles.chipRow}>
+          {renderChip('and', 'All conditions', filter.combinator !== FilterCombinator.OR,
+            () => setFilter(prev => ({ ...prev, combinator: FilterCombinator.AND })))}
+          {renderChip('or', 'Any condition', filter.combinator === FilterCombinator.OR,
+            () => setFilter(prev => ({ ...prev, combinator: FilterCombinator.OR })))}
+        </View>
+
+        <Text style={styles.sectionTitle}>Conditions</Text>
+        {filter.rules.map((rule, index) => (
+          <View key={index} style={styles.ruleCard}>
+            {index > 0 && (
+              <Text style={styles.combinatorLabel}>
+                {filter.combinator === FilterCombinator.OR ? 'OR' : 'AND'}
+              </Text>
+            )}
+            <View style={styles.ruleHeader}>
+              <Text style={styles.ruleTitle}>{FilterFieldLabels[rule.field]}</Text>
+              <TouchableOpacity onPress={() => removeRule(index)}>
+                <Text style={styles.removeText}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+            {renderRuleEditor(rule, index)}
+          </View>
+        ))}
+
+        <Text style={styles.hintText}>Add a condition</Text>
+        <View style={styles.chipRow}>
+          {Object.values(FilterField).map(field => renderChip(
+            field,
+            `+ ${FilterFieldLabels[field]}`,
+            false,
+            () => addRule(field)
+          ))}
+        </View>
+
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => handleSave(false)}
+            disabled={saving}
+          >
+            <Text style={styles.secondaryButtonText}>Save</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.primaryButton, saving && styles.buttonDisabled]}
+            onPress={() => handleSave(true)}
+            disabled={saving}
+          >
+            <Text style={styles.primaryButtonText}>Save & Start</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 60,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+    backgroundColor: Colors.primary,
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: Colors.background,
+    fontWeight: '600',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: Colors.background,
+    flex: 1,
+  },
+  loadingText: {
+    fontSize: 16,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: Colors.text,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: Colors.accent,
+    backgroundColor: Colors.accent,
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: Colors.text,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  numberInput: {
+    flex: 1,
+    backgroundColor: Colors.background,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: Colors.text,
+  },
+  inputSeparator: {
+    marginHorizontal: 10,
+    fontSize: 14,
+    color: Colors.textSecondary,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    backgroundColor: Colors.background,
+  },
+  chipSelected: {
+    backgroundColor: Colors.primary,
+  },
+  chipText: {
+    fontSize: 14,
+    color: Colors.primary,
+    fontWeight: '600',
+  },
+  chipTextSelected: {
+    color: Colors.background,
+  },
+  ruleCard: {
+    backgroundColor: Colors.accent,
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+  },
+  combinatorLabel: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: Colors.primary,
+    marginBottom: 6,
+  },
+  ruleHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  ruleTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: Colors.text,
+  },
+  removeText: {
+    fontSize: 14,
+    color: Colors.error,
+    fontWeight: '600',
+  },
+  hintText: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 24,
+    gap: 12,
+  },
+  secondaryButton: {
+    flex: 1,
+    backgroundColor: Colors.background,
+    borderWidth: 2,
+    borderColor: Colors.primary,
+    padding: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: Colors.primary,
+  },
+  primaryButton: {
+    flex: 2,
+    backgroundColor: Colors.primary,
+    padding: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: Colors.background,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+});
@@ -1,35 +1,120 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { View, StyleSheet, Text, Alert, ActivityIndicator, TouchableOpacity } from 'react-native';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { View, StyleSheet, Text, Alert, ActivityIndicator, TouchableOpacity, ScrollView } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import * as MediaLibrary from 'expo-media-library';
 import SwipeCard from '../components/SwipeCard';
-import { detectDuplicatesAndSimilar } from '../utils/photoDetection';
-import { saveDeletedPhoto, saveFavoritePhoto, saveCleanupSession, getDeletedPhotos, getFavoritePhotos, restorePhoto } from '../utils/storage';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { Colors } from '../constants/colors';
+import EventSeparatorCard from '../components/EventSeparatorCard';
+import AlbumPickerSheet from '../components/AlbumPickerSheet';
+import UndoButton from '../components/UndoButton';
+import { runAnalysisPipeline } from '../utils/analysisPipeline';
+import { isCancellation } from '../utils/cancellation';
+import { selectPhotosForMode, getCleanupMode } from '../detectors';
+import { getSmartFilterId, selectPhotosForSmartFilter } from '../utils/smartFilters';
+import { collapseCaptureTwins } from '../utils/captureGroups';
+import { EVENT_MODE_KEY, TIMELINE_MODE_KEY, selectPhotosForEvent, selectPhotosForTimeline, segmentByTimeGaps, formatDateRange } from '../utils/eventClustering';
+import { saveCleanupSession, getDeletedPhotos, getSmartFilter, getUndecidedPhotos, getQuickAlbums, setQuickAlbumPinned, saveSessionQueue, getSessionQueue, saveSessionProgress, getSessionProgress, clearSavedSession } from '../utils/storage';
+import { getSessionKey, buildSessionProgress, restoreSession } from '../utils/savedSessions';
+import { excludeRecentlyReviewed, flushReviewed } from '../utils/reviewedLedger';
+import { JournalEffect, recordDecision, undo, redo, peekUndo, peekRedo, describeEntries } from '../utils/undoJournal';
+import { createAlbumWith } from '../utils/albums';
+import { UNDECIDED_MODE_KEY, selectUndecidedPhotos } from '../utils/undecided';
+import { useSettings, SettingKey } from '../utils/settings';
+import { Colors, SwipeActions, SwipeDirections } from '../constants/colors';
+import { AnalysisPhase, AnalysisPhaseLabels } from '../constants/analysis';
+
+// Directions in the order the help lists them, their actions come from the gesture setting
+const INSTRUCTION_DIRECTIONS = [
+  [SwipeDirections.LEFT, '← Swipe Left'],
+  [SwipeDirections.RIGHT, '→ Swipe Right'],
+  [SwipeDirections.UP, '↑ Swipe Up'],
+  [SwipeDirections.DOWN, '↓ Swipe Down'],
+];
+const ACTION_LABELS = {
+  [SwipeActions.DELETE]: 'DELETE',
+  [SwipeActions.KEEP]: 'KEEP',
+  [SwipeActions.FAVORITE]: 'FAVORITE',
+  [SwipeActions.LATER]: 'LATER',
+};
+
+const INITIAL_PROGRESS = { phase: AnalysisPhase.LOADING, processed: 0, total: 0, etaMs: null, percent: 0 };
+const EMPTY_COUNTS = { deleted: 0, kept: 0, favorited: 0, later: 0, storageCleared: 0 };
+
+// Photos a journal entry marked for deletion
+const getMarkedPhotos = entry => entry.effects.find(effect => effect.type === JournalEffect.MARK_DELETED)?.photos || [];
 
 export default function SwipeScreen({ navigation, route }) {
   const [photos, setPhotos] = useState([]);
   const [currentIndex, setCurrentIndex] = useState(0);
   const [loading, setLoading] = useState(true);
-  const [analyzing, setAnalyzing] = useState(false);
-  const [analysisProgress, setAnalysisProgress] = useState(0);
+  const [analysisProgress, setAnalysisProgress] = useState(INITIAL_PROGRESS);
   const [deletedCount, setDeletedCount] = useState(0);
   const [keptCount, setKeptCount] = useState(0);
   const [favoriteCount, setFavoriteCount] = useState(0);
+  const [laterCount, setLaterCount] = useState(0);
   const [storageCleared, setStorageCleared] = useState(0);
   const [swipeHistory, setSwipeHistory] = useState([]); // Track swiped photos for undo
   const [showInstructions, setShowInstructions] = useState(false);
+  const [showAlbumSheet, setShowAlbumSheet] = useState(false);
+  const [quickAlbums, setQuickAlbums] = useState([]); // Pinned for one-tap filing
+  const abortControllerRef = useRef(null);
+  const undecidedIdsRef = useRef(new Set()); // Photos waiting in the "decide later" queue
+  const queueSavedRef = useRef(false); // Session photo ids are saved with the first progress
+  const sessionFinishedRef = useRef(false);
+  const sessionIdRef = useRef(null); // Tells this session's journal entries from others
+  const settings = useSettings();
+  const [smartFilter, setSmartFilter] = useState(null);
+  const [segments, setSegments] = useState([]); // Events of a chronological session
+  const [dismissedSeparators, setDismissedSeparators] = useState([]); // Segment indices
   const cleanupMode = route?.params?.mode || 'all';
+  const smartFilterId = getSmartFilterId(cleanupMode);
+  const event = cleanupMode === EVENT_MODE_KEY ? route?.params?.event : null;
+  const albumIds = route?.params?.albumIds || null; // Album-scoped session
+  const albumTitles = route?.params?.albumTitles || [];
+  const isChronological = !!event || cleanupMode === TIMELINE_MODE_KEY;
+  const sessionKey = getSessionKey(route?.params);
+  const isResume = !!route?.params?.resume;
+  const segmentIndex = segments.findIndex(segment => currentIndex >= segment.start && currentIndex < segment.end);
+  let cleanupModeInfo = getCleanupMode(cleanupMode);
+  if (cleanupMode === TIMELINE_MODE_KEY) {
+    const segment = segments[segmentIndex];
+    cleanupModeInfo = {
+      icon: '🗓️',
+      label: 'By Event',
+      detail: segment && `Event ${segmentIndex + 1} of ${segments.length} · ${formatDateRange(segment.startTime, segment.endTime)}`,
+    };
+  } else if (cleanupMode === UNDECIDED_MODE_KEY) {
+    cleanupModeInfo = { icon: '🤔', label: 'Decide Later' };
+  } else if (albumIds && cleanupMode === 'all') {
+    cleanupModeInfo = { icon: '📁', label: albumTitles.length === 1 ? albumTitles[0] : `${albumTitles.length} albums` };
+  } else if (smartFilter) {
+    cleanupModeInfo = { icon: '🔎', label: smartFilter.name };
+  } else if (event) {
+    cleanupModeInfo = { icon: '🗺️', label: event.name, detail: formatDateRange(event.startTime, event.endTime) };
+  }
+  // Reviewed photos are remembered per session key, so per mode, album selection or event
+  const reviewedMode = {
+    key: sessionKey,
+    label: albumIds ? (albumTitles.length === 1 ? albumTitles[0] : albumTitles.join(', ')) : cleanupModeInfo?.label || cleanupMode,
+  };
 
   useEffect(() => {
     loadPhotos();
+    getQuickAlbums().then(setQuickAlbums);
+    // Leaving the screen stops the analysis, finished work stays cached for the next visit
+    return () => {
+      abortControllerRef.current?.abort();
+      flushReviewed();
+    };
   }, []);
 
   const loadPhotos = async () => {
+    abortControllerRef.current?.abort();
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     try {
       setLoading(true);
-      setAnalysisProgress(0);
+      setAnalysisProgress(INITIAL_PROGRESS);
       
       // Request permissions
       const { status } = await MediaLibrary.requestPermissionsAsync();
@@ -43,155 +128,114 @@ export default function SwipeScreen({ navigation, route }) {
         return;
       }
 
-      // Load all photos with pagination
-      let allAssets = [];
-      let hasNextPage = true;
-      let after = null;
-      const pageSize = 100;
-      let totalCount = 0;
-      let pageCount = 0;
-
-      // Get initial count first
-      const firstResult = await MediaLibrary.getAssetsAsync({
-        mediaType: ['photo'],
-        sortBy: ['creationTime'],
-        first: 1,
+      // Load the library and detect duplicates/similar with progress
+      const processedPhotos = await runAnalysisPipeline({
+        signal: abortController.signal,
+        onProgress: setAnalysisProgress,
+        albumIds,
       });
-      totalCount = firstResult.totalCount || 1;
-      setAnalysisProgress(5); // Start at 5%
-
-      // Reset and load all
-      allAssets = [];
-      hasNextPage = true;
-      after = null;
-
-      while (hasNextPage) {
-        const result = await MediaLibrary.getAssetsAsync({
-          mediaType: ['photo'],
-          sortBy: ['creationTime'],
-          first: pageSize,
-          after: after,
-        });
 
-        allAssets = [...allAssets, ...result.assets];
-        hasNextPage = result.hasNextPage;
-        after = result.endCursor;
-        pageCount++;
-        
-        // Update progress while loading (5-45%)
-        // Use page estimation if totalCount not reliable
-        const estimatedTotal = totalCount > 0 ? totalCount : allAssets.length + (hasNextPage ? pageSize : 0);
-        const loadProgress = Math.min(45, 5 + (allAssets.length / Math.max(estimatedTotal, 1)) * 40);
-        setAnalysisProgress(loadProgress);
-        
-        // Safety check - limit to prevent infinite loops
-        if (pageCount > 1000) {
-          console.warn('Photo loading limit reached');
-          break;
-        }
-      }
-
-      if (allAssets.length === 0) {
-        Alert.alert('No Photos', 'No photos found in your library.');
+      if (processedPhotos.length === 0) {
+        Alert.alert('No Photos', albumIds ? 'No photos found in the selected albums.' : 'No photos found in your library.');
         setLoading(false);
         return;
       }
 
-      // Map assets to photo format
-      // We'll get local URIs on-demand in SwipeCard to avoid blocking
-      const photoData = allAssets.map(asset => ({
-        id: asset.id,
-        uri: asset.uri, // Keep original URI, SwipeCard will convert if needed
-        width: asset.width || 0,
-        height: asset.height || 0,
-        size: asset.fileSize || 0,
-        creationTime: asset.creationTime * 1000, // Convert to milliseconds
-      }));
-
-      // Start analysis
-      setLoading(false);
-      setAnalyzing(true);
-      setAnalysisProgress(50);
-
-      // Process photos and detect duplicates/similar with progress
-      const processedPhotos = await detectDuplicatesAndSimilar(
-        photoData,
-        (progress) => {
-          // Progress from 50% to 100% during analysis
-          setAnalysisProgress(50 + (progress * 0.5));
-        }
-      );
+      // Photos decided in this session leave the "decide later" queue
+      const undecided = await getUndecidedPhotos();
+      undecidedIdsRef.current = new Set(undecided.map(p => p.id));
 
-      // Filter photos based on cleanup mode
-      let filteredPhotos = processedPhotos;
-      
-      switch (cleanupMode) {
-        case 'screenshots':
-          filteredPhotos = processedPhotos.filter(p => 
-            p.categories?.includes('screenshot')
-          );
-          break;
-        case 'duplicates':
-          filteredPhotos = processedPhotos.filter(p => 
-            p.isDuplicate || p.categories?.includes('duplicate') || p.categories?.includes('similar')
+      // Filter and order photos for the cleanup mode's detector, or the user's smart filter
+      let filteredPhotos;
+      let modeLabel = cleanupModeInfo?.label || cleanupMode;
+      if (smartFilterId) {
+        const filter = await getSmartFilter(smartFilterId);
+        if (!filter) {
+          Alert.alert(
+            'Filter Not Found',
+            'This smart filter was deleted.',
+            [{ text: 'OK', onPress: () => navigation.goBack() }]
           );
-          break;
-        case 'large':
-          // Filter photos larger than 5MB
-          filteredPhotos = processedPhotos.filter(p => 
-            (p.size || 0) > 5 * 1024 * 1024
-          ).sort((a, b) => (b.size || 0) - (a.size || 0)); // Largest first
-          break;
-        case 'old':
-          // Filter photos older than 1 year or marked as old_unused
-          const oneYearAgo = Date.now() - (365 * 24 * 60 * 60 * 1000);
-          filteredPhotos = processedPhotos.filter(p => 
-            p.categories?.includes('old_unused') || p.creationTime < oneYearAgo
-          ).sort((a, b) => a.creationTime - b.creationTime); // Oldest first
-          break;
-        case 'lowquality':
-          filteredPhotos = processedPhotos.filter(p => 
-            p.categories?.includes('low_quality')
-          );
-          break;
-        case 'all':
-        default:
-          // Prioritize duplicates and low-quality photos
-          filteredPhotos = processedPhotos.sort((a, b) => {
-            const aScore = (a.isDuplicate ? 10 : 0) +
-                          (a.categories?.includes('low_quality') ? 5 : 0) +
-                          (a.categories?.includes('screenshot') ? 3 : 0);
-            const bScore = (b.isDuplicate ? 10 : 0) +
-                          (b.categories?.includes('low_quality') ? 5 : 0) +
-                          (b.categories?.includes('screenshot') ? 3 : 0);
-            return bScore - aScore;
-          });
-          break;
+          setLoading(false);
+          return;
+        }
+        setSmartFilter(filter);
+        modeLabel = filter.name;
+        filteredPhotos = await selectPhotosForSmartFilter(processedPhotos, filter);
+      } else if (event) {
+        filteredPhotos = selectPhotosForEvent(processedPhotos, event);
+      } else if (cleanupMode === UNDECIDED_MODE_KEY) {
+        filteredPhotos = selectUndecidedPhotos(processedPhotos, undecided);
+      } else if (cleanupMode === TIMELINE_MODE_KEY) {
+        filteredPhotos = selectPhotosForTimeline(processedPhotos);
+      } else {
+        filteredPhotos = selectPhotosForMode(processedPhotos, cleanupMode);
       }
       
       if (filteredPhotos.length === 0 && cleanupMode !== 'all') {
         Alert.alert(
           'No Photos Found', 
-          `No photos found matching the ${cleanupMode} filter. Try a different cleanup mode.`,
+          `No photos found matching the ${modeLabel} filter. Try a different cleanup mode.`,
           [{ text: 'OK', onPress: () => navigation.goBack() }]
         );
         setLoading(false);
         return;
       }
       
-      const sortedPhotos = filteredPhotos;
+      // Photos decided in this mode lately stay out, the "decide later" queue always shows all
+      if (cleanupMode !== UNDECIDED_MODE_KEY) {
+        const unreviewed = await excludeRecentlyReviewed(reviewedMode.key, filteredPhotos);
+        if (unreviewed.length === 0 && filteredPhotos.length > 0 && !isResume) {
+          Alert.alert(
+            'All Reviewed',
+            `You've recently reviewed every photo in ${modeLabel}. Reset it in Settings to go through them again.`,
+            [{ text: 'OK', onPress: () => navigation.goBack() }]
+          );
+          setLoading(false);
+          return;
+        }
+        filteredPhotos = unreviewed;
+      }
+
+      // Each capture is decided once, RAW/HEIC/JPEG twins and Live Photo clips ride along
+      const sessionPhotos = collapseCaptureTwins(filteredPhotos);
 
-      setPhotos(sortedPhotos);
-      setAnalyzing(false);
-      setAnalysisProgress(100);
+      // Pick up an interrupted session where it stopped, photos decided in it may no longer
+      // match the mode so they are looked up in the whole library
+      let progress = null;
+      let restored = null;
+      if (isResume) {
+        progress = await getSessionProgress(sessionKey);
+        const queueIds = await getSessionQueue(sessionKey);
+        if (progress && queueIds) {
+          restored = restoreSession(progress, queueIds, [...collapseCaptureTwins(processedPhotos), ...sessionPhotos]);
+        }
+      }
+      const session = restored || { photos: sessionPhotos, currentIndex: 0, history: [] };
+      const counts = restored ? { ...EMPTY_COUNTS, ...progress.counts } : EMPTY_COUNTS;
+
+      setPhotos(session.photos);
+      // Chronological sessions are walked event by event, split at gaps in capture time
+      setSegments(isChronological ? segmentByTimeGaps(session.photos) : []);
+      setDismissedSeparators(restored ? progress.dismissedSeparators || [] : []);
+      setSwipeHistory(session.history);
+      queueSavedRef.current = false;
+      sessionIdRef.current = restored && progress.sessionId ? progress.sessionId : String(Date.now());
+      sessionFinishedRef.current = false;
+      setLoading(false);
       
-      // Reset stats for new session
-      setCurrentIndex(0);
-      setDeletedCount(0);
-      setKeptCount(0);
-      setFavoriteCount(0);
-      setStorageCleared(0);
+      // Stats of the resumed session, or reset for a new one
+      setCurrentIndex(session.currentIndex);
+      setDeletedCount(counts.deleted);
+      setKeptCount(counts.kept);
+      setFavoriteCount(counts.favorited);
+      setLaterCount(counts.later);
+      setStorageCleared(counts.storageCleared);
     } catch (error) {
+      if (isCancellation(error)) {
+        // Cancelled by the user or by leaving the screen, nothing to report
+        return;
+      }
       console.error('Error loading photos:', error);
       Alert.alert(
         'Error', 
@@ -199,11 +243,47 @@ export default function SwipeScreen({ navigation, route }) {
         [{ text: 'OK', onPress: () => navigation.goBack() }]
       );
       setLoading(false);
-      setAnalyzing(false);
     }
   };
 
+  const cancelAnalysis = useCallback(() => {
+    abortControllerRef.current?.abort();
+    navigation.goBack();
+  }, [navigation]);
+
+  // Save progress as it changes, so leaving the screen or the app being killed keeps the session
+  useEffect(() => {
+    if (loading || sessionFinishedRef.current || photos.length === 0) return;
+    // Nothing decided yet, an earlier unfinished session of this mode stays resumable
+    if (currentIndex === 0 && swipeHistory.length === 0) return;
+
+    if (!queueSavedRef.current) {
+      queueSavedRef.current = true;
+      saveSessionQueue(sessionKey, photos.map(photo => photo.id));
+    }
+    saveSessionProgress(sessionKey, buildSessionProgress({
+      params: route?.params,
+      sessionId: sessionIdRef.current,
+      label: cleanupModeInfo?.label || cleanupMode,
+      icon: cleanupModeInfo?.icon || '🧹',
+      photos,
+      currentIndex,
+      counts: {
+        deleted: deletedCount,
+        kept: keptCount,
+        favorited: favoriteCount,
+        later: laterCount,
+        storageCleared,
+      },
+      history: swipeHistory,
+      dismissedSeparators,
+    }));
+  }, [loading, photos, currentIndex, swipeHistory, deletedCount, keptCount, favoriteCount, laterCount, storageCleared, dismissedSeparators]);
+
   const finishSession = useCallback(async () => {
+    sessionFinishedRef.current = true;
+    await clearSavedSession(sessionKey);
+
     // Don't save session here - only save when photos are actually deleted
     // Marked photos haven't been deleted yet, just saved for review
     const stats = {
@@ -211,38 +291,98 @@ export default function SwipeScreen({ navigation, route }) {
       deleted: deletedCount, // This is count marked, not actually deleted
       kept: keptCount,
       favorited: favoriteCount,
+      later: laterCount,
       storageCleared: 0, // Don't count storage until actually deleted
     };
 
     // Don't save session with storageCleared=0, only navigate
     navigation.navigate('SessionSummary', { stats });
-  }, [photos.length, deletedCount, keptCount, favoriteCount, navigation]);
+  }, [photos.length, deletedCount, keptCount, favoriteCount, laterCount, navigation, sessionKey]);
 
 
-  const handleSwipe = useCallback(async (action, photo) => {
+  // Adds a decision to the session's counts, or takes it off again (sign -1) when it is undone
+  const countDecision = (entry, sign) => {
+    const markedPhotos = getMarkedPhotos(entry);
+    if (markedPhotos.length > 0) {
+      setDeletedCount(prev => Math.max(0, prev + sign * markedPhotos.length));
+      const markedSize = markedPhotos.reduce((sum, p) => sum + (Number(p.size) || 0), 0);
+      setStorageCleared(prev => Math.max(0, prev + sign * markedSize));
+    }
+
+    if (['keep', 'drop_twins', 'file_album'].includes(entry.action)) {
+      setKeptCount(prev => Math.max(0, prev + sign));
+    } else if (entry.action === 'favorite') {
+      setFavoriteCount(prev => Math.max(0, prev + sign));
+    } else if (entry.action === SwipeActions.LATER) {
+      setLaterCount(prev => Math.max(0, prev + sign));
+    }
+  };
+
+  // Keep the known "decide later" queue in step with decisions being made, undone and redone
+  const syncUndecided = (entry, isApplied) => {
+    entry.effects.forEach(effect => {
+      if (effect.type !== JournalEffect.QUEUE_LATER && effect.type !== JournalEffect.UNQUEUE_LATER) return;
+      const isQueued = (effect.type === JournalEffect.QUEUE_LATER) === isApplied;
+      if (isQueued) {
+        undecidedIdsRef.current.add(effect.photo.id);
+      } else {
+        undecidedIdsRef.current.delete(effect.photo.id);
+      }
+    });
+  };
+
+  /**
+   * Record a decision in the undo journal, which carries it out, and move to the next photo
+   * @param {Object} filing - {album} the photo is filed into, {inAlbum} if it is already there
+   * @returns {Promise<boolean>} Whether the decision was saved
+   */
+  const handleSwipe = useCallback(async (action, photo, { album = null, inAlbum = false } = {}) => {
     try {
-      // Add to history for undo
+      const capturePhotos = [photo, ...(photo.twins || [])];
+      const effects = [];
+
+      // Deleting a capture takes its other formats along, dropping twins keeps only this format
+      if (action === 'delete') {
+        effects.push({ type: JournalEffect.MARK_DELETED, photos: capturePhotos });
+      } else if (action === 'drop_twins' && photo.twins?.length > 0) {
+        effects.push({ type: JournalEffect.MARK_DELETED, photos: photo.twins });
+      }
+
+      if (action === 'favorite') {
+        effects.push({ type: JournalEffect.FAVORITE, photo });
+      } else if (action === 'file_album') {
+        effects.push({ type: JournalEffect.ALBUM, album: { id: album.id, title: album.title }, photos: capturePhotos, inAlbum });
+      }
+
+      if (action === SwipeActions.LATER) {
+        effects.push({ type: JournalEffect.QUEUE_LATER, photo });
+      } else {
+        // A decision takes the photo out of the "decide later" queue
+        if (undecidedIdsRef.current.has(photo.id)) {
+          effects.push({ type: JournalEffect.UNQUEUE_LATER, photo });
+        }
+        effects.push({ type: JournalEffect.REVIEWED, mode: reviewedMode, photos: capturePhotos, decision: action });
+      }
+
+      const entry = await recordDecision({
+        action,
+        photo,
+        effects,
+        context: { sessionId: sessionIdRef.current },
+      });
+      syncUndecided(entry, true);
+      countDecision(entry, 1);
+
+      // Add to the session's history, for its stats and for resuming it
       setSwipeHistory(prev => [...prev, {
         index: currentIndex,
         photo: photo,
         action: action,
-        timestamp: Date.now()
+        markedPhotos: getMarkedPhotos(entry),
+        journalId: entry.id,
+        timestamp: entry.timestamp,
       }]);
 
-      if (action === 'delete') {
-        // Mark for deletion (save to storage, but don't delete from device yet)
-        await saveDeletedPhoto(photo);
-        setDeletedCount(prev => prev + 1);
-        // Accumulate storage that will be freed when actually deleted
-        const photoSize = Number(photo.size) || 0;
-        setStorageCleared(prev => prev + photoSize);
-      } else if (action === 'keep') {
-        setKeptCount(prev => prev + 1);
-      } else if (action === 'favorite') {
-        await saveFavoritePhoto(photo);
-        setFavoriteCount(prev => prev + 1);
-      }
-
       // Small delay to let card animation complete, then move to next photo
       setTimeout(() => {
         setCurrentIndex(prev => {
@@ -256,39 +396,145 @@ export default function SwipeScreen({ navigation, route }) {
           }
         });
       }, 300); // Wait for card animation to complete
+      return true;
     } catch (error) {
       console.error('Error handling swipe:', error);
+      return false;
     }
   }, [photos.length, finishSession, currentIndex]);
 
-  const handleUndo = useCallback(async () => {
-    if (swipeHistory.length === 0) return;
+  // The journal is shared, so undo and redo also reach decisions made elsewhere, ask first then
+  const confirmElsewhere = (title, entries, onConfirm) => {
+    const elsewhere = entries.filter(entry => entry.context?.sessionId !== sessionIdRef.current);
+    if (elsewhere.length === 0) {
+      onConfirm();
+      return;
+    }
+    Alert.alert(
+      title,
+      `These decisions were made outside this session:\n${describeEntries(elsewhere)}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Continue', onPress: onConfirm },
+      ]
+    );
+  };
 
-    const lastSwipe = swipeHistory[swipeHistory.length - 1];
-    
+  const undoSteps = useCallback(async (steps) => {
     try {
-      // Restore photo from deleted list if it was deleted
-      if (lastSwipe.action === 'delete') {
-        await restorePhoto(lastSwipe.photo.id);
-        setDeletedCount(prev => Math.max(0, prev - 1));
-        const photoSize = Number(lastSwipe.photo.size) || 0;
-        setStorageCleared(prev => Math.max(0, prev - photoSize));
-      } else if (lastSwipe.action === 'favorite') {
-        // Remove from favorites if favorited
-        const favorites = await getFavoritePhotos();
-        const filtered = favorites.filter(p => p.id !== lastSwipe.photo.id);
-        await AsyncStorage.setItem('swipeclean:favorite_photos', JSON.stringify(filtered));
-        setFavoriteCount(prev => Math.max(0, prev - 1));
-      }
+      const undone = await undo(steps);
+      const undoneIds = new Set();
+      const stillInAlbums = [];
+      let backToIndex = null;
+
+      // Most recent first, so the session ends up at the oldest decision undone
+      undone.forEach(entry => {
+        syncUndecided(entry, false);
+        const filing = entry.effects.find(effect => effect.type === JournalEffect.ALBUM);
+        if (filing?.inAlbum) {
+          stillInAlbums.push(filing.album.title);
+        }
+
+        const historyEntry = swipeHistory.find(item => item.journalId === entry.id);
+        if (historyEntry) {
+          countDecision(entry, -1);
+          undoneIds.add(entry.id);
+          backToIndex = historyEntry.index;
+        }
+      });
 
-      // Go back to previous photo
-      setCurrentIndex(lastSwipe.index);
-      setSwipeHistory(prev => prev.slice(0, -1));
+      if (undoneIds.size > 0) {
+        setSwipeHistory(prev => prev.filter(item => !undoneIds.has(item.journalId)));
+        setCurrentIndex(backToIndex);
+      }
+      if (stillInAlbums.length > 0) {
+        Alert.alert('Still in Album', `Photos stay in "${[...new Set(stillInAlbums)].join('", "')}", remove them there if needed.`);
+      }
     } catch (error) {
       console.error('Error undoing swipe:', error);
     }
   }, [swipeHistory]);
 
+  const handleUndo = useCallback(async (steps = 1) => {
+    try {
+      confirmElsewhere('Undo Elsewhere?', await peekUndo(steps), () => undoSteps(steps));
+    } catch (error) {
+      console.error('Error undoing swipe:', error);
+    }
+  }, [undoSteps]);
+
+  const redoSteps = useCallback(async (steps) => {
+    try {
+      const redone = await redo(steps);
+      const historyEntries = [];
+
+      // Decisions made in this session go back into it, others only change what is stored
+      redone.forEach(entry => {
+        syncUndecided(entry, true);
+        const index = entry.context?.sessionId === sessionIdRef.current
+          ? photos.findIndex(photo => photo.id === entry.photo.id)
+          : -1;
+        if (index === -1) return;
+
+        countDecision(entry, 1);
+        historyEntries.push({
+          index,
+          photo: photos[index],
+          action: entry.action,
+          markedPhotos: getMarkedPhotos(entry),
+          journalId: entry.id,
+          timestamp: entry.timestamp,
+        });
+      });
+
+      if (historyEntries.length > 0) {
+        setSwipeHistory(prev => [...prev, ...historyEntries]);
+        setCurrentIndex(Math.min(historyEntries[historyEntries.length - 1].index + 1, photos.length - 1));
+      }
+    } catch (error) {
+      console.error('Error redoing swipe:', error);
+    }
+  }, [photos]);
+
+  const handleRedo = useCallback(async (steps = 1) => {
+    try {
+      confirmElsewhere('Redo Elsewhere?', await peekRedo(steps), () => redoSteps(steps));
+    } catch (error) {
+      console.error('Error redoing swipe:', error);
+    }
+  }, [redoSteps]);
+
+  // Filing keeps the photo (with the other formats of the same capture) and moves on
+  const fileIntoAlbum = async (album) => {
+    setShowAlbumSheet(false);
+    const filed = await handleSwipe('file_album', photos[currentIndex], { album });
+    if (!filed) {
+      Alert.alert('Error', `Could not move the photo to "${album.title}". Please try again.`);
+    }
+  };
+
+  const fileIntoNewAlbum = async (title) => {
+    const photo = photos[currentIndex];
+    setShowAlbumSheet(false);
+    try {
+      // Creating the album already moves the photos into it
+      const album = await createAlbumWith(title, [photo, ...(photo.twins || [])]);
+      await handleSwipe('file_album', photo, { album, inAlbum: true });
+    } catch (error) {
+      console.error('Error creating album:', error);
+      Alert.alert('Error', `Could not create the album "${title}". Please try again.`);
+    }
+  };
+
+  const toggleQuickAlbum = async (album, isPinned) => {
+    const albums = await setQuickAlbumPinned(album, isPinned);
+    if (!albums) {
+      Alert.alert('Error', 'Could not save quick albums. Please try again.');
+      return;
+    }
+    setQuickAlbums(albums);
+  };
+
   const goToPrevious = useCallback(() => {
     if (currentIndex > 0) {
       setCurrentIndex(prev => prev - 1);
@@ -301,6 +547,36 @@ export default function SwipeScreen({ navigation, route }) {
     }
   }, [currentIndex, photos.length]);
 
+  // Between two events a separator card sums up the finished one before the next starts
+  const showSeparator = segmentIndex > 0 &&
+    currentIndex === segments[segmentIndex].start &&
+    !dismissedSeparators.includes(segmentIndex);
+
+  const summarizeSegment = (segment) => {
+    const entries = swipeHistory.filter(entry => entry.index >= segment.start && entry.index < segment.end);
+    const marked = entries.flatMap(entry => entry.markedPhotos || []);
+    return {
+      reviewed: new Set(entries.map(entry => entry.index)).size,
+      deleted: marked.length,
+      kept: entries.filter(entry => ['keep', 'drop_twins', 'file_album'].includes(entry.action)).length,
+      favorited: entries.filter(entry => entry.action === 'favorite').length,
+      freed: marked.reduce((sum, p) => sum + (Number(p.size) || 0), 0),
+    };
+  };
+
+  const dismissSeparator = useCallback(() => {
+    setDismissedSeparators(prev => [...prev, segmentIndex]);
+  }, [segmentIndex]);
+
+  const skipEvent = useCallback(() => {
+    const nextStart = segments[segmentIndex].end;
+    if (nextStart < photos.length) {
+      setCurrentIndex(nextStart);
+    } else {
+      finishSession();
+    }
+  }, [segments, segmentIndex, photos.length, finishSession]);
+
 
   const formatBytes = (bytes) => {
     if (bytes === 0) return '0 Bytes';
@@ -310,26 +586,43 @@ export default function SwipeScreen({ navigation, route }) {
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
   };
 
-  if (loading || analyzing) {
+  const formatEta = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `about ${Math.max(seconds, 1)}s left`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `about ${minutes} min left`;
+    return `about ${Math.floor(minutes / 60)} h ${minutes % 60} min left`;
+  };
+
+  if (loading) {
+    const { phase, processed, total, etaMs, percent } = analysisProgress;
     return (
       <View style={styles.loadingContainer}>
         <ActivityIndicator size="large" color={Colors.primary} />
         <Text style={styles.loadingText}>
-          {loading ? 'Loading photos from library...' : 'Analyzing photos for duplicates...'}
+          {AnalysisPhaseLabels[phase]}
         </Text>
-        {analysisProgress > 0 && (
+        {total > 0 && (
           <View style={styles.progressContainer}>
             <View style={styles.progressBar}>
               <View 
                 style={[
                   styles.progressFill, 
-                  { width: `${analysisProgress}%` }
+                  { width: `${percent}%` }
                 ]} 
               />
             </View>
-            <Text style={styles.progressText}>{Math.round(analysisProgress)}%</Text>
+            <Text style={styles.progressText}>{percent}%</Text>
+            <Text style={styles.progressDetail}>
+              {processed.toLocaleString()} of {total.toLocaleString()}
+              {etaMs !== null ? ` · ${formatEta(etaMs)}` : ''}
+            </Text>
           </View>
         )}
+        <TouchableOpacity style={styles.cancelButton} onPress={cancelAnalysis}>
+          <Text style={styles.cancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+        <Text style={styles.resumeHint}>Analyzed photos are saved, the next scan picks up here</Text>
       </View>
     );
   }
@@ -362,15 +655,14 @@ export default function SwipeScreen({ navigation, route }) {
         </TouchableOpacity>
         
         <View style={styles.headerStats}>
-          {cleanupMode !== 'all' && (
+          {(cleanupMode !== 'all' || albumIds) && (
             <View style={styles.modeBadge}>
               <Text style={styles.modeBadgeText}>
-                {cleanupMode === 'screenshots' ? '📱 Screenshots' :
-                 cleanupMode === 'duplicates' ? '🔄 Duplicates' :
-                 cleanupMode === 'large' ? '📦 Large Files' :
-                 cleanupMode === 'old' ? '📅 Old Photos' :
-                 cleanupMode === 'lowquality' ? '🌫️ Low Quality' : ''}
+                {cleanupModeInfo ? `${cleanupModeInfo.icon} ${cleanupModeInfo.label}` : ''}
               </Text>
+              {cleanupModeInfo?.detail && (
+                <Text style={styles.modeBadgeDetail}>{cleanupModeInfo.detail}</Text>
+              )}
             </View>
           )}
           <View style={styles.statBox}>
@@ -389,13 +681,49 @@ export default function SwipeScreen({ navigation, route }) {
       </View>
       
 
+      {/* Quick albums: one tap files the photo and moves on */}
+      {!showSeparator && (
+        <ScrollView
+          horizontal
+          style={styles.quickAlbums}
+          contentContainerStyle={styles.quickAlbumsContent}
+          showsHorizontalScrollIndicator={false}
+        >
+          <TouchableOpacity style={styles.quickAlbumChip} onPress={() => setShowAlbumSheet(true)}>
+            <Text style={styles.quickAlbumText}>📁 Move to…</Text>
+          </TouchableOpacity>
+          {quickAlbums.map(album => (
+            <TouchableOpacity
+              key={album.id}
+              style={[styles.quickAlbumChip, styles.quickAlbumChipPinned]}
+              onPress={() => fileIntoAlbum(album)}
+            >
+              <Text style={[styles.quickAlbumText, styles.quickAlbumTextPinned]} numberOfLines={1}>
+                {album.title}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
       {/* Swipe cards stack */}
       <View style={styles.cardsContainer}>
-        {currentIndex < photos.length && currentPhoto && (
+        {showSeparator && (
+          <EventSeparatorCard
+            finished={segments[segmentIndex - 1]}
+            next={segments[segmentIndex]}
+            summary={summarizeSegment(segments[segmentIndex - 1])}
+            onContinue={dismissSeparator}
+            onSkip={skipEvent}
+          />
+        )}
+
+        {!showSeparator && currentIndex < photos.length && currentPhoto && (
           <SwipeCard
             key={`photo-${currentPhoto.id}-${currentIndex}`}
             photo={currentPhoto}
             onSwipe={handleSwipe}
+            onLongPress={() => setShowAlbumSheet(true)}
             index={currentIndex}
             total={photos.length}
           />
@@ -409,6 +737,19 @@ export default function SwipeScreen({ navigation, route }) {
         )}
       </View>
 
+      {/* One tap keeps this format and drops the redundant ones of the same capture */}
+      {!showSeparator && currentPhoto.twins?.length > 0 && (
+        <TouchableOpacity 
+          style={styles.twinButton}
+          onPress={() => handleSwipe('drop_twins', currentPhoto)}
+        >
+          <Text style={styles.twinButtonText}>
+            Keep {currentPhoto.twinFormat} only · drop {currentPhoto.twins.map(t => t.twinFormat).join(' + ')}
+            {' '}({formatBytes(currentPhoto.twins.reduce((sum, t) => sum + (Number(t.size) || 0), 0))})
+          </Text>
+        </TouchableOpacity>
+      )}
+
       {/* Bottom Controls - Delicate and Small */}
       <View style={styles.bottomControls}>
         <View style={styles.navigationControls}>
@@ -420,15 +761,8 @@ export default function SwipeScreen({ navigation, route }) {
             <Text style={styles.navButtonText}>←</Text>
           </TouchableOpacity>
 
-          {/* Undo Button */}
-          {swipeHistory.length > 0 && (
-            <TouchableOpacity 
-              style={styles.undoButton}
-              onPress={handleUndo}
-            >
-              <Text style={styles.undoButtonText}>↶</Text>
-            </TouchableOpacity>
-          )}
+          {/* Undo and redo, shared with every other screen through the journal */}
+          <UndoButton onUndo={handleUndo} onRedo={handleRedo} />
 
           <TouchableOpacity 
             style={[styles.navButton, currentIndex >= photos.length - 1 && styles.navButtonDisabled]}
@@ -447,6 +781,15 @@ export default function SwipeScreen({ navigation, route }) {
           <Text style={styles.helpButtonText}>?</Text>
         </TouchableOpacity>
 
+        <AlbumPickerSheet
+          visible={showAlbumSheet}
+          quickAlbums={quickAlbums}
+          onSelect={fileIntoAlbum}
+          onCreate={fileIntoNewAlbum}
+          onTogglePin={toggleQuickAlbum}
+          onClose={() => setShowAlbumSheet(false)}
+        />
+
         {/* Instructions Modal */}
         {showInstructions && (
           <View style={styles.instructionsModal}>
@@ -458,25 +801,25 @@ export default function SwipeScreen({ navigation, route }) {
                 <Text style={styles.closeInstructionsText}>✕</Text>
               </TouchableOpacity>
               <Text style={styles.instructionsTitle}>How to Use</Text>
-              <View style={styles.instructionRow}>
-                <Text style={styles.instructionIcon}>← Swipe Left</Text>
-                <Text style={styles.instructionLabel}>DELETE</Text>
-              </View>
-              <View style={styles.instructionRow}>
-                <Text style={styles.instructionIcon}>→ Swipe Right</Text>
-                <Text style={styles.instructionLabel}>KEEP</Text>
-              </View>
-              <View style={styles.instructionRow}>
-                <Text style={styles.instructionIcon}>↑ Swipe Up</Text>
-                <Text style={styles.instructionLabel}>FAVORITE</Text>
-              </View>
+              {INSTRUCTION_DIRECTIONS.map(([direction, gesture]) => (
+                <View key={direction} style={styles.instructionRow}>
+                  <Text style={styles.instructionIcon}>{gesture}</Text>
+                  <Text style={styles.instructionLabel}>
+                    {ACTION_LABELS[settings[SettingKey.GESTURES][direction]]}
+                  </Text>
+                </View>
+              ))}
               <View style={styles.instructionRow}>
                 <Text style={styles.instructionIcon}>← →</Text>
                 <Text style={styles.instructionLabel}>Navigate</Text>
               </View>
               <View style={styles.instructionRow}>
-                <Text style={styles.instructionIcon}>↶</Text>
-                <Text style={styles.instructionLabel}>Undo</Text>
+                <Text style={styles.instructionIcon}>Hold card</Text>
+                <Text style={styles.instructionLabel}>Move to album</Text>
+              </View>
+              <View style={styles.instructionRow}>
+                <Text style={styles.instructionIcon}>↶ ↷</Text>
+                <Text style={styles.instructionLabel}>Undo / Redo (hold for more)</Text>
               </View>
             </View>
           </View>
@@ -526,6 +869,31 @@ const styles = StyleSheet.create({
     color: Colors.textSecondary,
     fontWeight: '600',
   },
+  progressDetail: {
+    marginTop: 4,
+    fontSize: 12,
+    color: Colors.textSecondary,
+  },
+  cancelButton: {
+    marginTop: 24,
+    paddingHorizontal: 24,
+    paddingVertical: 10,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: Colors.textSecondary,
+  },
+  cancelButtonText: {
+    fontSize: 14,
+    color: Colors.textSecondary,
+    fontWeight: '600',
+  },
+  resumeHint: {
+    marginTop: 12,
+    fontSize: 12,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+    paddingHorizontal: 40,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -588,6 +956,11 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '600',
   },
+  modeBadgeDetail: {
+    color: Colors.background,
+    fontSize: 10,
+    marginTop: 2,
+  },
   pendingDeletionsBadge: {
     backgroundColor: Colors.warning,
     paddingVertical: 8,
@@ -612,6 +985,33 @@ const styles = StyleSheet.create({
     color: Colors.textSecondary,
     marginTop: 4,
   },
+  quickAlbums: {
+    flexGrow: 0,
+  },
+  quickAlbumsContent: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+  },
+  quickAlbumChip: {
+    maxWidth: 160,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    marginRight: 8,
+  },
+  quickAlbumChipPinned: {
+    backgroundColor: Colors.primary,
+  },
+  quickAlbumText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  quickAlbumTextPinned: {
+    color: Colors.background,
+  },
   cardsContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -628,6 +1028,26 @@ const styles = StyleSheet.create({
     marginTop: 10,
     marginLeft: 5,
   },
+  twinButton: {
+    position: 'absolute',
+    bottom: 96,
+    alignSelf: 'center',
+    backgroundColor: Colors.primary,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    zIndex: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  twinButtonText: {
+    color: Colors.background,
+    fontSize: 13,
+    fontWeight: '600',
+  },
   bottomControls: {
     position: 'absolute',
     bottom: 0,
@@ -666,25 +1086,6 @@ const styles = StyleSheet.create({
     color: Colors.background,
     fontWeight: '600',
   },
-  undoButton: {
-    width: 44,
-    height: 44,
-    borderRadius: 22,
-    backgroundColor: 'rgba(255, 149, 0, 0.9)',
-    justifyContent: 'center',
-    alignItems: 'center',
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.25,
-    shadowRadius: 4,
-    elevation: 3,
-    marginHorizontal: 12,
-  },
-  undoButtonText: {
-    color: Colors.background,
-    fontSize: 22,
-    fontWeight: '600',
-  },
   helpButton: {
     position: 'absolute',
     top: -40,
@@ -0,0 +1,364 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Text, FlatList, Image, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { Colors } from '../constants/colors';
+import { getTrashItems, restoreFromTrash, deleteFromTrash } from '../utils/trash';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default function TrashScreen({ navigation }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    loadItems();
+  }, []);
+
+  const loadItems = async () => {
+    try {
+      setItems(await getTrashItems());
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      Alert.alert('Error', 'Failed to load the trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatBytes = (bytes) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+  };
+
+  const formatDaysLeft = (expiresAt) => {
+    const days = Math.ceil((expiresAt - Date.now()) / DAY_MS);
+    if (days <= 1) return 'Deleted within a day';
+    return `${days} days left`;
+  };
+
+  const handleRestore = async (restoring) => {
+    setWorking(true);
+    try {
+      const restored = await restoreFromTrash(restoring);
+      if (restored < restoring.length) {
+        Alert.alert(
+          'Restore Incomplete',
+          `Restored ${restored} of ${restoring.length} item${restoring.length > 1 ? 's' : ''}. The rest stay in the trash.`
+        );
+      } else if (restoring.length > 1) {
+        Alert.alert('Restored', `${restored} items are back in your library.`);
+      }
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      Alert.alert('Error', 'Failed to restore from the trash');
+    } finally {
+      setWorking(false);
+      await loadItems();
+    }
+  };
+
+  const handleDeleteForever = (deleting) => {
+    Alert.alert(
+      deleting.length > 1 ? 'Empty Trash' : 'Delete Forever',
+      `Permanently delete ${deleting.length} item${deleting.length > 1 ? 's' : ''}? This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setWorking(true);
+            try {
+              await deleteFromTrash(deleting);
+            } catch (error) {
+              console.error('Error deleting from trash:', error);
+              Alert.alert('Error', 'Failed to delete from the trash');
+            } finally {
+              setWorking(false);
+              await loadItems();
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const totalSize = items.reduce((sum, item) => sum + item.size, 0);
+
+  const renderItem = ({ item }) => (
+    <View style={styles.item}>
+      {item.mediaType === 'video' ? (
+        <View style={[styles.thumbnail, styles.videoThumbnail]}>
+          <Text style={styles.videoIcon}>🎬</Text>
+        </View>
+      ) : (
+        <Image source={{ uri: item.uri }} style={styles.thumbnail} />
+      )}
+      <View style={styles.itemInfo}>
+        <Text style={styles.itemName} numberOfLines={1}>{item.filename}</Text>
+        <Text style={styles.itemDetail}>
+          {formatBytes(item.size)} · {formatDaysLeft(item.expiresAt)}
+        </Text>
+      </View>
+      <TouchableOpacity
+        style={styles.restoreButton}
+        onPress={() => handleRestore([item])}
+        disabled={working}
+      >
+        <Text style={styles.restoreButtonText}>Restore</Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.removeButton}
+        onPress={() => handleDeleteForever([item])}
+        disabled={working}
+      >
+        <Text style={styles.removeButtonText}>✕</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <StatusBar style="auto" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Trash</Text>
+        {working && <ActivityIndicator color={Colors.background} />}
+      </View>
+
+      {loading ? (
+        <Text style={styles.loadingText}>Loading trash...</Text>
+      ) : items.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyIcon}>🗑️</Text>
+          <Text style={styles.emptyText}>The trash is empty</Text>
+          <Text style={styles.emptySubtext}>
+            With a trash period set in Settings, deleted photos can be restored from here until it ends
+          </Text>
+        </View>
+      ) : (
+        <>
+          {/* Summary Card */}
+          <View style={styles.summaryCard}>
+            <View style={styles.summaryRow}>
+              <Text style={styles.summaryLabel}>In Trash:</Text>
+              <Text style={styles.summaryValue}>{items.length} item{items.length > 1 ? 's' : ''}</Text>
+            </View>
+            <View style={styles.summaryRow}>
+              <Text style={styles.summaryLabel}>Storage Used:</Text>
+              <Text style={styles.summaryValue}>{formatBytes(totalSize)}</Text>
+            </View>
+          </View>
+
+          {/* Actions */}
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={styles.restoreAllButton}
+              onPress={() => handleRestore(items)}
+              disabled={working}
+            >
+              <Text style={styles.restoreAllText}>Restore All</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.emptyButton}
+              onPress={() => handleDeleteForever(items)}
+              disabled={working}
+            >
+              <Text style={styles.emptyButtonText}>Empty Trash</Text>
+            </TouchableOpacity>
+          </View>
+
+          <FlatList
+            data={items}
+            renderItem={renderItem}
+            keyExtractor={(item) => item.fileName}
+            contentContainerStyle={styles.list}
+          />
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 60,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+    backgroundColor: Colors.primary,
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: Colors.background,
+    fontWeight: '600',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: Colors.background,
+    flex: 1,
+  },
+  loadingText: {
+    fontSize: 16,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 80,
+    marginBottom: 20,
+  },
+  emptyText: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: Colors.text,
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  emptySubtext: {
+    fontSize: 16,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+  },
+  summaryCard: {
+    backgroundColor: Colors.accent,
+    margin: 20,
+    padding: 20,
+    borderRadius: 16,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  summaryLabel: {
+    fontSize: 16,
+    color: Colors.textSecondary,
+  },
+  summaryValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: Colors.text,
+  },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    marginBottom: 20,
+    gap: 12,
+  },
+  restoreAllButton: {
+    flex: 1,
+    backgroundColor: Colors.background,
+    borderWidth: 2,
+    borderColor: Colors.primary,
+    padding: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  restoreAllText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: Colors.primary,
+  },
+  emptyButton: {
+    flex: 1,
+    backgroundColor: Colors.error,
+    padding: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  emptyButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: Colors.background,
+  },
+  list: {
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.accent,
+  },
+  thumbnail: {
+    width: 56,
+    height: 56,
+    borderRadius: 8,
+    backgroundColor: Colors.accent,
+  },
+  videoThumbnail: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  videoIcon: {
+    fontSize: 24,
+  },
+  itemInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  itemName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  itemDetail: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    marginTop: 4,
+  },
+  restoreButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: Colors.primary,
+  },
+  restoreButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: Colors.background,
+  },
+  removeButton: {
+    marginLeft: 8,
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: Colors.error,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  removeButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: Colors.background,
+  },
+});
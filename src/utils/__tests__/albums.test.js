@@ -0,0 +1,56 @@
+jest.mock('expo-media-library', () => ({
+  getAssetsAsync: jest.fn(),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as MediaLibrary from 'expo-media-library';
+import { loadProtection, isProtected, loadAlbumAssetIds } from '../albums';
+import { setAlbumProtected } from '../storage';
+
+// Album members, read a page of two at a time
+const ALBUMS = {
+  private: ['b', 'x', 'y'],
+  trips: ['c', 'd'],
+};
+
+describe('protected albums', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    MediaLibrary.getAssetsAsync.mockClear();
+    MediaLibrary.getAssetsAsync.mockImplementation(({ album, after }) => {
+      const start = after ? Number(after) : 0;
+      const ids = ALBUMS[album].slice(start, start + 2);
+      return Promise.resolve({
+        assets: ids.map(id => ({ id })),
+        hasNextPage: start + 2 < ALBUMS[album].length,
+        endCursor: String(start + ids.length),
+      });
+    });
+  });
+
+  it('reads every page of every album once', async () => {
+    const members = await loadAlbumAssetIds(['private', 'trips', 'private']);
+    expect([...members.get('private')]).toEqual(['b', 'x', 'y']);
+    expect([...members.get('trips')]).toEqual(['c', 'd']);
+    expect(MediaLibrary.getAssetsAsync).toHaveBeenCalledTimes(3);
+  });
+
+  it('protects nothing until an album is protected', async () => {
+    const protection = await loadProtection();
+    expect(isProtected({ id: 'b' }, protection)).toBe(false);
+    expect(MediaLibrary.getAssetsAsync).not.toHaveBeenCalled();
+  });
+
+  it('keeps marked photos in protected albums out of the deletion review', async () => {
+    await setAlbumProtected({ id: 'private', title: 'Private' }, true);
+    const protection = await loadProtection();
+    const marked = [
+      { id: 'a' },
+      { id: 'b' }, // Member of the protected album
+      { id: 'e', albumId: 'private' }, // Android reports the album on the asset
+      { id: 'c', albumId: 'trips' },
+    ];
+
+    expect(marked.filter(photo => !isProtected(photo, protection)).map(p => p.id)).toEqual(['a', 'c']);
+  });
+});
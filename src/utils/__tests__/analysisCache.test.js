@@ -0,0 +1,135 @@
+jest.mock('expo-file-system', () => {
+  // In-memory files keyed by uri, enough of the File/Directory API for the cache
+  const files = new Map();
+  const join = (parent, name) => `${typeof parent === 'string' ? parent : parent.uri}/${name}`;
+
+  class File {
+    constructor(parent, name) {
+      this.uri = join(parent, name);
+    }
+
+    get exists() {
+      return files.has(this.uri);
+    }
+
+    write(content) {
+      files.set(this.uri, content);
+    }
+
+    async text() {
+      return files.get(this.uri);
+    }
+  }
+
+  class Directory {
+    constructor(parent, name) {
+      this.uri = join(parent, name);
+    }
+
+    get exists() {
+      return [...files.keys()].some(uri => uri.startsWith(`${this.uri}/`));
+    }
+
+    create() {}
+
+    delete() {
+      [...files.keys()].filter(uri => uri.startsWith(`${this.uri}/`)).forEach(uri => files.delete(uri));
+    }
+  }
+
+  return { File, Directory, Paths: { document: 'file:///document' }, files };
+});
+
+import { files } from 'expo-file-system';
+import { loadAnalysisCache, clearAnalysisCache } from '../analysisCache';
+
+const SHARD_DIRECTORY = 'file:///document/analysis-cache/';
+
+const analysis = {
+  signature: '0f0f0f0f0f0f0f0f',
+  hashVariants: { rotated180: 'f0f0f0f0f0f0f0f0' },
+  pixelAnalyzed: true,
+  sharpness: 0.8,
+  exposureScore: 0.7,
+  documentLikelihood: 0.1,
+};
+
+const photo = (id, modificationTime = 1000) => ({ id, modificationTime });
+const shardFiles = () => [...files.keys()].filter(uri => uri.startsWith(SHARD_DIRECTORY)).sort();
+
+describe('analysisCache', () => {
+  beforeEach(async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(5000);
+    await clearAnalysisCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps results across loads while the asset is unchanged', async () => {
+    const cache = await loadAnalysisCache();
+    cache.set(photo('a'), analysis);
+    await cache.flush();
+
+    const reloaded = await loadAnalysisCache();
+    expect(reloaded.get(photo('a'))).toEqual({ ...analysis, modificationTime: 1000, analyzedAt: 5000 });
+    expect(reloaded.size).toBe(1);
+  });
+
+  it('misses once the asset was modified', async () => {
+    const cache = await loadAnalysisCache();
+    cache.set(photo('a', 1000), analysis);
+
+    expect(cache.get(photo('a', 2000))).toBeNull();
+    expect(cache.get(photo('b', 1000))).toBeNull();
+  });
+
+  it('misses entries without every metric, e.g. after a failed sharpness pass', async () => {
+    const cache = await loadAnalysisCache();
+    const { sharpness, ...withoutSharpness } = analysis;
+    cache.set(photo('a'), withoutSharpness);
+    cache.set(photo('b'), { ...analysis, documentLikelihood: null });
+
+    expect(cache.get(photo('a'))).toBeNull();
+    expect(cache.get(photo('b'))).toBeNull();
+  });
+
+  it('puts an id in the same shard every time and only rewrites changed shards', async () => {
+    const cache = await loadAnalysisCache();
+    cache.set(photo('a'), analysis);
+    cache.set(photo('A'), analysis); // Hashes to the same shard as 'a'
+    await cache.flush();
+    expect(shardFiles()).toEqual([`${SHARD_DIRECTORY}shard-1.json`]);
+
+    const written = files.get(`${SHARD_DIRECTORY}shard-1.json`);
+    cache.set(photo('b'), analysis);
+    await cache.flush();
+    expect(shardFiles()).toEqual([`${SHARD_DIRECTORY}shard-1.json`, `${SHARD_DIRECTORY}shard-2.json`]);
+    expect(files.get(`${SHARD_DIRECTORY}shard-1.json`)).toBe(written);
+  });
+
+  it('drops shards written by another cache version', async () => {
+    const cache = await loadAnalysisCache();
+    cache.set(photo('a'), analysis);
+    await cache.flush();
+
+    const uri = `${SHARD_DIRECTORY}shard-1.json`;
+    const stored = JSON.parse(files.get(uri));
+    files.set(uri, JSON.stringify({ ...stored, version: stored.version - 1 }));
+
+    const reloaded = await loadAnalysisCache();
+    expect(reloaded.get(photo('a'))).toBeNull();
+    expect(reloaded.size).toBe(0);
+  });
+
+  it('prunes assets gone from the library', async () => {
+    const cache = await loadAnalysisCache();
+    cache.set(photo('a'), analysis);
+    cache.set(photo('b'), analysis);
+
+    expect(cache.prune(['b'])).toBe(1);
+    expect(cache.get(photo('a'))).toBeNull();
+    expect(cache.size).toBe(1);
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('expo-media-library', () => ({
+  getAssetsAsync: jest.fn(),
+  getAlbumsAsync: jest.fn(() => Promise.resolve([])),
+}));
+jest.mock('../photoDetection', () => ({
+  detectDuplicatesAndSimilar: jest.fn(photos => Promise.resolve(photos)),
+}));
+jest.mock('../analysisCache', () => ({
+  loadAnalysisCache: jest.fn(() => Promise.resolve({})),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as MediaLibrary from 'expo-media-library';
+import { detectDuplicatesAndSimilar } from '../photoDetection';
+import { runAnalysisPipeline, loadLibraryMedia } from '../analysisPipeline';
+import { setAlbumProtected } from '../storage';
+
+const asset = (id, albumId) => ({
+  id,
+  uri: `file:///photos/${id}.jpg`,
+  mediaType: 'photo',
+  filename: `IMG_${id}.JPG`,
+  width: 4032,
+  height: 3024,
+  fileSize: 2000000,
+  creationTime: 1700000000,
+  modificationTime: 1700000000,
+  albumId,
+});
+
+const LIBRARY = [asset('a'), asset('b'), asset('c'), asset('d'), asset('e', 'private')];
+const ALBUMS = {
+  private: ['b', 'e'],
+  trips: ['b', 'c'],
+};
+
+describe('analysisPipeline', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    detectDuplicatesAndSimilar.mockClear();
+    // Pages of two assets, from the whole library or from one album
+    MediaLibrary.getAssetsAsync.mockImplementation(({ album, first, after }) => {
+      const assets = album ? LIBRARY.filter(item => ALBUMS[album].includes(item.id)) : LIBRARY;
+      const start = after ? Number(after) : 0;
+      const page = assets.slice(start, start + Math.min(first, 2));
+      return Promise.resolve({
+        assets: page,
+        totalCount: assets.length,
+        hasNextPage: start + page.length < assets.length,
+        endCursor: String(start + page.length),
+      });
+    });
+    await setAlbumProtected({ id: 'private', title: 'Private' }, true);
+  });
+
+  const ids = photos => photos.map(photo => photo.id);
+
+  it('leaves protected photos out of library sessions before detection sees them', async () => {
+    expect(ids(await runAnalysisPipeline())).toEqual(['a', 'c', 'd']);
+    expect(ids(detectDuplicatesAndSimilar.mock.calls[0][0])).toEqual(['a', 'c', 'd']);
+    // Protected photos still count as in the library, their cache entries are kept
+    expect(detectDuplicatesAndSimilar.mock.calls[0][2].libraryIds).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('leaves protected photos out of album sessions that include them', async () => {
+    expect(ids(await runAnalysisPipeline({ albumIds: ['trips'] }))).toEqual(['c']);
+    expect(ids(await runAnalysisPipeline({ albumIds: ['private'] }))).toEqual([]);
+  });
+
+  it('leaves protected photos out of metadata-only loads', async () => {
+    expect(ids(await loadLibraryMedia())).toEqual(['a', 'c', 'd']);
+  });
+
+  it('includes everything again once protection is lifted', async () => {
+    await setAlbumProtected({ id: 'private', title: 'Private' }, false);
+    expect(ids(await loadLibraryMedia())).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+});
@@ -0,0 +1,54 @@
+import { rankGroupMembers, applyBestShotSuggestions } from '../bestShot';
+
+const photo = (id, values) => ({
+  id,
+  width: 4000,
+  height: 3000,
+  size: 3000000,
+  creationTime: id === 'a' ? 1 : 2,
+  ...values,
+});
+
+const keeper = (members, favoriteIds) => rankGroupMembers(members, favoriteIds)[0].photo.id;
+
+describe('rankGroupMembers', () => {
+  it.each([
+    ['resolution', { width: 2000, height: 1500 }, {}],
+    ['file size', { size: 1000000 }, {}],
+    ['sharpness', { sharpness: 0.2 }, { sharpness: 0.9 }],
+    ['exposure', { exposureScore: 0.3 }, { exposureScore: 0.8 }],
+  ])('lets %s decide between otherwise equal copies', (_, worse, better) => {
+    expect(keeper([photo('a', worse), photo('b', better)])).toBe('b');
+    expect(keeper([photo('b', better), photo('a', worse)])).toBe('b');
+  });
+
+  it('keeps a favorite over a copy that is better in every other way', () => {
+    const members = [
+      photo('a', { sharpness: 0.9, exposureScore: 0.9 }),
+      photo('b', { width: 2000, height: 1500, size: 1000000, sharpness: 0.2, exposureScore: 0.3 }),
+    ];
+    expect(keeper(members, new Set(['b']))).toBe('b');
+    expect(keeper([members[0], { ...members[1], isFavorite: true }])).toBe('b');
+  });
+
+  it('weighs only the signals a photo has, and prefers the older capture on a tie', () => {
+    // Without pixel metrics both copies are judged on resolution and size alone
+    expect(keeper([photo('b', { sharpness: 0.5 }), photo('a')])).toBe('a');
+    expect(keeper([photo('b'), photo('a')])).toBe('a');
+  });
+});
+
+describe('applyBestShotSuggestions', () => {
+  it('suggests keeping the best member and deleting the rest', () => {
+    const members = [photo('a', { size: 1000000 }), photo('b'), photo('c', { width: 1000, height: 750 })];
+    const group = { id: 'group:a', members };
+    applyBestShotSuggestions([group]);
+
+    expect(group.suggestedKeeperId).toBe('b');
+    expect(members.map(p => [p.id, p.groupRank, p.suggestedKeeper, p.suggestedDelete])).toEqual([
+      ['a', 1, false, true],
+      ['b', 0, true, false],
+      ['c', 2, false, true],
+    ]);
+  });
+});
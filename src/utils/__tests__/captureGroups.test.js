@@ -0,0 +1,76 @@
+import { findBurstSets, findCaptureTwins, collapseCaptureTwins, getCaptureFormat, TwinKind } from '../captureGroups';
+
+const START = new Date(2024, 4, 1, 9).getTime();
+
+const file = (id, filename, offset = 0, extra) => ({
+  id,
+  filename,
+  mediaType: 'photo',
+  creationTime: START + offset,
+  ...extra,
+});
+const clip = (id, filename, offset, duration) => file(id, filename, offset, { mediaType: 'video', duration });
+
+describe('findCaptureTwins', () => {
+  it('pairs RAW and JPEG of one shot and prefers keeping the JPEG', () => {
+    const twins = findCaptureTwins([file('raw', 'DSC_0001.NEF'), file('jpg', 'DSC_0001.JPG', 300)]);
+
+    expect(twins.get('raw')).toEqual({ kind: TwinKind.RAW_JPEG, format: 'RAW', primaryId: 'jpg', memberIds: ['jpg', 'raw'] });
+    expect(twins.get('jpg')).toMatchObject({ format: 'JPEG', primaryId: 'jpg' });
+  });
+
+  it('pairs a Live Photo still with its short motion clip', () => {
+    const twins = findCaptureTwins([clip('mov', 'IMG_0042.MOV', 0, 2.9), file('heic', 'IMG_0042.HEIC', 50)]);
+
+    expect(twins.get('mov')).toEqual({ kind: TwinKind.LIVE_PHOTO, format: 'Live video', primaryId: 'heic', memberIds: ['heic', 'mov'] });
+  });
+
+  it('does not pair files with the same name taken at different times', () => {
+    const twins = findCaptureTwins([
+      file('raw', 'IMG_0001.DNG'),
+      file('jpg', 'IMG_0001.JPG', 5000),
+      clip('mov', 'IMG_0001.MOV', 60 * 1000, 3),
+    ]);
+    expect(twins.size).toBe(0);
+  });
+
+  it('leaves out long videos, clips without a still and repeated formats', () => {
+    expect(getCaptureFormat(clip('mov', 'IMG_0002.MOV', 0, 30))).toBeNull();
+    expect(findCaptureTwins([clip('mov', 'IMG_0002.MOV', 0, 30), file('heic', 'IMG_0002.HEIC')]).size).toBe(0);
+    expect(findCaptureTwins([file('a', 'IMG_0003.JPG'), file('b', 'img_0003.jpeg', 100)]).size).toBe(0);
+  });
+});
+
+describe('findBurstSets', () => {
+  it('groups shots by burst id or Android burst name', () => {
+    const sets = findBurstSets([
+      file('a', 'IMG_1.HEIC', 0, { burstId: 'B1' }),
+      file('b', 'IMG_2.HEIC', 100, { burstId: 'B1' }),
+      file('c', 'PXL_20240312_101500123.BURST-01.COVER.jpg'),
+      file('d', 'PXL_20240312_101500123.BURST-02.jpg'),
+      file('e', 'IMG_3.HEIC', 0, { burstId: 'B2' }),
+    ]);
+
+    expect(sets.get('a')).toEqual(['a', 'b']);
+    expect(sets.get('d')).toEqual(['c', 'd']);
+    expect(sets.has('e')).toBe(false);
+  });
+});
+
+describe('collapseCaptureTwins', () => {
+  it('folds the other formats into the primary for a session', () => {
+    const primary = file('jpg', 'DSC_0001.JPG', 0, { twinPrimaryId: 'jpg', captureTwinIds: ['raw'] });
+    const raw = file('raw', 'DSC_0001.NEF', 0, { twinPrimaryId: 'jpg', captureTwinIds: ['jpg'] });
+    const single = file('one', 'IMG_0005.JPG');
+
+    const collapsed = collapseCaptureTwins([raw, primary, single]);
+    expect(collapsed.map(p => p.id)).toEqual(['jpg', 'one']);
+    expect(collapsed[0].twins).toEqual([raw]);
+    expect(collapsed[1]).toBe(single);
+  });
+
+  it('keeps a secondary format when its primary is not in the session', () => {
+    const raw = file('raw', 'DSC_0001.NEF', 0, { twinPrimaryId: 'jpg', captureTwinIds: ['jpg'] });
+    expect(collapseCaptureTwins([raw])).toEqual([raw]);
+  });
+});
@@ -0,0 +1,45 @@
+import { clusterPhotos, createUnionFind } from '../clustering';
+
+const photo = (id, creationTime) => ({ id, creationTime });
+
+describe('createUnionFind', () => {
+  it('joins sets transitively', () => {
+    const unionFind = createUnionFind();
+    unionFind.union('a', 'b');
+    unionFind.union('c', 'd');
+    expect(unionFind.find('a')).not.toBe(unionFind.find('c'));
+
+    unionFind.union('b', 'd');
+    expect(unionFind.find('a')).toBe(unionFind.find('c'));
+    expect(unionFind.has('e')).toBe(false);
+  });
+});
+
+describe('clusterPhotos', () => {
+  it('merges chains of related photos into one group, with the oldest as representative', () => {
+    const photos = [photo('c', 3), photo('a', 2), photo('b', 1), photo('x', 4)];
+    const links = { a: ['b'], b: ['c'] };
+    const groups = clusterPhotos(photos, p => links[p.id]);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].members.map(p => p.id)).toEqual(['b', 'a', 'c']);
+    expect(groups[0].representativeId).toBe('b');
+    expect(groups[0].id).toBe('group:a');
+  });
+
+  it('gives the same groups whatever the input order', () => {
+    const photos = [photo('a', 1), photo('b', 1), photo('c', 5), photo('d', 6)];
+    const links = { a: ['b'], d: ['c'] };
+    const forward = clusterPhotos(photos, p => links[p.id]);
+    const backward = clusterPhotos([...photos].reverse(), p => links[p.id]);
+
+    expect(backward).toEqual(forward);
+    expect(forward.map(group => group.id)).toEqual(['group:a', 'group:c']);
+  });
+
+  it('ignores links to itself and to photos outside the selection', () => {
+    const photos = [photo('a', 1), photo('b', 2)];
+    const groups = clusterPhotos(photos, p => [p.id, 'missing']);
+    expect(groups).toEqual([]);
+  });
+});
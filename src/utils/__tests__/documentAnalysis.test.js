@@ -0,0 +1,54 @@
+import { analyzeDocumentLayout } from '../documentAnalysis';
+
+const SIZE = 32;
+
+/**
+ * A grayscale thumbnail drawn by a function of the pixel position
+ */
+function thumbnail(draw) {
+  const pixels = new Uint8Array(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      pixels[y * SIZE + x] = draw(x, y);
+    }
+  }
+  return { width: SIZE, height: SIZE, pixels };
+}
+
+// White paper with margins and short dark strokes on every fourth row, like lines of text
+const textPage = thumbnail((x, y) => {
+  const inMargin = x < 3 || x >= SIZE - 3 || y < 3 || y >= SIZE - 3;
+  const isStroke = !inMargin && y % 4 === 0 && x % 6 !== 5;
+  return isStroke ? 30 : 235;
+});
+
+describe('analyzeDocumentLayout', () => {
+  it('recognizes dark text lines on bright paper', () => {
+    const result = analyzeDocumentLayout(textPage);
+
+    expect(result.paperFraction).toBeGreaterThan(0.75);
+    expect(result.paperLuminance).toBe(235);
+    expect(result.tonalSeparation).toBe(1); // Two tones only, Otsu splits them perfectly
+    expect(result.axisAlignment).toBeGreaterThan(0.75);
+    expect(result.edgeDensity).toBeGreaterThan(0.1);
+    expect(result.documentLikelihood).toBeGreaterThan(0.8);
+  });
+
+  it('does not take a dark scene for paper', () => {
+    const night = thumbnail((x, y) => (textPage.pixels[y * SIZE + x] === 30 ? 200 : 20));
+    expect(analyzeDocumentLayout(night).documentLikelihood).toBe(0);
+  });
+
+  it('gives a smooth photo-like gradient a low likelihood', () => {
+    const sky = thumbnail((x, y) => 150 + Math.round((x + y) * 1.5));
+    const result = analyzeDocumentLayout(sky);
+    expect(result.edgeDensity).toBe(0);
+    expect(result.documentLikelihood).toBeLessThan(0.5);
+  });
+
+  it('handles a flat frame', () => {
+    const result = analyzeDocumentLayout(thumbnail(() => 240));
+    expect(result.tonalSeparation).toBe(0);
+    expect(result.edgeDensity).toBe(0);
+  });
+});
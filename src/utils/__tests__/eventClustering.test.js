@@ -0,0 +1,100 @@
+import { clusterEvents, distanceKm, segmentByTimeGaps, EventKind } from '../eventClustering';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const START = new Date(2024, 4, 1, 9).getTime();
+
+const HOME = { latitude: 52.37, longitude: 4.9 }; // Amsterdam
+const AWAY = { latitude: 48.86, longitude: 2.35 }; // Paris
+
+/**
+ * Photos taken every `spacing` from `startTime` at one place, with their locations
+ */
+function shoot(prefix, count, startTime, spacing, place, locations) {
+  return Array.from({ length: count }, (_, i) => {
+    const photo = { id: `${prefix}${i}`, creationTime: startTime + i * spacing };
+    if (place) locations.set(photo.id, place);
+    return photo;
+  });
+}
+
+describe('distanceKm', () => {
+  it('measures great-circle distances', () => {
+    expect(distanceKm(HOME, AWAY)).toBeGreaterThan(420);
+    expect(distanceKm(HOME, AWAY)).toBeLessThan(440);
+    expect(distanceKm(HOME, HOME)).toBe(0);
+  });
+});
+
+describe('clusterEvents', () => {
+  it('makes several days away from home a trip, newest first', () => {
+    const locations = new Map();
+    const photos = [
+      ...shoot('home', 20, START, 10 * 60 * 1000, HOME, locations),
+      ...shoot('paris', 15, START + 5 * DAY, 2 * HOUR, AWAY, locations),
+    ];
+    const events = clusterEvents(photos, locations);
+
+    expect(events.map(event => event.kind)).toEqual([EventKind.TRIP, EventKind.EVENT]);
+    expect(events[0].photoIds).toHaveLength(15);
+    expect(events[1].photoIds).toHaveLength(20);
+  });
+
+  it('keeps a day trip an event', () => {
+    const locations = new Map();
+    const photos = [
+      ...shoot('home', 20, START, 10 * 60 * 1000, HOME, locations),
+      ...shoot('paris', 12, START + 5 * DAY, 20 * 60 * 1000, AWAY, locations),
+    ];
+    expect(clusterEvents(photos, locations).map(event => event.kind)).toEqual([EventKind.EVENT, EventKind.EVENT]);
+  });
+
+  it('lets photos without a location join the event they were taken in', () => {
+    const locations = new Map();
+    const photos = [
+      ...shoot('located', 6, START, 10 * 60 * 1000, HOME, locations),
+      ...shoot('unlocated', 6, START + HOUR, 10 * 60 * 1000, null, locations),
+    ];
+    const events = clusterEvents(photos, locations);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].photoIds).toHaveLength(12);
+  });
+
+  it('splits at long pauses and leaves out events with few photos', () => {
+    const locations = new Map();
+    const photos = [
+      ...shoot('morning', 12, START, 5 * 60 * 1000, HOME, locations),
+      ...shoot('evening', 4, START + 10 * HOUR, 5 * 60 * 1000, HOME, locations),
+    ];
+    const events = clusterEvents(photos, locations);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].photoIds[0]).toBe('morning0');
+  });
+});
+
+describe('segmentByTimeGaps', () => {
+  const MINUTE = 60 * 1000;
+  const at = (...minutes) => minutes.map(minute => ({ creationTime: START + minute * MINUTE }));
+  const bounds = segments => segments.map(segment => [segment.start, segment.end]);
+
+  it('starts a new event after three hours without photos', () => {
+    expect(bounds(segmentByTimeGaps(at(0, 100, 200, 381, 390)))).toEqual([[0, 3], [3, 5]]);
+  });
+
+  it('ends a dense event at a pause much longer than its spacing', () => {
+    expect(bounds(segmentByTimeGaps(at(0, 1, 2, 3, 4, 65, 66)))).toEqual([[0, 5], [5, 7]]);
+  });
+
+  it('never splits at short pauses or after too few photos to tell the spacing', () => {
+    expect(bounds(segmentByTimeGaps(at(0, 1, 2, 3, 4, 44)))).toEqual([[0, 6]]);
+    expect(bounds(segmentByTimeGaps(at(0, 1, 2, 90)))).toEqual([[0, 4]]);
+  });
+
+  it('reports the time span of every event', () => {
+    const [segment] = segmentByTimeGaps(at(0, 30));
+    expect(segment).toEqual({ start: 0, end: 2, startTime: START, endTime: START + 30 * MINUTE });
+    expect(segmentByTimeGaps([])).toEqual([]);
+  });
+});
@@ -0,0 +1,56 @@
+import { analyzeExposure, buildLuminanceHistogram } from '../exposure';
+
+/**
+ * A 16x16 grayscale thumbnail drawn by a function of the pixel index
+ */
+function thumbnail(draw) {
+  const pixels = new Uint8Array(16 * 16);
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = draw(i);
+  }
+  return { width: 16, height: 16, pixels };
+}
+
+describe('buildLuminanceHistogram', () => {
+  it('counts pixels per level', () => {
+    const histogram = buildLuminanceHistogram(thumbnail(i => (i < 100 ? 0 : 255)));
+    expect(histogram[0]).toBe(100);
+    expect(histogram[255]).toBe(156);
+    expect(histogram.reduce((sum, count) => sum + count, 0)).toBe(256);
+  });
+});
+
+describe('analyzeExposure', () => {
+  it('flags an all-black frame as an underexposed accidental shot', () => {
+    expect(analyzeExposure(thumbnail(() => 0))).toEqual({
+      meanLuminance: 0,
+      darkFraction: 1,
+      brightFraction: 0,
+      exposureScore: 0,
+      accidentalReason: 'underexposed',
+      accidentalConfidence: 1,
+    });
+  });
+
+  it('flags an all-white frame as overexposed', () => {
+    const result = analyzeExposure(thumbnail(() => 255));
+    expect(result.brightFraction).toBe(1);
+    expect(result.accidentalReason).toBe('overexposed');
+    expect(result.accidentalConfidence).toBe(1);
+  });
+
+  it('leaves a dark frame with detail alone', () => {
+    // Mostly black, but with bright highlights like a night street
+    const result = analyzeExposure(thumbnail(i => (i % 8 === 0 ? 200 : 10)));
+    expect(result.darkFraction).toBeCloseTo(0.875, 3);
+    expect(result.accidentalReason).toBeNull();
+    expect(result.accidentalConfidence).toBe(0);
+  });
+
+  it('scores a mid-gray frame as well exposed', () => {
+    const result = analyzeExposure(thumbnail(i => 100 + (i % 56)));
+    expect(result.darkFraction).toBe(0);
+    expect(result.brightFraction).toBe(0);
+    expect(result.exposureScore).toBeGreaterThan(0.9);
+  });
+});
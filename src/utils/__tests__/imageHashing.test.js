@@ -0,0 +1,125 @@
+import {
+  computeDifferenceHash,
+  computeVariantHashes,
+  hasHashStructure,
+  hammingDistance,
+  HashVariant,
+  isPerceptualSignature,
+  generateMetadataSignature,
+  calculateSimilarity,
+  getFilenameBase,
+  HASH_BITS,
+} from '../imageHashing';
+
+/**
+ * A grayscale thumbnail drawn by a function of the pixel position
+ */
+function thumbnail(width, height, draw) {
+  const pixels = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels[y * width + x] = Math.max(0, Math.min(255, Math.round(draw(x, y))));
+    }
+  }
+  return { width, height, pixels };
+}
+
+const mirror = ({ width, height, pixels }) => thumbnail(width, height, (x, y) => pixels[y * width + (width - 1 - x)]);
+
+describe('computeDifferenceHash', () => {
+  it('hashes a brightening gradient to all zeros and a darkening one to all ones', () => {
+    expect(computeDifferenceHash(thumbnail(36, 32, x => x * 7))).toBe('0000000000000000');
+    expect(computeDifferenceHash(thumbnail(36, 32, x => 255 - x * 7))).toBe('ffffffffffffffff');
+  });
+
+  it('sets a bit per row, from the top', () => {
+    // Top half darkens to the right, bottom half brightens
+    const hash = computeDifferenceHash(thumbnail(36, 32, (x, y) => (y < 16 ? 255 - x * 7 : x * 7)));
+    expect(hash).toBe('ffffffff00000000');
+  });
+
+  it('ignores size and brightness changes but not mirroring', () => {
+    const draw = (x, y) => 128 + 100 * Math.sin(x / 9 + 0.7) * Math.cos(y / 13);
+    const original = thumbnail(64, 64, draw);
+    const resized = thumbnail(32, 32, (x, y) => draw(2 * x + 0.5, 2 * y + 0.5));
+    const brighter = thumbnail(64, 64, (x, y) => original.pixels[y * 64 + x] + 20);
+    const hash = computeDifferenceHash(original);
+
+    expect(hammingDistance(hash, computeDifferenceHash(resized))).toBeLessThanOrEqual(2);
+    expect(computeDifferenceHash(brighter)).toBe(hash);
+    expect(hammingDistance(hash, computeDifferenceHash(mirror(original)))).toBeGreaterThan(HASH_BITS / 4);
+  });
+});
+
+describe('hammingDistance', () => {
+  it('counts differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+    expect(hammingDistance('8000000000000001', '0000000000000000')).toBe(2);
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(HASH_BITS);
+  });
+
+  it('puts a gradient and its mirror image the whole hash apart', () => {
+    const gradient = thumbnail(36, 32, x => x * 7);
+    expect(hammingDistance(computeDifferenceHash(gradient), computeDifferenceHash(mirror(gradient)))).toBe(HASH_BITS);
+  });
+});
+
+describe('metadata signatures', () => {
+  const photo = { width: 4032, height: 3024, size: 2400000, creationTime: 1700000000000, filename: 'IMG_0001.JPG' };
+
+  it('are told apart from perceptual hashes', () => {
+    const signature = generateMetadataSignature(photo);
+    expect(signature).toMatch(/^meta:/);
+    expect(isPerceptualSignature(signature)).toBe(false);
+    expect(isPerceptualSignature('0123456789abcdef')).toBe(true);
+    expect(isPerceptualSignature('0123456789ABCDEF')).toBe(false);
+  });
+
+  it('only match exactly, and never a perceptual hash', () => {
+    const signature = generateMetadataSignature(photo);
+    expect(generateMetadataSignature({ ...photo, filename: 'IMG_0001 (1).JPG' })).toBe(signature);
+    expect(calculateSimilarity(signature, generateMetadataSignature({ ...photo }))).toBe(0);
+    expect(calculateSimilarity(signature, generateMetadataSignature({ ...photo, size: 900000 }))).toBe(1);
+    expect(calculateSimilarity(signature, '0000000000000000')).toBe(1);
+  });
+
+  it('work without a file name', () => {
+    const { filename, ...withoutName } = photo;
+    expect(generateMetadataSignature(withoutName)).toMatch(/^meta:/);
+    expect(getFilenameBase('IMG_0001 (2).JPG')).toBe('img_0001.jpg');
+  });
+});
+
+describe('computeVariantHashes', () => {
+  const draw = (x, y) => 128 + 70 * Math.sin(x / 9 + 0.7) * Math.cos(y / 13) + 50 * Math.sin((x + 2 * y) / 17);
+  const original = thumbnail(64, 64, draw);
+  const photo = { width: 4000, height: 3000 };
+
+  it('hashes the rotations of a photo as its rotated copies hash', () => {
+    // Rotated a quarter turn clockwise: the left column becomes the top row
+    const rotated = thumbnail(64, 64, (x, y) => original.pixels[(63 - x) * 64 + y]);
+    const variants = computeVariantHashes(original, photo);
+
+    expect(variants[HashVariant.ROTATED_90]).toBe(computeDifferenceHash(rotated));
+    expect(hammingDistance(variants[HashVariant.ROTATED_270], computeDifferenceHash(rotated))).toBeGreaterThan(8);
+  });
+
+  it('hashes a center crop close to a cropped copy', () => {
+    // The copy shows the middle 80% of the original, scaled back up to a full thumbnail
+    const cropped = thumbnail(64, 64, (x, y) => draw(6.4 + 0.8 * x, 6.4 + 0.8 * y));
+    const variants = computeVariantHashes(original, photo);
+
+    expect(hammingDistance(variants[HashVariant.CENTER_80], computeDifferenceHash(cropped))).toBeLessThanOrEqual(4);
+    expect(hammingDistance(computeDifferenceHash(original), computeDifferenceHash(cropped))).toBeGreaterThan(4);
+  });
+
+  it('adds a square crop for photos that are not square, and leaves out flat variants', () => {
+    expect(Object.keys(computeVariantHashes(original, photo))).toContain(HashVariant.SQUARE);
+    expect(Object.keys(computeVariantHashes(original, { width: 3000, height: 3000 }))).not.toContain(HashVariant.SQUARE);
+
+    const gradient = thumbnail(64, 64, x => x * 4);
+    expect(hasHashStructure(computeDifferenceHash(gradient))).toBe(false);
+    expect(computeVariantHashes(gradient, photo)).not.toHaveProperty(HashVariant.CENTER_80);
+  });
+});
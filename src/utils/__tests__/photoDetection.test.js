@@ -0,0 +1,110 @@
+jest.mock('../thumbnail', () => ({
+  loadGrayscaleThumbnail: jest.fn(),
+}));
+
+import { loadGrayscaleThumbnail } from '../thumbnail';
+import { detectDuplicatesAndSimilar } from '../photoDetection';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = new Date(2024, 4, 1, 9).getTime();
+
+/**
+ * A 32x32 thumbnail of deterministic noise, different seeds hash far apart
+ */
+function noise(seed) {
+  const pixels = new Uint8Array(32 * 32);
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = (i * 7919 + seed * 104729 + ((i * i) % 97) * 13) % 251;
+  }
+  return { width: 32, height: 32, pixels };
+}
+
+/**
+ * A 64x64 thumbnail of a smooth scene, and the same scene rotated or cropped
+ */
+const scene = (x, y) => 128 + 70 * Math.sin(x / 9 + 0.7) * Math.cos(y / 13) + 50 * Math.sin((x + 2 * y) / 17);
+function render(transform) {
+  const pixels = new Uint8Array(64 * 64);
+  for (let y = 0; y < 64; y++) {
+    for (let x = 0; x < 64; x++) {
+      const [sourceX, sourceY] = transform(x, y);
+      pixels[y * 64 + x] = Math.round(scene(sourceX, sourceY));
+    }
+  }
+  return { width: 64, height: 64, pixels };
+}
+
+const photo = (id, filename, day, width, height, size) => ({
+  id,
+  filename,
+  uri: `ph://${id}/L0/001`,
+  mediaType: 'photo',
+  width,
+  height,
+  size,
+  creationTime: START + day * DAY,
+});
+
+describe('detectDuplicatesAndSimilar', () => {
+  let thumbnails;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    thumbnails = {};
+    // Photos without a thumbnail fall back to metadata signatures
+    loadGrayscaleThumbnail.mockImplementation(({ id }) => (
+      thumbnails[id] ? Promise.resolve(thumbnails[id]) : Promise.reject(new Error('No thumbnail'))
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const byId = photos => new Map(photos.map(p => [p.id, p]));
+
+  it('does not group unrelated photos that share a camera file name', async () => {
+    thumbnails = { a: noise(1), b: noise(2) };
+    const result = byId(await detectDuplicatesAndSimilar([
+      photo('a', 'IMG_0001.JPG', 0, 4032, 3024, 2400000),
+      photo('b', 'IMG_0001.JPG', 200, 4032, 3024, 2350000),
+    ]));
+
+    expect(result.get('a').duplicateIds).toEqual([]);
+    expect(result.get('b').duplicateIds).toEqual([]);
+    expect(result.get('a').groupId).toBeNull();
+  });
+
+  it('groups a copy name only when the image or the file agrees too', async () => {
+    thumbnails = { original: noise(3), renamed: noise(4) };
+    const result = byId(await detectDuplicatesAndSimilar([
+      photo('original', 'IMG_0002.JPG', 0, 4032, 3024, 2400000),
+      photo('copy', 'IMG_0002 (1).JPG', 30, 4032, 3024, 2400000), // Same file, no thumbnail
+      photo('resized', 'IMG_0002 (2).JPG', 60, 1080, 1080, 300000), // No thumbnail, nothing agrees
+      photo('renamed', 'IMG_0002-copy.JPG', 90, 4032, 3024, 2600000), // Different image
+    ]));
+
+    expect(result.get('original').duplicateIds).toEqual(['copy']);
+    expect(result.get('copy').duplicateIds).toEqual(['original']);
+    expect(result.get('resized').duplicateIds).toEqual([]);
+    expect(result.get('renamed').duplicateIds).toEqual([]);
+  });
+
+  it('links rotated and cropped copies to the original, never the other way round', async () => {
+    thumbnails = {
+      original: render((x, y) => [x, y]),
+      rotated: render((x, y) => [y, 63 - x]), // A quarter turn clockwise
+      cropped: render((x, y) => [6.4 + 0.8 * x, 6.4 + 0.8 * y]),
+    };
+    const result = byId(await detectDuplicatesAndSimilar([
+      photo('rotated', 'IMG_0003.JPG', 10, 3024, 4032, 1900000),
+      photo('cropped', 'IMG_0004.JPG', -10, 3226, 2419, 1500000), // Older, but a crop is still the edit
+      photo('original', 'IMG_0005.JPG', 0, 4032, 3024, 2400000),
+    ]));
+
+    expect(result.get('rotated')).toMatchObject({ editedFromId: 'original', editKind: 'rotated' });
+    expect(result.get('cropped')).toMatchObject({ editedFromId: 'original', editKind: 'cropped' });
+    expect(result.get('original').editedFromId).toBeNull();
+    expect(result.get('original').editedVersionIds.sort()).toEqual(['cropped', 'rotated']);
+  });
+});
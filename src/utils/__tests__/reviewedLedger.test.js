@@ -0,0 +1,152 @@
+jest.mock('expo-file-system', () => {
+  // In-memory files keyed by uri, counting writes
+  const files = new Map();
+  const writes = [];
+
+  class File {
+    constructor(parent, name) {
+      this.uri = `${parent}/${name}`;
+    }
+
+    get exists() {
+      return files.has(this.uri);
+    }
+
+    write(content) {
+      writes.push(this.uri);
+      files.set(this.uri, content);
+    }
+
+    async text() {
+      return files.get(this.uri);
+    }
+  }
+
+  return { File, Paths: { document: 'file:///document' }, files, writes };
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2024, 4, 1).getTime();
+const LEDGER_URI = 'file:///document/reviewed-photos.json';
+
+/**
+ * A fresh copy of the ledger, which keeps its store in module state, and the AppState listeners it registers
+ */
+function loadModules() {
+  let modules;
+  jest.isolateModules(() => {
+    const { AppState } = require('react-native');
+    const appStateListeners = [];
+    jest.spyOn(AppState, 'addEventListener').mockImplementation((type, listener) => {
+      appStateListeners.push(listener);
+      return { remove: () => {} };
+    });
+    modules = {
+      fileSystem: require('expo-file-system'),
+      settings: require('../settings'),
+      ledger: require('../reviewedLedger'),
+      appStateListeners,
+    };
+  });
+  return modules;
+}
+
+describe('reviewedLedger', () => {
+  let fileSystem;
+  let settings;
+  let ledger;
+  let appStateListeners;
+
+  const mode = { key: 'duplicate', label: 'Duplicates' };
+  const photos = (...ids) => ids.map(id => ({ id }));
+  const ids = list => list.map(photo => photo.id);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    ({ fileSystem, settings, ledger, appStateListeners } = loadModules());
+    fileSystem.files.clear();
+    fileSystem.writes.length = 0;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('leaves out photos reviewed in the same mode only', async () => {
+    await ledger.recordReview(mode, photos('a', 'a-raw'), 'keep');
+
+    expect(ids(await ledger.excludeRecentlyReviewed('duplicate', photos('a', 'a-raw', 'b')))).toEqual(['b']);
+    expect(ids(await ledger.excludeRecentlyReviewed('similar', photos('a', 'b')))).toEqual(['a', 'b']);
+  });
+
+  it('brings photos back once the period set in Settings has passed', async () => {
+    const days = settings.getSetting(settings.SettingKey.REVIEWED_HIDE_DAYS);
+    await ledger.recordReview(mode, photos('a'), 'delete');
+
+    jest.setSystemTime(NOW + (days - 1) * DAY);
+    expect(ids(await ledger.excludeRecentlyReviewed('duplicate', photos('a')))).toEqual([]);
+    jest.setSystemTime(NOW + (days + 1) * DAY);
+    expect(ids(await ledger.excludeRecentlyReviewed('duplicate', photos('a')))).toEqual(['a']);
+  });
+
+  it('hides nothing while the period is set to zero', async () => {
+    await ledger.recordReview(mode, photos('a'), 'keep');
+    await settings.updateSetting(settings.SettingKey.REVIEWED_HIDE_DAYS, 0);
+
+    expect(ids(await ledger.excludeRecentlyReviewed('duplicate', photos('a')))).toEqual(['a']);
+    expect(await ledger.getReviewedModes()).toEqual([]);
+  });
+
+  it('writes a burst of decisions once, a few seconds later', async () => {
+    await ledger.recordReview(mode, photos('a'), 'keep');
+    await ledger.recordReview(mode, photos('b'), 'delete');
+    jest.advanceTimersByTime(2999);
+    expect(fileSystem.writes).toEqual([]);
+
+    jest.advanceTimersByTime(1);
+    expect(fileSystem.writes).toEqual([LEDGER_URI]);
+    expect(Object.keys(JSON.parse(fileSystem.files.get(LEDGER_URI)).modes.duplicate.entries)).toEqual(['a', 'b']);
+  });
+
+  it('writes pending decisions right away when the app leaves the foreground', async () => {
+    await ledger.recordReview(mode, photos('a'), 'keep');
+    appStateListeners.forEach(listener => listener('active'));
+    expect(fileSystem.writes).toEqual([]);
+
+    appStateListeners.forEach(listener => listener('background'));
+    expect(fileSystem.writes).toEqual([LEDGER_URI]);
+    jest.runOnlyPendingTimers();
+    expect(fileSystem.writes).toHaveLength(1);
+  });
+
+  it('flushes on request and picks the ledger up again after a restart', async () => {
+    await ledger.recordReview(mode, photos('a'), 'keep');
+    ledger.flushReviewed();
+    expect(fileSystem.writes).toHaveLength(1);
+
+    // Each load gets its own mocked file system, so carry the file over
+    const restarted = loadModules();
+    restarted.fileSystem.files.set(LEDGER_URI, fileSystem.files.get(LEDGER_URI));
+    expect(ids(await restarted.ledger.excludeRecentlyReviewed('duplicate', photos('a', 'b')))).toEqual(['b']);
+    expect(await restarted.ledger.getReviewedModes()).toEqual([{ key: 'duplicate', label: 'Duplicates', count: 1 }]);
+  });
+
+  it('starts empty from a corrupt file', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fileSystem.files.set(LEDGER_URI, '{not json');
+
+    expect(ids(await ledger.excludeRecentlyReviewed('duplicate', photos('a')))).toEqual(['a']);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('forgets undone decisions and reset modes', async () => {
+    await ledger.recordReview(mode, photos('a', 'b'), 'keep');
+    await ledger.removeReview('duplicate', photos('a'));
+    expect(ids(await ledger.excludeRecentlyReviewed('duplicate', photos('a', 'b')))).toEqual(['a']);
+
+    await ledger.resetReviewed('duplicate');
+    expect(ids(await ledger.excludeRecentlyReviewed('duplicate', photos('a', 'b')))).toEqual(['a', 'b']);
+    expect(fileSystem.writes).toHaveLength(1);
+  });
+});
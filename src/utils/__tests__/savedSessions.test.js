@@ -0,0 +1,81 @@
+import { getSessionKey, getSessionParams, buildSessionProgress, restoreSession } from '../savedSessions';
+import { EVENT_MODE_KEY } from '../eventClustering';
+
+const photo = (id, extra) => ({ id, filename: `IMG_${id}.JPG`, ...extra });
+
+describe('getSessionKey', () => {
+  it('keeps one session per mode, album selection and event', () => {
+    expect(getSessionKey(undefined)).toBe('all');
+    expect(getSessionKey({ mode: 'duplicate' })).toBe('duplicate');
+    expect(getSessionKey({ mode: 'all', albumIds: ['b', 'a'] })).toBe('albums:a,b');
+    expect(getSessionKey({ mode: 'all', albumIds: ['c'] })).not.toBe(getSessionKey({ mode: 'all', albumIds: ['a'] }));
+    expect(getSessionKey({ mode: EVENT_MODE_KEY, event: { id: 'trip-1' } })).toBe(`${EVENT_MODE_KEY}:trip-1`);
+  });
+});
+
+describe('restoreSession', () => {
+  const history = (index, id, markedIds = [id]) => ({
+    index,
+    photo: photo(id),
+    action: 'delete',
+    markedPhotos: markedIds.map(markedId => photo(markedId)),
+    journalId: `j-${id}`,
+    timestamp: index,
+  });
+
+  const saved = (currentIndex, entries) => buildSessionProgress({
+    params: getSessionParams({ mode: 'all' }),
+    sessionId: 's1',
+    label: 'All Photos',
+    icon: '📷',
+    photos: ['a', 'b', 'c', 'd', 'e'].map(id => photo(id)),
+    currentIndex,
+    counts: { deleted: entries.length },
+    history: entries,
+    dismissedSeparators: [],
+  });
+
+  const queueIds = ['a', 'b', 'c', 'd', 'e'];
+
+  it('saves history with ids instead of photos', () => {
+    const progress = saved(1, [history(0, 'a', ['a', 'a-raw'])]);
+    expect(progress.history).toEqual([
+      { index: 0, photoId: 'a', action: 'delete', markedIds: ['a', 'a-raw'], journalId: 'j-a', timestamp: 0 },
+    ]);
+    expect(progress.total).toBe(5);
+  });
+
+  it('keeps the saved order and position when the analysis returns photos in another order', () => {
+    const progress = saved(3, [history(0, 'a'), history(1, 'b'), history(2, 'c')]);
+    const restored = restoreSession(progress, queueIds, ['e', 'd', 'c', 'b', 'a'].map(id => photo(id)));
+
+    expect(restored.photos.map(p => p.id)).toEqual(queueIds);
+    expect(restored.currentIndex).toBe(3);
+    expect(restored.history.map(entry => [entry.index, entry.photo.id])).toEqual([[0, 'a'], [1, 'b'], [2, 'c']]);
+  });
+
+  it('leaves out photos deleted since and shifts positions to match', () => {
+    const progress = saved(3, [history(0, 'a', ['a', 'a-raw']), history(1, 'b'), history(2, 'c')]);
+    const restored = restoreSession(progress, queueIds, ['e', 'd', 'c', 'a'].map(id => photo(id)));
+
+    expect(restored.photos.map(p => p.id)).toEqual(['a', 'c', 'd', 'e']);
+    expect(restored.currentIndex).toBe(2); // Still at d
+    expect(restored.history.map(entry => [entry.index, entry.photo.id])).toEqual([[0, 'a'], [1, 'c']]);
+    expect(restored.history[0].markedPhotos.map(p => p.id)).toEqual(['a']);
+  });
+
+  it('finds the other formats of a capture among the twins of its primary', () => {
+    const progress = saved(1, [history(0, 'a', ['a', 'a-raw'])]);
+    const restored = restoreSession(progress, queueIds, [
+      photo('a', { twins: [photo('a-raw')] }),
+      ...['b', 'c', 'd', 'e'].map(id => photo(id)),
+    ]);
+    expect(restored.history[0].markedPhotos.map(p => p.id)).toEqual(['a', 'a-raw']);
+  });
+
+  it('resumes at the last photo left, or not at all when none are', () => {
+    const progress = saved(4, []);
+    expect(restoreSession(progress, queueIds, [photo('a'), photo('b')]).currentIndex).toBe(1);
+    expect(restoreSession(progress, queueIds, [photo('x')])).toBeNull();
+  });
+});
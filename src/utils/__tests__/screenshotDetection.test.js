@@ -0,0 +1,51 @@
+import { detectScreenshot, detectScreenRecording, ScreenshotSignal } from '../screenshotDetection';
+
+describe('detectScreenshot', () => {
+  const context = { screenshotAlbumIds: new Set(['screenshots']) };
+
+  it.each([
+    ['an iOS screenshot', { width: 1179, height: 2556, filename: 'IMG_0420.PNG', mediaSubtypes: ['screenshot'] }, ScreenshotSignal.MEDIA_SUBTYPE],
+    ['a photo in the Screenshots album', { width: 1080, height: 2400, filename: 'IMG_1.jpg', albumId: 'screenshots' }, ScreenshotSignal.ALBUM],
+    ['an Android screenshot', { width: 1080, height: 2400, filename: 'Screenshot_20240312-101500.jpg' }, ScreenshotSignal.FILENAME],
+    ['a macOS screenshot', { width: 2880, height: 1800, filename: 'Screen Shot 2019-05-01 at 09.30.12.png' }, ScreenshotSignal.FILENAME],
+    ['a screen-sized PNG', { width: 1170, height: 2532, filename: 'export.png' }, ScreenshotSignal.DIMENSIONS],
+    ['a landscape screen-sized PNG', { width: 2532, height: 1171, filename: 'export.png' }, ScreenshotSignal.DIMENSIONS],
+  ])('recognizes %s', (_, photo, signal) => {
+    expect(detectScreenshot(photo, context)).toEqual({ isScreenshot: true, signal });
+  });
+
+  it.each([
+    ['a camera photo', { width: 4032, height: 3024, filename: 'IMG_1234.HEIC', mediaSubtypes: [] }],
+    ['a camera JPEG at a screen size', { width: 1080, height: 1920, filename: 'IMG_1234.JPG' }],
+    ['a PNG of another size', { width: 1000, height: 1000, filename: 'diagram.png' }],
+    ['a photo named like a screenshot somewhere in the name', { width: 4032, height: 3024, filename: 'my_screenshot_idea.jpg' }],
+  ])('leaves out %s', (_, photo) => {
+    expect(detectScreenshot(photo, context)).toEqual({ isScreenshot: false, signal: null });
+  });
+
+  it("matches this device's screen size too", () => {
+    const photo = { width: 1600, height: 2560, filename: '' };
+    expect(detectScreenshot(photo).isScreenshot).toBe(false);
+    expect(detectScreenshot(photo, { deviceScreen: { width: 1600, height: 2560 } }).signal).toBe(ScreenshotSignal.DIMENSIONS);
+  });
+});
+
+describe('detectScreenRecording', () => {
+  const context = { screenRecordingAlbumIds: new Set(['recordings']) };
+
+  it.each([
+    ['an iOS screen recording', { width: 886, height: 1920, filename: 'RPReplay_Final1712345678.MP4' }, ScreenshotSignal.FILENAME],
+    ['a clip in the screen recordings album', { width: 720, height: 1600, filename: 'VID_1.mp4', albumId: 'recordings' }, ScreenshotSignal.ALBUM],
+    ['a phone-screen-sized clip', { width: 1170, height: 2532, filename: 'clip.mov', mediaSubtypes: [] }, ScreenshotSignal.DIMENSIONS],
+  ])('recognizes %s', (_, video, signal) => {
+    expect(detectScreenRecording(video, context)).toEqual({ isScreenRecording: true, signal });
+  });
+
+  it.each([
+    ['a camera video', { width: 1920, height: 1080, filename: 'IMG_1234.MOV', mediaSubtypes: [] }],
+    ['a 16:9 clip at an Android screen size', { width: 1080, height: 1920, filename: 'VID_20240312.mp4' }],
+    ['a slow-motion clip at a screen size', { width: 1170, height: 2532, filename: 'IMG_1235.MOV', mediaSubtypes: ['highFrameRate'] }],
+  ])('leaves out %s', (_, video) => {
+    expect(detectScreenRecording(video, context)).toEqual({ isScreenRecording: false, signal: null });
+  });
+});
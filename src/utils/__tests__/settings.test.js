@@ -0,0 +1,78 @@
+import { HASH_BITS } from '../imageHashing';
+import { SwipeActions, SwipeDirections } from '../../constants/colors';
+
+const SETTINGS_KEY = 'swipeclean:settings';
+
+/**
+ * A fresh settings module, settings are kept at module level once loaded
+ */
+function loadModules() {
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      AsyncStorage: require('@react-native-async-storage/async-storage'),
+      settings: require('../settings'),
+    };
+  });
+  return modules;
+}
+
+describe('settings', () => {
+  let AsyncStorage;
+  let settings;
+
+  beforeEach(() => {
+    ({ AsyncStorage, settings } = loadModules());
+  });
+
+  it('validates numbers against their range', () => {
+    const { validateSetting, SettingKey } = settings;
+    expect(validateSetting(SettingKey.SIMILARITY_THRESHOLD, 0.1)).toBeNull();
+    expect(validateSetting(SettingKey.SIMILARITY_THRESHOLD, 0.5)).toMatch(/between/);
+    expect(validateSetting(SettingKey.SIMILARITY_THRESHOLD, NaN)).toMatch(/number/);
+    expect(validateSetting(SettingKey.SIMILARITY_THRESHOLD, '0.1')).toMatch(/number/);
+    expect(validateSetting('colour', 1)).toBe('Unknown setting "colour".');
+  });
+
+  it('needs every swipe action on exactly one direction', () => {
+    const { validateSetting, SettingKey } = settings;
+    const gestures = {
+      [SwipeDirections.LEFT]: SwipeActions.DELETE,
+      [SwipeDirections.RIGHT]: SwipeActions.KEEP,
+      [SwipeDirections.UP]: SwipeActions.FAVORITE,
+      [SwipeDirections.DOWN]: SwipeActions.LATER,
+    };
+    expect(validateSetting(SettingKey.GESTURES, gestures)).toBeNull();
+    expect(validateSetting(SettingKey.GESTURES, { ...gestures, [SwipeDirections.DOWN]: SwipeActions.KEEP }))
+      .toMatch(/exactly one direction/);
+  });
+
+  it('keeps valid stored values and falls back to defaults for the rest', async () => {
+    const { loadSettings, SettingKey, SettingDefinitions } = settings;
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify({
+      [SettingKey.SIMILARITY_THRESHOLD]: 0.2, // Allowed before the range was narrowed
+      [SettingKey.LARGE_FILE_MB]: SettingDefinitions[SettingKey.LARGE_FILE_MB].max,
+      [SettingKey.HISTORY_LIMIT]: 'many',
+    }));
+
+    const loaded = await loadSettings();
+    expect(loaded[SettingKey.SIMILARITY_THRESHOLD]).toBe(SettingDefinitions[SettingKey.SIMILARITY_THRESHOLD].defaultValue);
+    expect(loaded[SettingKey.LARGE_FILE_MB]).toBe(SettingDefinitions[SettingKey.LARGE_FILE_MB].max);
+    expect(loaded[SettingKey.HISTORY_LIMIT]).toBe(SettingDefinitions[SettingKey.HISTORY_LIMIT].defaultValue);
+  });
+
+  it('rejects invalid updates and keeps the current value', async () => {
+    const { updateSetting, getSetting, SettingKey } = settings;
+    const before = getSetting(SettingKey.OLD_AFTER_DAYS);
+
+    expect(await updateSetting(SettingKey.OLD_AFTER_DAYS, -1)).toMatch(/between/);
+    expect(getSetting(SettingKey.OLD_AFTER_DAYS)).toBe(before);
+  });
+
+  it('keeps the widest duplicate tolerance within the similarity index radius', () => {
+    const { SettingDefinitions, SettingKey } = settings;
+    const { max } = SettingDefinitions[SettingKey.SIMILARITY_THRESHOLD];
+    // Same bound as photoDetection, 8 bits or more would make every query a full scan
+    expect(Math.ceil(max * HASH_BITS) - 1).toBeLessThan(8);
+  });
+});
@@ -0,0 +1,53 @@
+import { measureLaplacianVariance, analyzeSharpness } from '../sharpness';
+
+/**
+ * A grayscale sample drawn by a function of the pixel position
+ */
+function sample(size, draw) {
+  const pixels = new Uint8Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      pixels[y * size + x] = draw(x, y);
+    }
+  }
+  return { width: size, height: size, pixels };
+}
+
+const flat = sample(16, () => 128);
+const checkerboard = sample(16, (x, y) => ((x + y) % 2 === 0 ? 30 : 220));
+const softEdge = sample(16, x => Math.round(30 + (190 * x) / 15));
+
+describe('measureLaplacianVariance', () => {
+  it('finds no edges or contrast in a flat sample', () => {
+    expect(measureLaplacianVariance(flat)).toEqual({ laplacianVariance: 0, contrast: 0 });
+  });
+
+  it('finds strong second derivatives in a high-contrast pattern', () => {
+    // Every inner pixel of a checkerboard has a Laplacian of ±4 * 190
+    const { laplacianVariance, contrast } = measureLaplacianVariance(checkerboard);
+    expect(laplacianVariance).toBeCloseTo(760 * 760, 0);
+    expect(contrast).toBeCloseTo(95, 5);
+  });
+
+  it('finds next to nothing in a smooth gradient', () => {
+    expect(measureLaplacianVariance(softEdge).laplacianVariance).toBeLessThan(1);
+  });
+});
+
+describe('analyzeSharpness', () => {
+  it('scores high-contrast detail as sharp', () => {
+    const { sharpness, blurConfidence } = analyzeSharpness(checkerboard);
+    expect(sharpness).toBeGreaterThan(0.99);
+    expect(blurConfidence).toBe(0);
+  });
+
+  it('is confident a smooth, contrasty sample is blurred', () => {
+    const { sharpness, blurConfidence } = analyzeSharpness(softEdge);
+    expect(sharpness).toBeLessThan(0.05);
+    expect(blurConfidence).toBeGreaterThan(0.9);
+  });
+
+  it('does not call a flat sample blurred', () => {
+    expect(analyzeSharpness(flat)).toEqual({ laplacianVariance: 0, sharpness: 0, blurConfidence: 0 });
+  });
+});
@@ -0,0 +1,107 @@
+import { createSimilarityIndex } from '../similarityIndex';
+import { hammingDistance } from '../imageHashing';
+
+/**
+ * Deterministic pseudo-random 64-bit hashes, as 16 hex digits
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state;
+  };
+}
+
+function randomHash(random) {
+  return Array.from({ length: 16 }, () => (random() % 16).toString(16)).join('');
+}
+
+/**
+ * Flip the given bit positions (0 = most significant) of a hash
+ */
+function flipBits(hash, positions) {
+  const digits = hash.split('').map(digit => parseInt(digit, 16));
+  positions.forEach(position => {
+    digits[Math.floor(position / 4)] ^= 8 >> (position % 4);
+  });
+  return digits.map(digit => digit.toString(16)).join('');
+}
+
+function queryIds(index, signature, maxDistance) {
+  return index.query(signature, maxDistance).map(result => result.id).sort();
+}
+
+describe('createSimilarityIndex', () => {
+  it('finds hashes up to the radius and leaves out the ones beyond it', () => {
+    const index = createSimilarityIndex();
+    const base = '0123456789abcdef';
+    index.add('same', base);
+    index.add('three', flipBits(base, [0, 20, 40]));
+    index.add('seven', flipBits(base, [1, 9, 17, 25, 33, 41, 49]));
+    index.add('eight', flipBits(base, [2, 10, 18, 26, 34, 42, 50, 58]));
+
+    expect(queryIds(index, base, 0)).toEqual(['same']);
+    expect(queryIds(index, base, 3)).toEqual(['same', 'three']);
+    expect(queryIds(index, base, 7)).toEqual(['same', 'seven', 'three']);
+  });
+
+  it('finds hashes whose differing bits are spread over seven of the eight chunks', () => {
+    const index = createSimilarityIndex();
+    const base = 'ffffffffffffffff';
+    // One flipped bit in every chunk but the last, the pigeonhole bound at radius 7
+    const spread = flipBits(base, [0, 8, 16, 24, 32, 40, 48]);
+    index.add('spread', spread);
+
+    expect(index.query(base, 7)).toEqual([{ id: 'spread', distance: 7 }]);
+    expect(index.query(base, 6)).toEqual([]);
+  });
+
+  it('reports distances like a pairwise comparison', () => {
+    const index = createSimilarityIndex();
+    const base = 'a5a5a5a5a5a5a5a5';
+    const other = flipBits(base, [3, 30, 63]);
+    index.add('other', other);
+
+    expect(index.query(base, 5)).toEqual([{ id: 'other', distance: hammingDistance(base, other) }]);
+  });
+
+  it.each([0, 2, 5, 7, 8, 10])('matches a full scan at radius %i', (radius) => {
+    const random = createRandom(42 + radius);
+    const index = createSimilarityIndex();
+    const hashes = [];
+
+    // Clusters of near copies, so every radius has matches to find
+    for (let cluster = 0; cluster < 30; cluster++) {
+      const center = randomHash(random);
+      for (let copy = 0; copy < 5; copy++) {
+        const flips = Array.from({ length: random() % 10 }, () => random() % 64);
+        const hash = flipBits(center, flips);
+        hashes.push(hash);
+        index.add(`${cluster}-${copy}`, hash);
+      }
+    }
+
+    hashes.forEach((hash, position) => {
+      const expected = hashes
+        .map((other, otherPosition) => ({ other, otherPosition }))
+        .filter(({ other }) => hammingDistance(hash, other) <= radius)
+        .map(({ otherPosition }) => `${Math.floor(otherPosition / 5)}-${otherPosition % 5}`)
+        .sort();
+      expect(queryIds(index, hash, radius)).toEqual(expected);
+    });
+  });
+
+  it('matches metadata signatures exactly, without distance', () => {
+    const index = createSimilarityIndex();
+    index.add('a', 'meta:abc');
+    index.add('b', 'meta:abc');
+    index.add('c', 'meta:abd');
+
+    expect(index.query('meta:abc', 7)).toEqual([
+      { id: 'a', distance: 0 },
+      { id: 'b', distance: 0 },
+    ]);
+    expect(index.query('meta:xyz', 7)).toEqual([]);
+    expect(index.size).toBe(3);
+  });
+});
@@ -0,0 +1,144 @@
+import {
+  createRule,
+  matchesRule,
+  matchesSmartFilter,
+  validateSmartFilter,
+  FilterField,
+  FilterCombinator,
+} from '../smartFilters';
+import { PhotoCategory } from '../../constants/categories';
+
+const MB = 1024 * 1024;
+
+function filterWith(...rules) {
+  return { name: 'Test', combinator: FilterCombinator.AND, rules };
+}
+
+function rule(field, values) {
+  return { ...createRule(field), ...values };
+}
+
+describe('validateSmartFilter', () => {
+  it('accepts a complete filter', () => {
+    expect(validateSmartFilter(filterWith(
+      rule(FilterField.CATEGORY, { category: PhotoCategory.SCREENSHOT }),
+      rule(FilterField.SIZE, { minMB: '0', maxMB: '5' }),
+      rule(FilterField.DATE, { from: '2024-01-01', to: '2024-01-01' }),
+      rule(FilterField.FILENAME, { pattern: 'IMG_*' }),
+    ))).toBeNull();
+  });
+
+  it('needs a name and a condition', () => {
+    expect(validateSmartFilter({ ...filterWith(rule(FilterField.FILENAME, { pattern: 'a' })), name: '   ' }))
+      .toBe('Give your filter a name.');
+    expect(validateSmartFilter(filterWith())).toBe('Add at least one condition.');
+  });
+
+  it('needs the picked value of category and album conditions', () => {
+    expect(validateSmartFilter(filterWith(createRule(FilterField.CATEGORY))))
+      .toBe('Pick a category for the category condition.');
+    expect(validateSmartFilter(filterWith(createRule(FilterField.ALBUM))))
+      .toBe('Pick an album for the album condition.');
+  });
+
+  it('rejects categories that do not exist', () => {
+    expect(validateSmartFilter(filterWith(rule(FilterField.CATEGORY, { category: 'screenshots' }))))
+      .toBe('Unknown category "screenshots".');
+  });
+
+  it.each([
+    ['a negative limit', { minMB: '-1' }, 'File size limits have to be positive numbers.'],
+    ['a limit that is not a number', { maxMB: '1O' }, 'File size limits have to be positive numbers.'],
+    ['no limit at all', {}, 'Enter at least one file size limit.'],
+    ['a minimum above the maximum', { minMB: '10', maxMB: '2' }, 'File size minimum is larger than the maximum.'],
+  ])('rejects a size condition with %s', (_, values, message) => {
+    expect(validateSmartFilter(filterWith(rule(FilterField.SIZE, values)))).toBe(message);
+  });
+
+  it('checks dimension limits per axis', () => {
+    expect(validateSmartFilter(filterWith(rule(FilterField.DIMENSIONS, { minWidth: '100', maxHeight: '50' }))))
+      .toBeNull();
+    expect(validateSmartFilter(filterWith(rule(FilterField.DIMENSIONS, { minHeight: '100', maxHeight: '50' }))))
+      .toBe('Dimensions minimum is larger than the maximum.');
+  });
+
+  it.each(['2024-02-30', '2024-13-01', '2024-2-1', '01/02/2024', 'yesterday'])(
+    'rejects the malformed date %s',
+    (date) => {
+      expect(validateSmartFilter(filterWith(rule(FilterField.DATE, { from: date }))))
+        .toBe('Enter dates as YYYY-MM-DD.');
+    }
+  );
+
+  it('accepts leap days and surrounding spaces', () => {
+    expect(validateSmartFilter(filterWith(rule(FilterField.DATE, { from: ' 2024-02-29 ' })))).toBeNull();
+  });
+
+  it('needs a date range in order', () => {
+    expect(validateSmartFilter(filterWith(rule(FilterField.DATE, {}))))
+      .toBe('Enter a start or end date.');
+    expect(validateSmartFilter(filterWith(rule(FilterField.DATE, { from: '2024-03-02', to: '2024-03-01' }))))
+      .toBe('The start date is after the end date.');
+  });
+
+  it('needs a file name pattern and a known field', () => {
+    expect(validateSmartFilter(filterWith(rule(FilterField.FILENAME, { pattern: '  ' }))))
+      .toBe('Enter a file name pattern.');
+    expect(validateSmartFilter(filterWith({ field: 'colour' }))).toBe('Unknown condition "colour".');
+  });
+});
+
+describe('matchesRule', () => {
+  const photo = {
+    id: 'p1',
+    filename: 'IMG_1234.HEIC',
+    size: 3 * MB,
+    width: 4032,
+    height: 3024,
+    creationTime: new Date(2024, 5, 15, 23, 59).getTime(),
+    categories: [PhotoCategory.SIMILAR],
+    albumId: null,
+  };
+
+  it('includes the whole end day of a date range', () => {
+    expect(matchesRule(photo, rule(FilterField.DATE, { to: '2024-06-15' }))).toBe(true);
+    expect(matchesRule(photo, rule(FilterField.DATE, { to: '2024-06-14' }))).toBe(false);
+    expect(matchesRule(photo, rule(FilterField.DATE, { from: '2024-06-16' }))).toBe(false);
+  });
+
+  it('ends a date range at local midnight, also on days with a clock change', () => {
+    // In much of Europe clocks go back on 27 October 2024, so that day has 25 hours
+    const at = (...parts) => ({ ...photo, creationTime: new Date(2024, 9, ...parts).getTime() });
+    const toDay = rule(FilterField.DATE, { to: '2024-10-27' });
+    expect(matchesRule(at(27, 23, 59, 59, 999), toDay)).toBe(true);
+    expect(matchesRule(at(28, 0, 0, 0, 0), toDay)).toBe(false);
+  });
+
+  it('compares sizes in megabytes with open ends', () => {
+    expect(matchesRule(photo, rule(FilterField.SIZE, { minMB: '3' }))).toBe(true);
+    expect(matchesRule(photo, rule(FilterField.SIZE, { maxMB: '2.5' }))).toBe(false);
+  });
+
+  it('matches file names with wildcards or anywhere in the name', () => {
+    expect(matchesRule(photo, rule(FilterField.FILENAME, { pattern: 'img_????.heic' }))).toBe(true);
+    expect(matchesRule(photo, rule(FilterField.FILENAME, { pattern: '1234' }))).toBe(true);
+    expect(matchesRule(photo, rule(FilterField.FILENAME, { pattern: 'IMG_*.jpg' }))).toBe(false);
+    expect(matchesRule(photo, rule(FilterField.FILENAME, { pattern: '(1)' }))).toBe(false);
+  });
+
+  it('negates categories and reads album members from the context', () => {
+    expect(matchesRule(photo, rule(FilterField.CATEGORY, { category: PhotoCategory.SIMILAR, negate: true }))).toBe(false);
+    const albumMembers = new Map([['album1', new Set(['p1'])]]);
+    expect(matchesRule(photo, rule(FilterField.ALBUM, { albumId: 'album1' }), { albumMembers })).toBe(true);
+    expect(matchesRule(photo, rule(FilterField.ALBUM, { albumId: 'album2' }), { albumMembers })).toBe(false);
+  });
+
+  it('combines conditions with AND or OR', () => {
+    const rules = [
+      rule(FilterField.SIZE, { minMB: '10' }),
+      rule(FilterField.CATEGORY, { category: PhotoCategory.SIMILAR }),
+    ];
+    expect(matchesSmartFilter(photo, { combinator: FilterCombinator.AND, rules })).toBe(false);
+    expect(matchesSmartFilter(photo, { combinator: FilterCombinator.OR, rules })).toBe(true);
+  });
+});
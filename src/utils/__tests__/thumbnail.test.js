@@ -0,0 +1,112 @@
+jest.mock('expo-image-manipulator', () => ({
+  ImageManipulator: { manipulate: jest.fn() },
+  SaveFormat: { JPEG: 'jpeg' },
+}));
+jest.mock('expo-media-library', () => ({
+  getAssetInfoAsync: jest.fn(),
+}));
+jest.mock('expo-file-system', () => {
+  const deleted = [];
+  class File {
+    constructor(uri) {
+      this.uri = uri;
+    }
+
+    get exists() {
+      return true;
+    }
+
+    delete() {
+      deleted.push(this.uri);
+    }
+  }
+  return { File, deleted };
+});
+
+import { encode as encodeJpeg } from 'jpeg-js';
+import { ImageManipulator } from 'expo-image-manipulator';
+import * as MediaLibrary from 'expo-media-library';
+import { deleted } from 'expo-file-system';
+import { loadGrayscaleThumbnail, THUMBNAIL_SIZE } from '../thumbnail';
+
+/**
+ * Base64 JPEG of a solid color, as the manipulator would save it
+ */
+function solidJpeg(size, [red, green, blue]) {
+  const data = Buffer.alloc(size * size * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = red;
+    data[i + 1] = green;
+    data[i + 2] = blue;
+    data[i + 3] = 255;
+  }
+  return Buffer.from(encodeJpeg({ data, width: size, height: size }, 100).data).toString('base64');
+}
+
+describe('loadGrayscaleThumbnail', () => {
+  let context;
+  let image;
+
+  const renderAs = (base64) => {
+    image = {
+      saveAsync: jest.fn(() => Promise.resolve({ uri: 'file:///cache/manipulated.jpg', base64 })),
+      release: jest.fn(),
+    };
+    context = {
+      renderAsync: jest.fn(() => Promise.resolve(image)),
+      release: jest.fn(),
+    };
+    // Transforms chain, as in expo-image-manipulator
+    context.crop = jest.fn(() => context);
+    context.resize = jest.fn(() => context);
+    ImageManipulator.manipulate.mockReturnValue(context);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    deleted.length = 0;
+  });
+
+  it('decodes the downscaled image into luminance values', async () => {
+    renderAs(solidJpeg(8, [255, 0, 0]));
+    const thumbnail = await loadGrayscaleThumbnail({ id: 'a', uri: 'file:///photos/a.jpg' }, 8);
+
+    expect(ImageManipulator.manipulate).toHaveBeenCalledWith('file:///photos/a.jpg');
+    expect(context.resize).toHaveBeenCalledWith({ width: 8, height: 8 });
+    expect(context.crop).not.toHaveBeenCalled();
+    expect(thumbnail.width).toBe(8);
+    expect(thumbnail.height).toBe(8);
+    expect(thumbnail.pixels).toHaveLength(64);
+    // Pure red is 0.299 of full brightness, give or take JPEG rounding
+    thumbnail.pixels.forEach(value => expect(Math.abs(value - 76)).toBeLessThanOrEqual(3));
+  });
+
+  it('resolves library uris and crops before resizing', async () => {
+    renderAs(solidJpeg(THUMBNAIL_SIZE, [128, 128, 128]));
+    MediaLibrary.getAssetInfoAsync.mockResolvedValue({ localUri: 'file:///library/b.heic' });
+    const crop = { originX: 10, originY: 10, width: 100, height: 100 };
+    const thumbnail = await loadGrayscaleThumbnail({ id: 'b', uri: 'ph://b/L0/001' }, THUMBNAIL_SIZE, crop);
+
+    expect(MediaLibrary.getAssetInfoAsync).toHaveBeenCalledWith('b', { shouldDownloadFromNetwork: false });
+    expect(ImageManipulator.manipulate).toHaveBeenCalledWith('file:///library/b.heic');
+    expect(context.crop).toHaveBeenCalledWith(crop);
+    expect(thumbnail.pixels).toHaveLength(THUMBNAIL_SIZE * THUMBNAIL_SIZE);
+  });
+
+  it('removes the temporary file and releases native images', async () => {
+    renderAs(solidJpeg(8, [0, 0, 0]));
+    await loadGrayscaleThumbnail({ id: 'a', uri: 'file:///photos/a.jpg' }, 8);
+
+    expect(deleted).toEqual(['file:///cache/manipulated.jpg']);
+    expect(image.release).toHaveBeenCalled();
+    expect(context.release).toHaveBeenCalled();
+  });
+
+  it('releases the context when rendering fails', async () => {
+    renderAs('');
+    context.renderAsync.mockRejectedValue(new Error('Unsupported format'));
+
+    await expect(loadGrayscaleThumbnail({ id: 'a', uri: 'file:///photos/a.jpg' })).rejects.toThrow('Unsupported format');
+    expect(context.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,155 @@
+jest.mock('expo-file-system', () => {
+  // In-memory files keyed by uri, enough of the File/Directory API for the trash
+  const files = new Map();
+  const join = (parent, name) => `${typeof parent === 'string' ? parent : parent.uri}/${name}`;
+
+  class File {
+    constructor(...parts) {
+      this.uri = parts.length === 1 ? parts[0] : join(parts[0], parts[1]);
+    }
+
+    get exists() {
+      return files.has(this.uri);
+    }
+
+    write(content) {
+      files.set(this.uri, content);
+    }
+
+    async text() {
+      return files.get(this.uri);
+    }
+
+    copy(destination) {
+      if (!files.has(this.uri)) throw new Error(`Missing ${this.uri}`);
+      files.set(destination.uri, files.get(this.uri));
+    }
+
+    delete() {
+      files.delete(this.uri);
+    }
+  }
+
+  class Directory {
+    constructor(parent, name) {
+      this.uri = join(parent, name);
+    }
+
+    create() {}
+  }
+
+  return { File, Directory, Paths: { document: 'file:///document' }, files };
+});
+jest.mock('expo-media-library', () => ({
+  getAssetInfoAsync: jest.fn(),
+  createAssetAsync: jest.fn(() => Promise.resolve({ id: 'restored' })),
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2024, 4, 1).getTime();
+
+function loadModules() {
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      fileSystem: require('expo-file-system'),
+      MediaLibrary: require('expo-media-library'),
+      settings: require('../settings'),
+      storage: require('../storage'),
+      trash: require('../trash'),
+    };
+  });
+  return modules;
+}
+
+describe('trash', () => {
+  let fileSystem;
+  let MediaLibrary;
+  let settings;
+  let storage;
+  let trash;
+
+  const photo = (id, size = 1000) => ({ id, size, mediaType: 'photo' });
+  const trashFiles = () => [...fileSystem.files.keys()].filter(uri => uri.startsWith('file:///document/trash/') && !uri.endsWith('index.json'));
+
+  beforeEach(async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    ({ fileSystem, MediaLibrary, settings, storage, trash } = loadModules());
+    await settings.updateSetting(settings.SettingKey.TRASH_RETENTION_DAYS, 7);
+
+    // Library originals of photos a, b and c, d has no local file
+    MediaLibrary.getAssetInfoAsync.mockImplementation(id => Promise.resolve(
+      id === 'd' ? { localUri: null } : { localUri: `file:///library/${id}.jpg`, filename: `IMG_${id}.JPG` }
+    ));
+    ['a', 'b', 'c'].forEach(id => fileSystem.files.set(`file:///library/${id}.jpg`, `pixels of ${id}`));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is on only while a retention period is set', async () => {
+    expect(trash.isTrashEnabled()).toBe(true);
+    await settings.updateSetting(settings.SettingKey.TRASH_RETENTION_DAYS, 0);
+    expect(trash.isTrashEnabled()).toBe(false);
+  });
+
+  it('copies originals for the retention period and reports the ones it could not copy', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { trashed, failed } = await trash.copyToTrash([photo('a', 1500), photo('b', 500), photo('d')]);
+
+    expect(trashed.map(p => p.id)).toEqual(['a', 'b']);
+    expect(failed.map(p => p.id)).toEqual(['d']);
+    expect(trashFiles()).toHaveLength(2);
+
+    const items = await trash.getTrashItems();
+    expect(items.map(item => item.filename).sort()).toEqual(['IMG_a.JPG', 'IMG_b.JPG']);
+    expect(items[0]).toMatchObject({ deletedAt: NOW, expiresAt: NOW + 7 * DAY });
+    expect(await trash.getTrashSummary()).toEqual({ count: 2, size: 2000 });
+  });
+
+  it('purges only expired items and counts their space as cleared then', async () => {
+    await trash.copyToTrash([photo('a', 1500)]);
+    Date.now.mockReturnValue(NOW + 3 * DAY);
+    await trash.copyToTrash([photo('b', 500)]);
+    expect(await storage.getTotalStorageCleared()).toBe(0);
+
+    Date.now.mockReturnValue(NOW + 7 * DAY);
+    expect(await trash.purgeExpiredTrash()).toBe(1);
+    expect((await trash.getTrashItems()).map(item => item.filename)).toEqual(['IMG_b.JPG']);
+    expect(trashFiles()).toHaveLength(1);
+    expect(await storage.getTotalStorageCleared()).toBe(1500);
+
+    expect(await trash.purgeExpiredTrash()).toBe(0);
+  });
+
+  it('counts the space of items deleted for good right away', async () => {
+    await trash.copyToTrash([photo('a', 1500), photo('b', 500)]);
+    const items = await trash.getTrashItems();
+    await trash.deleteFromTrash(items.filter(item => item.filename === 'IMG_b.JPG'));
+
+    expect(await trash.getTrashSummary()).toEqual({ count: 1, size: 1500 });
+    expect(await storage.getTotalStorageCleared()).toBe(500);
+  });
+
+  it('restores items to the library and keeps the ones that failed', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await trash.copyToTrash([photo('a'), photo('b')]);
+    const items = await trash.getTrashItems();
+    MediaLibrary.createAssetAsync.mockRejectedValueOnce(new Error('No access'));
+
+    expect(await trash.restoreFromTrash(items)).toBe(1);
+    expect(MediaLibrary.createAssetAsync).toHaveBeenCalledWith(items[0].uri);
+    expect((await trash.getTrashItems()).map(item => item.fileName)).toEqual([items[0].fileName]);
+    expect(trashFiles()).toEqual([items[0].uri]);
+  });
+
+  it('discards the copies of photos whose deletion did not go through, without counting space', async () => {
+    await trash.copyToTrash([photo('a'), photo('b'), photo('c')]);
+    await trash.discardTrashCopies([photo('a'), photo('c')]);
+
+    expect((await trash.getTrashItems()).map(item => item.photoId)).toEqual(['b']);
+    expect(trashFiles()).toHaveLength(1);
+    expect(await storage.getTotalStorageCleared()).toBe(0);
+  });
+});
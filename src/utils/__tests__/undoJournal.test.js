@@ -0,0 +1,198 @@
+jest.mock('../albums', () => ({
+  addToAlbum: jest.fn(() => Promise.resolve()),
+  removeFromAlbum: jest.fn(() => Promise.resolve(true)),
+}));
+jest.mock('../reviewedLedger', () => ({
+  recordReview: jest.fn(() => Promise.resolve()),
+  removeReview: jest.fn(() => Promise.resolve()),
+}));
+
+const JOURNAL_KEY = 'swipeclean:undo_journal';
+
+/**
+ * Fresh copies of the journal and what it uses, the journal keeps its state at module level
+ */
+function loadModules() {
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      AsyncStorage: require('@react-native-async-storage/async-storage'),
+      journal: require('../undoJournal'),
+      storage: require('../storage'),
+      albums: require('../albums'),
+    };
+  });
+  return modules;
+}
+
+const photo = (id) => ({ id, filename: `IMG_${id}.JPG` });
+
+describe('undoJournal', () => {
+  let AsyncStorage;
+  let journal;
+  let storage;
+  let albums;
+
+  beforeEach(() => {
+    ({ AsyncStorage, journal, storage, albums } = loadModules());
+  });
+
+  const markDeleted = (id) => journal.recordDecision({
+    action: 'delete',
+    photo: photo(id),
+    effects: [{ type: journal.JournalEffect.MARK_DELETED, photos: [photo(id)] }],
+    context: { sessionId: 's1' },
+  });
+
+  const deletedIds = async () => (await storage.getDeletedPhotos()).map(p => p.id);
+
+  it('carries out decisions and undoes and redoes them in order', async () => {
+    await markDeleted('a');
+    await markDeleted('b');
+    expect(await deletedIds()).toEqual(['a', 'b']);
+
+    const undone = await journal.undo(2);
+    expect(undone.map(entry => entry.photo.id)).toEqual(['b', 'a']);
+    expect(await deletedIds()).toEqual([]);
+
+    const redone = await journal.redo(1);
+    expect(redone.map(entry => entry.photo.id)).toEqual(['a']);
+    expect(await deletedIds()).toEqual(['a']);
+  });
+
+  it('stops at the ends of the journal', async () => {
+    await markDeleted('a');
+    expect(await journal.undo(5)).toHaveLength(1);
+    expect(await journal.undo(1)).toEqual([]);
+    expect(await journal.redo(5)).toHaveLength(1);
+    expect(await journal.redo(1)).toEqual([]);
+  });
+
+  it('drops what could be redone when a new decision is made', async () => {
+    await markDeleted('a');
+    await markDeleted('b');
+    await journal.undo(1);
+    await markDeleted('c');
+
+    expect(await journal.redo(1)).toEqual([]);
+    expect((await journal.undo(5)).map(entry => entry.photo.id)).toEqual(['c', 'a']);
+  });
+
+  it('rolls back the effects already carried out when a later one fails', async () => {
+    albums.addToAlbum.mockRejectedValueOnce(new Error('No access'));
+    await storage.saveDeletedPhoto(photo('a'));
+    const decision = journal.recordDecision({
+      action: 'file_album',
+      photo: photo('a'),
+      effects: [
+        { type: journal.JournalEffect.UNMARK_DELETED, photos: [photo('a')] },
+        { type: journal.JournalEffect.FAVORITE, photo: photo('a') },
+        { type: journal.JournalEffect.ALBUM, album: { id: 'album', title: 'Trips' }, photos: [photo('a')], inAlbum: false },
+      ],
+    });
+
+    await expect(decision).rejects.toThrow('No access');
+    expect(await deletedIds()).toEqual(['a']);
+    expect(await storage.getFavoritePhotos()).toEqual([]);
+    expect(await journal.undo(1)).toEqual([]);
+  });
+
+  it('keeps an album move that could not be reverted, and does not add it twice on redo', async () => {
+    albums.removeFromAlbum.mockResolvedValueOnce(false);
+    const effect = { type: journal.JournalEffect.ALBUM, album: { id: 'album', title: 'Trips' }, photos: [photo('a')], inAlbum: false };
+    await journal.recordDecision({ action: 'file_album', photo: photo('a'), effects: [effect] });
+
+    const [undone] = await journal.undo(1);
+    expect(undone.effects[0].inAlbum).toBe(true);
+
+    await journal.redo(1);
+    expect(albums.addToAlbum).toHaveBeenCalledTimes(1);
+  });
+
+  it('forgets decisions on photos gone from the library', async () => {
+    await markDeleted('a');
+    await markDeleted('b');
+    await markDeleted('c');
+    await journal.undo(1);
+    await journal.forgetPhotos(['a']);
+
+    expect((await journal.undo(5)).map(entry => entry.photo.id)).toEqual(['b']);
+    expect((await journal.redo(5)).map(entry => entry.photo.id)).toEqual(['b', 'c']);
+  });
+
+  it('stores the journal and picks it up again after a restart', async () => {
+    await markDeleted('a');
+    await markDeleted('b');
+    await journal.undo(1);
+    const stored = await AsyncStorage.getItem(JOURNAL_KEY);
+
+    const restarted = loadModules();
+    await restarted.AsyncStorage.setItem(JOURNAL_KEY, stored);
+    await restarted.journal.loadJournal();
+
+    const states = [];
+    restarted.journal.subscribeToJournal(state => states.push(state));
+    expect((await restarted.journal.redo(1)).map(entry => entry.photo.id)).toEqual(['b']);
+    expect(states[0]).toMatchObject({ undoCount: 2, redoCount: 0 });
+  });
+
+  it('stores only the photo fields its effects need', async () => {
+    const analyzed = {
+      ...photo('a'),
+      uri: 'ph://a',
+      size: 2000,
+      creationTime: 1,
+      mediaType: 'photo',
+      hashVariants: { rotated90: '0f0f0f0f0f0f0f0f' },
+      categories: ['duplicate'],
+      twins: [photo('a-raw')],
+    };
+    await journal.recordDecision({
+      action: 'delete',
+      photo: analyzed,
+      effects: [{ type: journal.JournalEffect.MARK_DELETED, photos: [analyzed] }],
+    });
+
+    const { entries } = JSON.parse(await AsyncStorage.getItem(JOURNAL_KEY));
+    const stored = { id: 'a', filename: 'IMG_a.JPG', uri: 'ph://a', size: 2000, creationTime: 1, mediaType: 'photo' };
+    expect(entries[0].photo).toEqual(stored);
+    expect(entries[0].effects[0].photos).toEqual([stored]);
+  });
+
+  it('shows what undo and redo would reach without changing anything', async () => {
+    await markDeleted('a');
+    await markDeleted('b');
+    await markDeleted('c');
+    await journal.undo(1);
+
+    expect((await journal.peekUndo(5)).map(entry => entry.photo.id)).toEqual(['b', 'a']);
+    expect((await journal.peekRedo(5)).map(entry => entry.photo.id)).toEqual(['c']);
+    expect(await deletedIds()).toEqual(['a', 'b']);
+  });
+
+  it('leaves out malformed stored entries', async () => {
+    await AsyncStorage.setItem(JOURNAL_KEY, JSON.stringify({ entries: [null, { action: 'keep' }], position: 2 }));
+
+    await markDeleted('a');
+    expect((await journal.undo(5)).map(entry => entry.photo.id)).toEqual(['a']);
+  });
+
+  it('keeps working when the journal could not be loaded, and loads it again later', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    let failing;
+    jest.isolateModules(() => {
+      const storageModule = require('../storage');
+      jest.spyOn(storageModule, 'getStoredJournal').mockRejectedValueOnce(new Error('Storage unavailable'));
+      failing = { journal: require('../undoJournal'), storage: storageModule };
+    });
+
+    await failing.journal.recordDecision({
+      action: 'delete',
+      photo: photo('a'),
+      effects: [{ type: failing.journal.JournalEffect.MARK_DELETED, photos: [photo('a')] }],
+    });
+    expect((await failing.journal.undo(1)).map(entry => entry.photo.id)).toEqual(['a']);
+    expect(failing.storage.getStoredJournal).toHaveBeenCalledTimes(2);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,105 @@
+// Albums: scoping sessions, filing photos and protecting what must never be cleaned up
+// Assets only carry their album on Android, so membership is read from the library album by
+// album. Protection is checked wherever photos enter the app (the loading pipeline and the
+// deletion review), so no cleanup mode or filter can get around it.
+
+import { Platform } from 'react-native';
+import * as MediaLibrary from 'expo-media-library';
+import { getProtectedAlbums } from './storage';
+import { throwIfCancelled } from './cancellation';
+
+const ALBUM_PAGE_SIZE = 500;
+
+/**
+ * Get the library's albums, sorted by title
+ */
+export async function getLibraryAlbums() {
+  const albums = await MediaLibrary.getAlbumsAsync();
+  return albums.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+}
+
+/**
+ * File photos into an album. On Android they move into the album's folder instead of being
+ * copied, so filing never takes extra space
+ */
+export async function addToAlbum(photos, album) {
+  await MediaLibrary.addAssetsToAlbumAsync(photos.map(photo => photo.id), album, false);
+}
+
+/**
+ * Create an album holding photos (an album can't be created empty on Android)
+ * @returns {Promise<Object>} The new album
+ */
+export async function createAlbumWith(title, photos) {
+  const [first, ...rest] = photos;
+  const album = await MediaLibrary.createAlbumAsync(title, first.id, false);
+  if (rest.length > 0) {
+    await addToAlbum(rest, album);
+  }
+  return album;
+}
+
+/**
+ * Take photos back out of an album, only possible on iOS: on Android an asset lives in its
+ * album's folder and removing it from the album deletes the file
+ * @returns {Promise<boolean>} Whether the photos were removed
+ */
+export async function removeFromAlbum(photos, album) {
+  if (Platform.OS !== 'ios') return false;
+  await MediaLibrary.removeAssetsFromAlbumAsync(photos.map(photo => photo.id), album);
+  return true;
+}
+
+/**
+ * Load the asset ids of albums
+ * @param {Array} albumIds - Albums to read
+ * @param {AbortSignal} signal - Optional, cancels between pages
+ * @returns {Promise<Map>} Album id to Set of asset ids
+ */
+export async function loadAlbumAssetIds(albumIds, signal) {
+  const albumMembers = new Map();
+
+  for (const albumId of new Set(albumIds)) {
+    const members = new Set();
+    let after;
+    let hasNextPage = true;
+    while (hasNextPage) {
+      throwIfCancelled(signal);
+      const result = await MediaLibrary.getAssetsAsync({
+        album: albumId,
+        mediaType: ['photo', 'video'],
+        first: ALBUM_PAGE_SIZE,
+        after,
+      });
+      result.assets.forEach(asset => members.add(asset.id));
+      hasNextPage = result.hasNextPage;
+      after = result.endCursor;
+    }
+    albumMembers.set(albumId, members);
+  }
+
+  return albumMembers;
+}
+
+/**
+ * Load what is protected: the protected albums and every asset in them
+ * @returns {Promise<Object>} {albumIds, assetIds} Sets, pass to isProtected
+ */
+export async function loadProtection(signal) {
+  const albums = await getProtectedAlbums();
+  const albumIds = new Set(albums.map(album => album.id));
+  const assetIds = new Set();
+  if (albumIds.size > 0) {
+    const members = await loadAlbumAssetIds([...albumIds], signal);
+    members.forEach(ids => ids.forEach(id => assetIds.add(id)));
+  }
+  return { albumIds, assetIds };
+}
+
+/**
+ * Check whether a photo (or library asset) is in a protected album
+ */
+export function isProtected(photo, protection) {
+  return protection.assetIds.has(photo.id) ||
+    (!!photo.albumId && protection.albumIds.has(photo.albumId));
+}
@@ -0,0 +1,160 @@
+// Persistent per-asset analysis cache
+// Pixel analysis (perceptual hashes, sharpness, exposure, document layout) is the slow part of a
+// scan, so results are kept per asset id and reused until the asset's modification time changes.
+// Entries live in sharded JSON files under the document directory rather than in AsyncStorage,
+// so a rescan only rewrites the shards that actually changed.
+
+import { Directory, File, Paths } from 'expo-file-system';
+
+const CACHE_VERSION = 3; // Bumped whenever the analysis gains metrics, so old entries get re-analyzed
+const SHARD_COUNT = 32;
+const CACHE_DIRECTORY_NAME = 'analysis-cache';
+// Metrics every entry needs, one of them missing (e.g. a failed sharpness pass) means analyze again
+const REQUIRED_FIELDS = ['signature', 'sharpness', 'exposureScore', 'documentLikelihood', 'hashVariants'];
+
+/**
+ * Pick the shard an asset id belongs to
+ */
+function shardFor(id) {
+  let hash = 0;
+  const key = String(id);
+  for (let i = 0; i < key.length; i++) {
+    hash = ((hash << 5) - hash + key.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash) % SHARD_COUNT;
+}
+
+function getCacheDirectory() {
+  return new Directory(Paths.document, CACHE_DIRECTORY_NAME);
+}
+
+function getShardFile(shard) {
+  return new File(getCacheDirectory(), `shard-${shard}.json`);
+}
+
+/**
+ * Read one shard, returning an empty object for missing, corrupt or outdated files
+ */
+async function readShard(shard) {
+  try {
+    const file = getShardFile(shard);
+    if (!file.exists) return {};
+    const data = JSON.parse(await file.text());
+    return data.version === CACHE_VERSION ? data.entries || {} : {};
+  } catch (error) {
+    console.error(`Error reading analysis cache shard ${shard}:`, error);
+    return {};
+  }
+}
+
+/**
+ * Check whether a cached entry still describes the current version of an asset
+ */
+export function isEntryFresh(entry, photo) {
+  return !!entry && entry.modificationTime === photo.modificationTime;
+}
+
+/**
+ * Check that an entry holds every metric, partial analyses are done again
+ */
+function isEntryComplete(entry) {
+  return REQUIRED_FIELDS.every(field => entry[field] !== undefined && entry[field] !== null);
+}
+
+/**
+ * Load the analysis cache into memory
+ * @returns {Promise<Object>} Cache with get, set, prune and flush
+ */
+export async function loadAnalysisCache() {
+  const shards = await Promise.all(
+    Array.from({ length: SHARD_COUNT }, (_, shard) => readShard(shard))
+  );
+  const dirtyShards = new Set();
+
+  /**
+   * Get the cached analysis for a photo if it is still valid
+   */
+  const get = (photo) => {
+    const entry = shards[shardFor(photo.id)][photo.id];
+    return isEntryFresh(entry, photo) && isEntryComplete(entry) ? entry : null;
+  };
+
+  /**
+   * Store analysis results for a photo
+   * @param {Object} photo - Photo with {id, modificationTime}
+   * @param {Object} analysis - Signature and pixel metrics
+   */
+  const set = (photo, analysis) => {
+    const shard = shardFor(photo.id);
+    shards[shard][photo.id] = {
+      ...analysis,
+      modificationTime: photo.modificationTime,
+      analyzedAt: Date.now(),
+    };
+    dirtyShards.add(shard);
+  };
+
+  /**
+   * Drop entries for assets that are no longer in the library
+   * @param {Iterable} existingIds - Ids of all assets currently in the library
+   * @returns {number} Number of removed entries
+   */
+  const prune = (existingIds) => {
+    const keep = new Set(existingIds);
+    let removed = 0;
+    shards.forEach((entries, shard) => {
+      Object.keys(entries).forEach(id => {
+        if (!keep.has(id)) {
+          delete entries[id];
+          dirtyShards.add(shard);
+          removed++;
+        }
+      });
+    });
+    return removed;
+  };
+
+  /**
+   * Write changed shards to disk
+   */
+  const flush = async () => {
+    if (dirtyShards.size === 0) return;
+
+    try {
+      getCacheDirectory().create({ intermediates: true, idempotent: true });
+      dirtyShards.forEach(shard => {
+        getShardFile(shard).write(JSON.stringify({
+          version: CACHE_VERSION,
+          entries: shards[shard],
+        }));
+      });
+      dirtyShards.clear();
+    } catch (error) {
+      console.error('Error writing analysis cache:', error);
+    }
+  };
+
+  return {
+    get,
+    set,
+    prune,
+    flush,
+    get size() {
+      return shards.reduce((total, entries) => total + Object.keys(entries).length, 0);
+    },
+  };
+}
+
+/**
+ * Delete every cached analysis result (forces a full rescan)
+ */
+export async function clearAnalysisCache() {
+  try {
+    const directory = getCacheDirectory();
+    if (directory.exists) {
+      directory.delete();
+    }
+  } catch (error) {
+    console.error('Error clearing analysis cache:', error);
+  }
+}
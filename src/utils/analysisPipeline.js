@@ -0,0 +1,229 @@
+// Load-and-analyze pipeline behind every cleanup session
+// Pages through the media library (photos and videos), runs detection and reports structured progress with an ETA.
+// Cancelling keeps everything analyzed so far in the analysis cache, so the next run resumes there.
+
+import { Dimensions, PixelRatio } from 'react-native';
+import * as MediaLibrary from 'expo-media-library';
+import { detectDuplicatesAndSimilar } from './photoDetection';
+import { loadAnalysisCache } from './analysisCache';
+import { getFavoritePhotos } from './storage';
+import { throwIfCancelled } from './cancellation';
+import { loadProtection, isProtected } from './albums';
+import { loadSettings } from './settings';
+import { AnalysisPhase } from '../constants/analysis';
+
+const PAGE_SIZE = 100;
+const MEDIA_TYPES = ['photo', 'video'];
+const MAX_PAGES = 1000; // Safety limit to prevent infinite loops
+const ETA_WINDOW = 20; // Progress samples used for the rate estimate
+
+// Share of the overall progress bar (0-100) each phase covers
+const PHASE_RANGES = {
+  [AnalysisPhase.LOADING]: [0, 15],
+  [AnalysisPhase.ANALYZING]: [15, 90],
+  [AnalysisPhase.GROUPING]: [90, 100],
+  [AnalysisPhase.DONE]: [100, 100],
+};
+
+/**
+ * Wrap a progress callback so it receives percent and ETA on top of {phase, processed, total}
+ * The rate comes from recent samples only, so a burst of cached photos doesn't skew the estimate
+ */
+function createProgressReporter(onProgress) {
+  let currentPhase = null;
+  let samples = [];
+
+  return ({ phase, processed, total }) => {
+    if (!onProgress) return;
+
+    if (phase !== currentPhase) {
+      currentPhase = phase;
+      samples = [];
+    }
+    samples.push({ time: Date.now(), processed });
+    if (samples.length > ETA_WINDOW) {
+      samples.shift();
+    }
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const rate = last.time > first.time ? (last.processed - first.processed) / (last.time - first.time) : 0;
+    const etaMs = rate > 0 && total > processed ? Math.round((total - processed) / rate) : null;
+
+    const [from, to] = PHASE_RANGES[phase];
+    const fraction = total > 0 ? Math.min(1, processed / total) : 1;
+
+    onProgress({
+      phase,
+      processed,
+      total,
+      etaMs,
+      percent: Math.round(from + fraction * (to - from)),
+    });
+  };
+}
+
+/**
+ * Page through the whole library, or only through the given albums
+ */
+async function loadLibraryAssets(signal, report, albumIds) {
+  const queries = albumIds?.length ? albumIds.map(album => ({ album })) : [{}];
+
+  // Get initial count first
+  const firstResults = await Promise.all(queries.map(query => MediaLibrary.getAssetsAsync({
+    ...query,
+    mediaType: MEDIA_TYPES,
+    sortBy: ['creationTime'],
+    first: 1,
+  })));
+  const totalCount = firstResults.reduce((sum, result) => sum + (result.totalCount || 0), 0);
+  report({ phase: AnalysisPhase.LOADING, processed: 0, total: totalCount });
+
+  const assets = [];
+  const seenIds = new Set(); // An asset can be in several of the picked albums
+  let pageCount = 0;
+
+  for (const query of queries) {
+    let hasNextPage = true;
+    let after = null;
+
+    while (hasNextPage) {
+      throwIfCancelled(signal);
+
+      const result = await MediaLibrary.getAssetsAsync({
+        ...query,
+        mediaType: MEDIA_TYPES,
+        sortBy: ['creationTime'],
+        first: PAGE_SIZE,
+        after: after,
+      });
+
+      result.assets.forEach(asset => {
+        if (!seenIds.has(asset.id)) {
+          seenIds.add(asset.id);
+          assets.push(asset);
+        }
+      });
+      hasNextPage = result.hasNextPage;
+      after = result.endCursor;
+      pageCount++;
+
+      // Use page estimation if totalCount not reliable
+      const estimatedTotal = Math.max(totalCount, assets.length + (hasNextPage ? PAGE_SIZE : 0));
+      report({ phase: AnalysisPhase.LOADING, processed: assets.length, total: estimatedTotal });
+
+      if (pageCount > MAX_PAGES) {
+        console.warn('Photo loading limit reached');
+        return assets;
+      }
+    }
+  }
+
+  return assets;
+}
+
+/**
+ * Load the assets a session may work on
+ * Photos in protected albums are dropped here, before any detector, filter or mode sees them
+ * @returns {Promise<Object>} {assets} without protected ones, {loadedIds} of everything read
+ */
+async function loadSessionAssets(signal, report, albumIds) {
+  const assets = await loadLibraryAssets(signal, report, albumIds);
+  const protection = await loadProtection(signal);
+  return {
+    assets: assets.filter(asset => !isProtected(asset, protection)),
+    loadedIds: assets.map(asset => asset.id),
+  };
+}
+
+/**
+ * Map a library asset to the photo format used throughout the app
+ */
+function toPhotoData(asset) {
+  return {
+    id: asset.id,
+    uri: asset.uri, // Keep original URI, SwipeCard will convert if needed
+    mediaType: asset.mediaType,
+    duration: asset.duration || 0, // Seconds, 0 for photos
+    filename: asset.filename || '',
+    mediaSubtypes: asset.mediaSubtypes || [], // livePhoto, screenshot, ... (iOS)
+    burstId: asset.burstIdentifier || null, // Not reported everywhere, burst file names are the fallback
+    albumId: asset.albumId || null, // Android only
+    width: asset.width || 0,
+    height: asset.height || 0,
+    size: asset.fileSize || 0,
+    creationTime: asset.creationTime * 1000, // Convert to milliseconds
+    modificationTime: asset.modificationTime || 0, // Invalidates cached analysis when edited
+  };
+}
+
+/**
+ * Load the library without analyzing it, for screens that only need metadata
+ * @param {Object} options - {signal} to cancel, {onProgress} receiving {phase, processed, total},
+ *   {albumIds} to read only some albums
+ * @returns {Promise<Array>} Photos and videos in the app's photo format, protected ones left out
+ */
+export async function loadLibraryMedia({ signal, onProgress, albumIds } = {}) {
+  const { assets } = await loadSessionAssets(signal, onProgress || (() => {}), albumIds);
+  return assets.map(toPhotoData);
+}
+
+/**
+ * Load the library and analyze it
+ * @param {Object} options - {signal} to cancel, {onProgress} receiving
+ *   {phase, processed, total, etaMs, percent}, {albumIds} to scope the session to some albums
+ * @returns {Promise<Array>} Categorized photos and videos, empty if the library has none;
+ *   photos in protected albums are never included
+ */
+export async function runAnalysisPipeline({ signal, onProgress, albumIds } = {}) {
+  const report = createProgressReporter(onProgress);
+  const { assets, loadedIds } = await loadSessionAssets(signal, report, albumIds);
+
+  if (assets.length === 0) {
+    report({ phase: AnalysisPhase.DONE, processed: 0, total: 0 });
+    return [];
+  }
+
+  // Map assets to photo format
+  // We'll get local URIs on-demand in SwipeCard to avoid blocking
+  const photoData = assets.map(toPhotoData);
+
+  // Previously analyzed assets are reused, only new or edited ones get pixel analysis
+  const analysisCache = await loadAnalysisCache();
+
+  // Detection thresholds are user settings
+  await loadSettings();
+
+  // Favorites weigh in when picking the best shot of a group
+  const favorites = await getFavoritePhotos();
+
+  // Android keeps screenshots and screen recordings in their own albums,
+  // this device's resolution is a screenshot size too
+  const albums = await MediaLibrary.getAlbumsAsync();
+  const albumIdsMatching = (pattern) => albums
+    .filter(album => pattern.test(album.title || ''))
+    .map(album => album.id);
+  const screenshotAlbumIds = albumIdsMatching(/screenshot/i);
+  const screenRecordingAlbumIds = albumIdsMatching(/screen\s?record/i);
+  const screen = Dimensions.get('screen');
+  const deviceScreen = {
+    width: PixelRatio.getPixelSizeForLayoutSize(screen.width),
+    height: PixelRatio.getPixelSizeForLayoutSize(screen.height),
+  };
+
+  throwIfCancelled(signal);
+
+  const processedPhotos = await detectDuplicatesAndSimilar(photoData, report, {
+    favoriteIds: favorites.map(p => p.id),
+    screenshotAlbumIds,
+    screenRecordingAlbumIds,
+    deviceScreen,
+    analysisCache,
+    // Only a full library read tells which assets are gone, album sessions keep every entry
+    libraryIds: albumIds?.length ? null : loadedIds,
+    signal,
+  });
+
+  report({ phase: AnalysisPhase.DONE, processed: processedPhotos.length, total: processedPhotos.length });
+  return processedPhotos;
+}
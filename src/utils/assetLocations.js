@@ -0,0 +1,172 @@
+// Where photos were taken, and what those places are called
+// Assets only report their location through getAssetInfoAsync, one native call per asset, so
+// coordinates are kept in a JSON file under the document directory and read again only when the
+// asset's modification time changes. Place names come from reverse geocoding and are cached too.
+
+import * as MediaLibrary from 'expo-media-library';
+import * as Location from 'expo-location';
+import { File, Paths } from 'expo-file-system';
+import { isEntryFresh } from './analysisCache';
+import { throwIfCancelled } from './cancellation';
+
+const STORE_VERSION = 1;
+const STORE_FILE_NAME = 'asset-locations.json';
+const LOOKUP_CONCURRENCY = 8;
+const FLUSH_INTERVAL = 200; // Lookups between writes, so a cancelled run keeps its progress
+const PLACE_KEY_DECIMALS = 2; // ~1 km, close enough to share a place name
+
+function getStoreFile() {
+  return new File(Paths.document, STORE_FILE_NAME);
+}
+
+/**
+ * Read the store, returning an empty one for missing, corrupt or outdated files
+ */
+async function readStore() {
+  try {
+    const file = getStoreFile();
+    if (file.exists) {
+      const data = JSON.parse(await file.text());
+      if (data.version === STORE_VERSION) {
+        return { entries: data.entries || {}, places: data.places || {} };
+      }
+    }
+  } catch (error) {
+    console.error('Error reading location store:', error);
+  }
+  return { entries: {}, places: {} };
+}
+
+function writeStore(store) {
+  try {
+    getStoreFile().write(JSON.stringify({ version: STORE_VERSION, ...store }));
+  } catch (error) {
+    console.error('Error writing location store:', error);
+  }
+}
+
+/**
+ * Read an asset's coordinates, null when it has none (0,0 is what some apps write for "unknown")
+ */
+async function lookupLocation(photo) {
+  try {
+    const info = await MediaLibrary.getAssetInfoAsync(photo.id);
+    const { latitude, longitude } = info.location || {};
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    if (latitude === 0 && longitude === 0) return null;
+    return { latitude, longitude };
+  } catch (error) {
+    console.error(`Error reading location of ${photo.id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Load the location of every photo, reading only assets that are new or changed
+ * @param {Array} photos - Photos with {id, modificationTime}
+ * @param {Object} options - {signal} to cancel, {onProgress} receiving {processed, total}
+ * @returns {Promise<Map>} Photo id -> {latitude, longitude} for photos that have a location
+ */
+export async function loadAssetLocations(photos, { signal, onProgress } = {}) {
+  const store = await readStore();
+  const missing = photos.filter(photo => !isEntryFresh(store.entries[photo.id], photo));
+  const report = (processed) => onProgress?.({ processed, total: missing.length });
+  report(0);
+
+  let processed = 0;
+  let sinceFlush = 0;
+  try {
+    for (let start = 0; start < missing.length; start += LOOKUP_CONCURRENCY) {
+      throwIfCancelled(signal);
+
+      const batch = missing.slice(start, start + LOOKUP_CONCURRENCY);
+      const locations = await Promise.all(batch.map(lookupLocation));
+      batch.forEach((photo, i) => {
+        store.entries[photo.id] = {
+          modificationTime: photo.modificationTime,
+          ...(locations[i] || { latitude: null, longitude: null }),
+        };
+      });
+
+      processed += batch.length;
+      sinceFlush += batch.length;
+      report(processed);
+      if (sinceFlush >= FLUSH_INTERVAL) {
+        writeStore(store);
+        sinceFlush = 0;
+      }
+    }
+  } finally {
+    // Cancelled runs keep what they read, the next visit picks up there
+    if (sinceFlush > 0) {
+      writeStore(store);
+    }
+  }
+
+  const result = new Map();
+  photos.forEach(photo => {
+    const entry = store.entries[photo.id];
+    if (entry && entry.latitude !== null) {
+      result.set(photo.id, { latitude: entry.latitude, longitude: entry.longitude });
+    }
+  });
+  return result;
+}
+
+function getPlaceKey({ latitude, longitude }) {
+  return `${latitude.toFixed(PLACE_KEY_DECIMALS)},${longitude.toFixed(PLACE_KEY_DECIMALS)}`;
+}
+
+/**
+ * Name places, e.g. "Lisbon"
+ * Reverse geocoding needs the network (and location permission on Android). Places that can't
+ * be named are left out and retried next time, so callers need a fallback name.
+ * @param {Array} coordinates - {latitude, longitude} to name
+ * @param {Object} options - {limit} on new geocoding requests, the platforms rate-limit them
+ * @returns {Promise<Map>} Place key -> name, look names up with getPlaceName
+ */
+export async function loadPlaceNames(coordinates, { limit = Infinity } = {}) {
+  const store = await readStore();
+  const names = new Map();
+  let requests = 0;
+  let changed = false;
+
+  for (const coordinate of coordinates) {
+    const key = getPlaceKey(coordinate);
+    if (names.has(key)) continue;
+    if (store.places[key]) {
+      names.set(key, store.places[key]);
+      continue;
+    }
+    if (requests >= limit) continue;
+
+    requests++;
+    try {
+      const [address] = await Location.reverseGeocodeAsync(coordinate);
+      const name = address && (address.city || address.subregion || address.region || address.country);
+      if (name) {
+        names.set(key, name);
+        store.places[key] = name;
+        changed = true;
+      }
+    } catch (error) {
+      // Offline or no permission: every other request would fail the same way
+      console.error('Error naming place:', error);
+      break;
+    }
+  }
+
+  if (changed) {
+    // Re-read so locations written since loading aren't lost
+    const latest = await readStore();
+    writeStore({ ...latest, places: { ...latest.places, ...store.places } });
+  }
+  return names;
+}
+
+/**
+ * Look up the name of a place in names loaded by loadPlaceNames
+ */
+export function getPlaceName(names, coordinate) {
+  return coordinate ? names.get(getPlaceKey(coordinate)) || null : null;
+}
@@ -0,0 +1,77 @@
+// Best shot selection inside duplicate, similar and burst groups
+// Ranks group members so the app can suggest which copy to keep and which to delete
+
+// Relative weight of each quality signal, renormalized over the signals a photo actually has
+const SCORE_WEIGHTS = {
+  resolution: 0.3,
+  fileSize: 0.15,
+  sharpness: 0.35,
+  exposure: 0.2,
+};
+const FAVORITE_BONUS = 1; // A favorite always outranks unmarked copies
+
+/**
+ * Score one photo against the best values found in its group
+ * @param {Object} photo - Photo with width, height, size and optional sharpness / exposureScore (0-1)
+ * @param {Object} groupMax - Largest pixel count and file size in the group
+ * @param {Set} favoriteIds - Ids of photos the user marked as favorite
+ * @returns {number} Score, higher is better
+ */
+export function scorePhoto(photo, groupMax, favoriteIds = new Set()) {
+  const signals = {
+    resolution: groupMax.pixels > 0 ? (photo.width * photo.height) / groupMax.pixels : null,
+    fileSize: groupMax.size > 0 ? (photo.size || 0) / groupMax.size : null,
+    sharpness: typeof photo.sharpness === 'number' ? photo.sharpness : null,
+    exposure: typeof photo.exposureScore === 'number' ? photo.exposureScore : null,
+  };
+
+  let score = 0;
+  let totalWeight = 0;
+  Object.keys(SCORE_WEIGHTS).forEach(key => {
+    if (signals[key] === null || Number.isNaN(signals[key])) return;
+    score += SCORE_WEIGHTS[key] * signals[key];
+    totalWeight += SCORE_WEIGHTS[key];
+  });
+
+  const normalized = totalWeight > 0 ? score / totalWeight : 0;
+  const isFavorite = photo.isFavorite || favoriteIds.has(photo.id);
+  return normalized + (isFavorite ? FAVORITE_BONUS : 0);
+}
+
+/**
+ * Rank the members of a group, best first
+ * @param {Array} members - Photos in one group
+ * @param {Set} favoriteIds - Ids of photos the user marked as favorite
+ * @returns {Array} [{photo, score}] sorted by score (ties go to the older capture)
+ */
+export function rankGroupMembers(members, favoriteIds = new Set()) {
+  const groupMax = members.reduce((max, photo) => ({
+    pixels: Math.max(max.pixels, photo.width * photo.height || 0),
+    size: Math.max(max.size, photo.size || 0),
+  }), { pixels: 0, size: 0 });
+
+  return members
+    .map(photo => ({ photo, score: scorePhoto(photo, groupMax, favoriteIds) }))
+    .sort((a, b) => (b.score - a.score) || (a.photo.creationTime - b.photo.creationTime));
+}
+
+/**
+ * Flag the suggested keeper and suggested deletions in every group
+ * Mutates the member photos: suggestedKeeper, suggestedDelete, groupRank, bestShotScore
+ * @param {Array} groups - Groups from getDuplicateGroups
+ * @param {Set} favoriteIds - Ids of photos the user marked as favorite
+ */
+export function applyBestShotSuggestions(groups, favoriteIds = new Set()) {
+  groups.forEach(group => {
+    const ranked = rankGroupMembers(group.members, favoriteIds);
+
+    ranked.forEach(({ photo, score }, rank) => {
+      photo.groupRank = rank;
+      photo.bestShotScore = Math.round(score * 1000) / 1000;
+      photo.suggestedKeeper = rank === 0;
+      photo.suggestedDelete = rank > 0;
+    });
+
+    group.suggestedKeeperId = ranked[0].photo.id;
+  });
+}
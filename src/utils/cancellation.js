@@ -0,0 +1,21 @@
+// Cooperative cancellation for long-running work
+// Callers pass an AbortController's signal, workers check it between units of work
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} signal - Optional signal from an AbortController
+ */
+export function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Operation cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+/**
+ * Check whether an error was caused by cancellation rather than a failure
+ */
+export function isCancellation(error) {
+  return !!error && error.name === 'AbortError';
+}
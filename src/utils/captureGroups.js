@@ -0,0 +1,185 @@
+// Capture groups: everything written by one press of the shutter
+// Burst sets come from the burst identifier when the platform reports one, otherwise from the
+// burst naming schemes of Android cameras. Capture twins are the same shot saved in several
+// formats (RAW+JPEG, HEIC+JPEG) or a Live Photo still next to its motion clip, which happens
+// when an iPhone library is imported elsewhere. iOS keeps those inside one asset instead.
+
+import { isVideo } from './media';
+
+export const TwinKind = {
+  RAW_JPEG: 'raw_jpeg',
+  HEIC_JPEG: 'heic_jpeg',
+  LIVE_PHOTO: 'live_photo',
+};
+
+const RAW_EXTENSIONS = ['dng', 'cr2', 'cr3', 'nef', 'arw', 'raf', 'orf', 'rw2', 'srw', 'pef'];
+const HEIC_EXTENSIONS = ['heic', 'heif'];
+const JPEG_EXTENSIONS = ['jpg', 'jpeg'];
+const TWIN_TIME_TOLERANCE = 2000; // Formats of one capture are written within a moment
+const LIVE_VIDEO_MAX_DURATION = 4; // Seconds, Live Photo clips are about 3s
+
+// Formats in the order we'd rather keep them: the processed, widely readable still first
+const FORMAT_PREFERENCE = ['HEIC', 'JPEG', 'RAW', 'Live video'];
+
+// Android burst naming, each pattern captures the part shared by the whole burst
+const BURST_FILENAME_PATTERNS = [
+  /^(.*)\.BURST-?\d+/i, // PXL_20240312_101500123.BURST-01.COVER.jpg
+  /(BURST\d{14})/i, // 00000IMG_00000_BURST20190312101500_COVER.jpg
+  /^(.*)_BURST\d+/i, // IMG_20190312_101500_BURST001.jpg
+  /^(\d{8}_\d{6})_\d{3}\.(jpe?g|heic)$/i, // 20240312_101500_001.jpg (Samsung)
+];
+
+/**
+ * Split a file name into lowercase stem and extension
+ */
+function splitFilename(filename) {
+  const match = /^(.*)\.([a-z0-9]+)$/i.exec(filename || '');
+  return match
+    ? { stem: match[1].toLowerCase(), extension: match[2].toLowerCase() }
+    : { stem: (filename || '').toLowerCase(), extension: '' };
+}
+
+/**
+ * Describe the format of one file of a capture
+ * @returns {string|null} 'RAW', 'HEIC', 'JPEG', 'Live video' or null for anything else
+ */
+export function getCaptureFormat(photo) {
+  const { extension } = splitFilename(photo.filename);
+  if (isVideo(photo)) {
+    return photo.duration > 0 && photo.duration <= LIVE_VIDEO_MAX_DURATION ? 'Live video' : null;
+  }
+  if (RAW_EXTENSIONS.includes(extension)) return 'RAW';
+  if (HEIC_EXTENSIONS.includes(extension)) return 'HEIC';
+  if (JPEG_EXTENSIONS.includes(extension)) return 'JPEG';
+  return null;
+}
+
+/**
+ * Get the key shared by every shot of a burst, null for single shots
+ */
+export function getBurstKey(photo) {
+  if (photo.burstId) {
+    return `id:${photo.burstId}`;
+  }
+
+  for (const pattern of BURST_FILENAME_PATTERNS) {
+    const match = pattern.exec(photo.filename || '');
+    if (match) {
+      return `name:${match[1].toLowerCase()}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect burst sets with at least two shots
+ * @param {Array} photos - Photos with {id, filename, burstId}
+ * @returns {Map} Photo id -> ids of all shots in its burst (including itself)
+ */
+export function findBurstSets(photos) {
+  const byKey = new Map();
+  photos.forEach(photo => {
+    const key = getBurstKey(photo);
+    if (!key) return;
+    if (!byKey.has(key)) {
+      byKey.set(key, []);
+    }
+    byKey.get(key).push(photo.id);
+  });
+
+  const sets = new Map();
+  byKey.forEach(ids => {
+    if (ids.length < 2) return;
+    ids.forEach(id => sets.set(id, ids));
+  });
+  return sets;
+}
+
+/**
+ * Name the kind of a twin set from the formats in it
+ */
+function getTwinKind(formats) {
+  if (formats.includes('Live video')) return TwinKind.LIVE_PHOTO;
+  if (formats.includes('RAW')) return TwinKind.RAW_JPEG;
+  return TwinKind.HEIC_JPEG;
+}
+
+/**
+ * Find files that are the same capture in different formats
+ * Files pair up when they share a file name stem, were taken within two seconds of each other
+ * and each has a different capture format
+ * @param {Array} photos - Photos and videos with {id, filename, mediaType, duration, creationTime}
+ * @returns {Map} Photo id -> {kind, format, primaryId, memberIds}; the primary is the format
+ *   worth keeping, every other member is redundant once it is kept
+ */
+export function findCaptureTwins(photos) {
+  const byStem = new Map();
+  photos.forEach(photo => {
+    const format = getCaptureFormat(photo);
+    if (!format) return;
+    const { stem } = splitFilename(photo.filename);
+    if (!byStem.has(stem)) {
+      byStem.set(stem, []);
+    }
+    byStem.get(stem).push({ photo, format });
+  });
+
+  const twins = new Map();
+  byStem.forEach(candidates => {
+    if (candidates.length < 2) return;
+
+    // The same stem is reused across years (IMG_0001), so split by capture time first
+    candidates.sort((a, b) => a.photo.creationTime - b.photo.creationTime);
+    let run = [];
+    const flush = () => {
+      const formats = run.map(member => member.format);
+      const distinctFormats = new Set(formats);
+      const hasStill = formats.some(format => format !== 'Live video');
+      if (run.length >= 2 && distinctFormats.size === run.length && hasStill) {
+        const ranked = [...run].sort((a, b) =>
+          FORMAT_PREFERENCE.indexOf(a.format) - FORMAT_PREFERENCE.indexOf(b.format)
+        );
+        const kind = getTwinKind(formats);
+        const memberIds = ranked.map(member => member.photo.id);
+        ranked.forEach(member => {
+          twins.set(member.photo.id, {
+            kind,
+            format: member.format,
+            primaryId: ranked[0].photo.id,
+            memberIds,
+          });
+        });
+      }
+      run = [];
+    };
+
+    candidates.forEach(candidate => {
+      const previous = run[run.length - 1];
+      if (previous && candidate.photo.creationTime - previous.photo.creationTime > TWIN_TIME_TOLERANCE) {
+        flush();
+      }
+      run.push(candidate);
+    });
+    flush();
+  });
+
+  return twins;
+}
+
+/**
+ * Show each capture once: secondary twins are folded into their primary for a swipe session
+ * The primary gets a twins array so one decision can cover (or drop) the redundant formats
+ * @param {Array} photos - Photos selected for a session
+ * @returns {Array} Photos without the folded twins
+ */
+export function collapseCaptureTwins(photos) {
+  const byId = new Map(photos.map(photo => [photo.id, photo]));
+
+  return photos
+    .filter(photo => !photo.twinPrimaryId || photo.twinPrimaryId === photo.id || !byId.has(photo.twinPrimaryId))
+    .map(photo => {
+      if (photo.twinPrimaryId !== photo.id) return photo;
+      const twins = (photo.captureTwinIds || []).map(id => byId.get(id)).filter(Boolean);
+      return twins.length > 0 ? { ...photo, twins } : photo;
+    });
+}
@@ -0,0 +1,116 @@
+// Transitive grouping of related photos (duplicates, similar shots)
+// Union-find merges chains like A≈B≈C into one group even when A and C were never compared
+
+/**
+ * Create a disjoint-set forest over arbitrary keys
+ * @returns {Object} {find, union, has}
+ */
+export function createUnionFind() {
+  const parent = new Map();
+  const rank = new Map();
+
+  const find = (key) => {
+    if (!parent.has(key)) {
+      parent.set(key, key);
+      rank.set(key, 0);
+      return key;
+    }
+
+    let root = key;
+    while (parent.get(root) !== root) {
+      root = parent.get(root);
+    }
+
+    // Path compression: point every node on the way directly at the root
+    let node = key;
+    while (node !== root) {
+      const next = parent.get(node);
+      parent.set(node, root);
+      node = next;
+    }
+
+    return root;
+  };
+
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) return rootA;
+
+    // Union by rank keeps the trees shallow
+    const rankA = rank.get(rootA);
+    const rankB = rank.get(rootB);
+    if (rankA < rankB) {
+      parent.set(rootA, rootB);
+      return rootB;
+    }
+    parent.set(rootB, rootA);
+    if (rankA === rankB) {
+      rank.set(rootA, rankA + 1);
+    }
+    return rootA;
+  };
+
+  const has = (key) => parent.has(key);
+
+  return { find, union, has };
+}
+
+/**
+ * Order photos oldest first, falling back to id so the order never depends on input order
+ */
+function compareByCaptureTime(a, b) {
+  if (a.creationTime !== b.creationTime) {
+    return (a.creationTime || 0) - (b.creationTime || 0);
+  }
+  return String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Cluster photos connected (directly or through others) by their linked ids
+ * @param {Array} photos - Photo objects with an id
+ * @param {Function} getLinkedIds - Returns the ids a photo is related to
+ * @returns {Array} Groups of {id, representativeId, representative, members}, oldest group first
+ */
+export function clusterPhotos(photos, getLinkedIds) {
+  const photosById = new Map(photos.map(photo => [photo.id, photo]));
+  const unionFind = createUnionFind();
+
+  photos.forEach(photo => {
+    (getLinkedIds(photo) || []).forEach(otherId => {
+      if (otherId !== photo.id && photosById.has(otherId)) {
+        unionFind.union(photo.id, otherId);
+      }
+    });
+  });
+
+  const membersByRoot = new Map();
+  photos.forEach(photo => {
+    if (!unionFind.has(photo.id)) return;
+    const root = unionFind.find(photo.id);
+    if (!membersByRoot.has(root)) {
+      membersByRoot.set(root, []);
+    }
+    membersByRoot.get(root).push(photo);
+  });
+
+  const groups = [];
+  membersByRoot.forEach(members => {
+    if (members.length < 2) return;
+    members.sort(compareByCaptureTime);
+
+    // Id derived from membership rather than traversal order, so rescans produce the same ids
+    const smallestId = members
+      .map(member => String(member.id))
+      .reduce((min, id) => (id < min ? id : min));
+
+    groups.push({
+      id: `group:${smallestId}`,
+      representativeId: members[0].id,
+      representative: members[0], // The original, i.e. the oldest capture
+      members,
+    });
+  });
+
+  return groups.sort((a, b) => compareByCaptureTime(a.representative, b.representative));
+}
@@ -0,0 +1,126 @@
+// Document, receipt and whiteboard analysis from edge and contrast statistics
+// Paperwork photographed with the camera has a bright, flat background, two clearly separated
+// tones (ink and paper) and edges that mostly run along the page axes (text lines, borders).
+// Everything runs on the analysis thumbnail, there is no OCR and nothing leaves the device.
+
+const HISTOGRAM_BINS = 256;
+const EDGE_LEVEL = 40; // Gradient magnitude from which a pixel counts as an edge
+const PAPER_MIN_LUMINANCE = 140; // Background darker than this is unlikely to be paper or a whiteboard
+const TEXT_EDGE_DENSITY = [0.04, 0.12, 0.3, 0.45]; // Edge density ramps up, plateaus, then falls off
+
+/**
+ * Clamp to 0-1
+ */
+function unit(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Otsu split of the luminance histogram
+ * @returns {Object} {threshold, separation} where separation is between-class / total variance (0-1)
+ */
+function splitTones(pixels) {
+  const histogram = new Uint32Array(HISTOGRAM_BINS);
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    histogram[pixels[i]]++;
+    sum += pixels[i];
+    sumSquares += pixels[i] * pixels[i];
+  }
+
+  const total = pixels.length || 1;
+  const mean = sum / total;
+  const variance = sumSquares / total - mean * mean;
+
+  let bestThreshold = 0;
+  let bestBetween = 0;
+  let weightBelow = 0;
+  let sumBelow = 0;
+  for (let level = 0; level < HISTOGRAM_BINS; level++) {
+    weightBelow += histogram[level];
+    sumBelow += level * histogram[level];
+    const weightAbove = total - weightBelow;
+    if (weightBelow === 0 || weightAbove === 0) continue;
+
+    const meanBelow = sumBelow / weightBelow;
+    const meanAbove = (sum - sumBelow) / weightAbove;
+    const between = weightBelow * weightAbove * (meanBelow - meanAbove) ** 2 / (total * total);
+    if (between > bestBetween) {
+      bestBetween = between;
+      bestThreshold = level;
+    }
+  }
+
+  return {
+    threshold: bestThreshold,
+    separation: variance > 0 ? bestBetween / variance : 0,
+  };
+}
+
+/**
+ * Analyze a grayscale thumbnail for document-like layout
+ * @param {Object} thumbnail - {width, height, pixels}
+ * @returns {Object} {edgeDensity, axisAlignment, tonalSeparation, paperFraction, paperLuminance,
+ *   documentLikelihood (0-1, from pixels only; aspect ratio is judged by the detector)}
+ */
+export function analyzeDocumentLayout({ width, height, pixels }) {
+  let edges = 0;
+  let alignedWeight = 0;
+  let edgeWeight = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = Math.abs(pixels[i + 1] - pixels[i - 1]);
+      const gy = Math.abs(pixels[i + width] - pixels[i - width]);
+      const magnitude = gx + gy;
+      count++;
+      if (magnitude < EDGE_LEVEL) continue;
+
+      edges++;
+      // 1 for purely horizontal/vertical edges, 0 for diagonal ones
+      alignedWeight += Math.abs(gx - gy);
+      edgeWeight += magnitude;
+    }
+  }
+
+  const { threshold, separation } = splitTones(pixels);
+  let paperCount = 0;
+  let paperSum = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    if (pixels[i] > threshold) {
+      paperCount++;
+      paperSum += pixels[i];
+    }
+  }
+
+  const edgeDensity = count > 0 ? edges / count : 0;
+  const axisAlignment = edgeWeight > 0 ? alignedWeight / edgeWeight : 0;
+  const paperFraction = pixels.length > 0 ? paperCount / pixels.length : 0;
+  const paperLuminance = paperCount > 0 ? paperSum / paperCount : 0;
+
+  // Paper: the bright tone is bright and covers most of the frame
+  const paperScore = unit((paperLuminance - PAPER_MIN_LUMINANCE) / 60) * unit((paperFraction - 0.35) / 0.3);
+  const separationScore = unit((separation - 0.6) / 0.3);
+  const [rampStart, plateauStart, plateauEnd, rampEnd] = TEXT_EDGE_DENSITY;
+  const textScore = edgeDensity < plateauStart
+    ? unit((edgeDensity - rampStart) / (plateauStart - rampStart))
+    : unit((rampEnd - edgeDensity) / (rampEnd - plateauEnd));
+  // Random orientations average around 0.4
+  const alignmentScore = unit((axisAlignment - 0.4) / 0.35);
+
+  // Without a paper-like background nothing else matters
+  const documentLikelihood = paperScore *
+    (0.35 + 0.25 * separationScore + 0.2 * textScore + 0.2 * alignmentScore);
+
+  return {
+    edgeDensity: Math.round(edgeDensity * 1000) / 1000,
+    axisAlignment: Math.round(axisAlignment * 1000) / 1000,
+    tonalSeparation: Math.round(separation * 1000) / 1000,
+    paperFraction: Math.round(paperFraction * 1000) / 1000,
+    paperLuminance: Math.round(paperLuminance * 10) / 10,
+    documentLikelihood: Math.round(documentLikelihood * 1000) / 1000,
+  };
+}
@@ -0,0 +1,276 @@
+// Trips and events: photos grouped by place and time
+// Photos taken close together in time and space form an event (a birthday, a day at the beach).
+// Events away from home that follow each other within a day and a half are merged into a trip.
+// Home is the place with the most photos. Photos without a location join whatever event they
+// were taken during, but never start one far from the photos around them.
+// Chronological sessions split by capture time alone, so they work without any location data.
+
+import { getPlaceName, loadPlaceNames } from './assetLocations';
+
+export const EVENT_MODE_KEY = 'event';
+export const TIMELINE_MODE_KEY = 'timeline';
+
+export const EventKind = {
+  EVENT: 'event',
+  TRIP: 'trip',
+};
+
+const HOUR = 60 * 60 * 1000;
+const EVENT_TIME_GAP = 6 * HOUR; // A quiet stretch this long ends an event
+const EVENT_RADIUS_KM = 30; // Photos further than this from the event's center start a new one
+const HOME_CELL_DEGREES = 0.25; // Grid used to find home, ~25 km
+const HOME_RADIUS_KM = 80; // Events further than this from home can be part of a trip
+const TRIP_GAP = 36 * HOUR; // Longest break between two stops of one trip
+const TRIP_MIN_DURATION = 20 * HOUR; // Shorter outings away from home stay events (day trips)
+const MIN_EVENT_SIZE = 10;
+const MAX_PLACES_IN_NAME = 2;
+const MAX_GEOCODE_REQUESTS = 40; // Per load, the rest is named on later visits
+const SEGMENT_GAP = 3 * HOUR; // Always a new event after this long without photos
+const SEGMENT_MIN_GAP = 45 * 60 * 1000; // Shorter pauses never split an event
+const SEGMENT_DENSITY_FACTOR = 10; // A pause this many times the event's usual spacing ends it
+const SEGMENT_DENSITY_MIN_PHOTOS = 5; // Spacing of smaller events says too little
+
+/**
+ * Great-circle distance in kilometers
+ */
+export function distanceKm(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Average of coordinates, null when there are none
+ */
+function centerOf(coordinates) {
+  if (coordinates.length === 0) return null;
+  const sum = coordinates.reduce(
+    (total, { latitude, longitude }) => ({
+      latitude: total.latitude + latitude,
+      longitude: total.longitude + longitude,
+    }),
+    { latitude: 0, longitude: 0 }
+  );
+  return { latitude: sum.latitude / coordinates.length, longitude: sum.longitude / coordinates.length };
+}
+
+/**
+ * Find home: the center of the grid cell with the most located photos
+ */
+function findHome(locations) {
+  const cells = new Map();
+  locations.forEach(coordinate => {
+    const key = `${Math.floor(coordinate.latitude / HOME_CELL_DEGREES)},${Math.floor(coordinate.longitude / HOME_CELL_DEGREES)}`;
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(coordinate);
+  });
+
+  let busiest = [];
+  cells.forEach(coordinates => {
+    if (coordinates.length > busiest.length) {
+      busiest = coordinates;
+    }
+  });
+  return centerOf(busiest);
+}
+
+/**
+ * Split the timeline into stretches spent in one place
+ */
+function segmentByPlaceAndTime(photos, locations) {
+  const segments = [];
+  let current = null;
+
+  photos.forEach(photo => {
+    const location = locations.get(photo.id);
+    const fits = current &&
+      photo.creationTime - current.endTime <= EVENT_TIME_GAP &&
+      (!location || !current.center || distanceKm(location, current.center) <= EVENT_RADIUS_KM);
+
+    if (!fits) {
+      current = { photos: [], coordinates: [], center: null, startTime: photo.creationTime, endTime: photo.creationTime };
+      segments.push(current);
+    }
+    current.photos.push(photo);
+    current.endTime = photo.creationTime;
+    if (location) {
+      current.coordinates.push(location);
+      current.center = centerOf(current.coordinates);
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * Build the event record handed to screens (route params, so plain data only)
+ */
+function toEvent(segments) {
+  const photos = segments.flatMap(segment => segment.photos);
+  const startTime = segments[0].startTime;
+  const endTime = segments[segments.length - 1].endTime;
+  const places = segments.map(segment => segment.center).filter(Boolean);
+
+  return {
+    id: `${startTime}-${photos[0].id}`,
+    kind: EventKind.EVENT,
+    name: null,
+    startTime,
+    endTime,
+    photoIds: photos.map(photo => photo.id),
+    places,
+  };
+}
+
+/**
+ * Group photos into events and trips
+ * @param {Array} photos - Photos with {id, creationTime}
+ * @param {Map} locations - Photo id -> {latitude, longitude}, from loadAssetLocations
+ * @returns {Array} Events {id, kind, name (null until named), startTime, endTime, photoIds,
+ *   places}, newest first
+ */
+export function clusterEvents(photos, locations) {
+  const sorted = [...photos].sort((a, b) => a.creationTime - b.creationTime);
+  const segments = segmentByPlaceAndTime(sorted, locations);
+  const home = findHome([...locations.values()]);
+  const isAway = segment => !!home && !!segment.center && distanceKm(segment.center, home) > HOME_RADIUS_KM;
+
+  // Consecutive stops away from home make one trip, unlocated stretches in between ride along
+  const groups = [];
+  let trip = null;
+  segments.forEach(segment => {
+    const last = trip?.[trip.length - 1];
+    const continuesTrip = last && segment.startTime - last.endTime <= TRIP_GAP &&
+      (isAway(segment) || !segment.center);
+
+    if (continuesTrip) {
+      trip.push(segment);
+    } else if (isAway(segment)) {
+      trip = [segment];
+      groups.push(trip);
+    } else {
+      trip = null;
+      groups.push([segment]);
+    }
+  });
+
+  return groups
+    .map(group => {
+      const event = toEvent(group);
+      const isTrip = isAway(group[0]) && event.endTime - event.startTime >= TRIP_MIN_DURATION;
+      return isTrip ? { ...event, kind: EventKind.TRIP } : event;
+    })
+    .filter(event => event.photoIds.length >= MIN_EVENT_SIZE)
+    .sort((a, b) => b.startTime - a.startTime);
+}
+
+/**
+ * Format a day as "12 Mar" or "12 Mar 2024"
+ */
+function formatDay(date, withYear) {
+  const month = date.toLocaleDateString(undefined, { month: 'short' });
+  return `${date.getDate()} ${month}${withYear ? ` ${date.getFullYear()}` : ''}`;
+}
+
+/**
+ * Format the dates an event covers, e.g. "12–15 Mar 2024" or "28 Mar – 2 Apr 2024"
+ */
+export function formatDateRange(startTime, endTime) {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+
+  if (start.toDateString() === end.toDateString()) {
+    return formatDay(start, true);
+  }
+  if (start.getFullYear() !== end.getFullYear()) {
+    return `${formatDay(start, true)} – ${formatDay(end, true)}`;
+  }
+  if (start.getMonth() === end.getMonth()) {
+    return `${start.getDate()}–${formatDay(end, true)}`;
+  }
+  return `${formatDay(start, false)} – ${formatDay(end, true)}`;
+}
+
+/**
+ * Name events after the places they visited, falling back to the day or trip length
+ * @param {Array} events - Events from clusterEvents
+ * @returns {Promise<Array>} The same events with a name
+ */
+export async function nameEvents(events) {
+  const coordinates = events.flatMap(event => event.places);
+  const names = await loadPlaceNames(coordinates, { limit: MAX_GEOCODE_REQUESTS });
+
+  return events.map(event => {
+    const placeNames = [...new Set(
+      event.places.map(place => getPlaceName(names, place)).filter(Boolean)
+    )];
+
+    let name;
+    if (placeNames.length > MAX_PLACES_IN_NAME) {
+      name = `${placeNames.slice(0, MAX_PLACES_IN_NAME).join(', ')} +${placeNames.length - MAX_PLACES_IN_NAME}`;
+    } else if (placeNames.length > 0) {
+      name = placeNames.join(' & ');
+    } else if (event.kind === EventKind.TRIP) {
+      const days = Math.ceil((event.endTime - event.startTime) / (24 * HOUR));
+      name = `${days}-day trip`;
+    } else {
+      name = new Date(event.startTime).toLocaleDateString(undefined, { weekday: 'long' });
+    }
+    return { ...event, name };
+  });
+}
+
+/**
+ * Select the photos of an event for a swipe session, in the order they were taken
+ */
+export function selectPhotosForEvent(photos, event) {
+  const ids = new Set(event.photoIds);
+  return photos
+    .filter(photo => ids.has(photo.id))
+    .sort((a, b) => a.creationTime - b.creationTime);
+}
+
+/**
+ * Split photos into events at gaps in capture time
+ * An event ends after three hours without photos, or earlier when a dense event (a party, an
+ * afternoon of sightseeing) is followed by a pause much longer than its usual spacing
+ * @param {Array} photos - Photos with {creationTime}, oldest first
+ * @returns {Array} Segments {start, end (exclusive), startTime, endTime}, indices into photos
+ */
+export function segmentByTimeGaps(photos) {
+  const segments = [];
+  let current = null;
+
+  photos.forEach((photo, index) => {
+    if (current) {
+      const gap = photo.creationTime - current.endTime;
+      const count = index - current.start;
+      const spacing = count > 1 ? (current.endTime - current.startTime) / (count - 1) : Infinity;
+      const endsDenseEvent = count >= SEGMENT_DENSITY_MIN_PHOTOS &&
+        gap > SEGMENT_MIN_GAP && gap > spacing * SEGMENT_DENSITY_FACTOR;
+
+      if (gap <= SEGMENT_GAP && !endsDenseEvent) {
+        current.end = index + 1;
+        current.endTime = photo.creationTime;
+        return;
+      }
+    }
+
+    current = { start: index, end: index + 1, startTime: photo.creationTime, endTime: photo.creationTime };
+    segments.push(current);
+  });
+
+  return segments;
+}
+
+/**
+ * Select every photo for an event-by-event walk through the library, oldest first
+ */
+export function selectPhotosForTimeline(photos) {
+  return [...photos].sort((a, b) => a.creationTime - b.creationTime);
+}
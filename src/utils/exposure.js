@@ -0,0 +1,74 @@
+// Exposure analysis from a luminance histogram
+// Catches accidental shots: pocket photos and covered lenses (almost all black)
+// and blown-out frames (almost all white)
+
+const HISTOGRAM_BINS = 256;
+const DARK_LEVEL = 24; // Luminance at or below counts as crushed black
+const BRIGHT_LEVEL = 235; // Luminance at or above counts as blown-out white
+const ACCIDENTAL_FRACTION = 0.85; // Share of clipped pixels that makes a frame unusable
+const ACCIDENTAL_MAX_CONTRAST = 20; // Real night/snow scenes still carry some detail
+
+/**
+ * Build a 256-bin luminance histogram
+ * @param {Object} thumbnail - {width, height, pixels}
+ * @returns {Uint32Array} Pixel count per luminance level
+ */
+export function buildLuminanceHistogram({ pixels }) {
+  const histogram = new Uint32Array(HISTOGRAM_BINS);
+  for (let i = 0; i < pixels.length; i++) {
+    histogram[pixels[i]]++;
+  }
+  return histogram;
+}
+
+/**
+ * Analyze exposure of a grayscale thumbnail
+ * @param {Object} thumbnail - {width, height, pixels}
+ * @returns {Object} {meanLuminance, darkFraction, brightFraction, exposureScore (0-1),
+ *   accidentalReason ('underexposed' | 'overexposed' | null), accidentalConfidence (0-1)}
+ */
+export function analyzeExposure(thumbnail) {
+  const histogram = buildLuminanceHistogram(thumbnail);
+  const total = thumbnail.pixels.length || 1;
+
+  let sum = 0;
+  let sumSquares = 0;
+  let dark = 0;
+  let bright = 0;
+  for (let level = 0; level < HISTOGRAM_BINS; level++) {
+    const count = histogram[level];
+    sum += level * count;
+    sumSquares += level * level * count;
+    if (level <= DARK_LEVEL) dark += count;
+    if (level >= BRIGHT_LEVEL) bright += count;
+  }
+
+  const mean = sum / total;
+  const contrast = Math.sqrt(Math.max(0, sumSquares / total - mean * mean));
+  const darkFraction = dark / total;
+  const brightFraction = bright / total;
+
+  // Well exposed frames sit near mid-gray with little clipping
+  const clipping = Math.min(1, darkFraction + brightFraction);
+  const exposureScore = (1 - clipping) * (1 - 0.5 * Math.abs(mean - 128) / 128);
+
+  let accidentalReason = null;
+  let accidentalConfidence = 0;
+  const clippedFraction = Math.max(darkFraction, brightFraction);
+  if (clippedFraction >= ACCIDENTAL_FRACTION && contrast <= ACCIDENTAL_MAX_CONTRAST) {
+    accidentalReason = darkFraction >= brightFraction ? 'underexposed' : 'overexposed';
+    // Scales from 0.5 at the threshold to 1 for a completely uniform frame
+    const fractionScore = (clippedFraction - ACCIDENTAL_FRACTION) / (1 - ACCIDENTAL_FRACTION);
+    const flatnessScore = 1 - contrast / ACCIDENTAL_MAX_CONTRAST;
+    accidentalConfidence = 0.5 + 0.25 * fractionScore + 0.25 * flatnessScore;
+  }
+
+  return {
+    meanLuminance: Math.round(mean * 10) / 10,
+    darkFraction: Math.round(darkFraction * 1000) / 1000,
+    brightFraction: Math.round(brightFraction * 1000) / 1000,
+    exposureScore: Math.round(exposureScore * 1000) / 1000,
+    accidentalReason,
+    accidentalConfidence: Math.round(accidentalConfidence * 1000) / 1000,
+  };
+}
@@ -1,6 +1,17 @@
 // Image hashing utilities for duplicate detection
-// Uses metadata-based approach that works in Expo Go
-// (ImageManipulator requires development build, so we use metadata only)
+// Uses a difference hash (dHash) over a downscaled grayscale thumbnail, so copies that
+// were re-saved, resized or renamed still hash to (almost) the same 64 bits.
+// Falls back to a metadata signature when thumbnails can't be produced (Expo Go).
+
+import { loadGrayscaleThumbnail } from './thumbnail';
+
+const HASH_WIDTH = 9; // 9 columns give 8 horizontal gradients per row
+const HASH_HEIGHT = 8;
+export const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+
+// Number of set bits for every hex digit, used for Hamming distance
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+const PERCEPTUAL_SIGNATURE = /^[0-9a-f]{16}$/;
 
 /**
  * Create a simple hash from a string
@@ -16,21 +27,207 @@ function simpleHash(str) {
 }
 
 /**
- * Generate a signature for an image based on its properties
- * This creates a fingerprint that can be used to identify duplicates
- * Uses metadata-only approach (works in Expo Go without native modules)
+ * Downsample a grayscale thumbnail to a small grid by averaging each cell
+ */
+function downsample({ width, height, pixels }, gridWidth, gridHeight) {
+  const grid = new Float32Array(gridWidth * gridHeight);
+
+  for (let gy = 0; gy < gridHeight; gy++) {
+    const y0 = Math.floor((gy * height) / gridHeight);
+    const y1 = Math.max(y0 + 1, Math.floor(((gy + 1) * height) / gridHeight));
+
+    for (let gx = 0; gx < gridWidth; gx++) {
+      const x0 = Math.floor((gx * width) / gridWidth);
+      const x1 = Math.max(x0 + 1, Math.floor(((gx + 1) * width) / gridWidth));
+      let sum = 0;
+
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          sum += pixels[y * width + x];
+        }
+      }
+      grid[gy * gridWidth + gx] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+
+  return grid;
+}
+
+/**
+ * Compute a 64-bit difference hash from a grayscale thumbnail
+ * Each bit records whether a cell is brighter than its right-hand neighbour
+ * @param {Object} thumbnail - {width, height, pixels} as returned by loadGrayscaleThumbnail
+ * @returns {string} 16 hex characters
+ */
+export function computeDifferenceHash(thumbnail) {
+  const grid = downsample(thumbnail, HASH_WIDTH, HASH_HEIGHT);
+  let hash = '';
+  let nibble = 0;
+  let bitCount = 0;
+
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = grid[y * HASH_WIDTH + x];
+      const right = grid[y * HASH_WIDTH + x + 1];
+      nibble = (nibble << 1) | (left > right ? 1 : 0);
+      bitCount++;
+
+      if (bitCount % 4 === 0) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+
+  return hash;
+}
+
+// Extra hashes of transformed versions of an image, used to spot rotated and cropped edits.
+// A photo whose own hash matches another photo's variant is an edited version of it.
+export const HashVariant = {
+  ROTATED_90: 'rotated90',
+  ROTATED_180: 'rotated180',
+  ROTATED_270: 'rotated270',
+  CENTER_80: 'center80',
+  CENTER_60: 'center60',
+  SQUARE: 'square',
+};
+
+const MIN_VARIANT_BITS = 8; // Hashes of flat regions are nearly all zeros (or ones) and match anything
+
+/**
+ * Rotate a grayscale thumbnail clockwise by a number of quarter turns
+ * Thumbnails are squashed to a square, so rotating one equals the thumbnail of a rotated export
+ */
+function rotateThumbnail({ width, height, pixels }, quarterTurns) {
+  const turns = ((quarterTurns % 4) + 4) % 4;
+  const rotatedWidth = turns % 2 === 0 ? width : height;
+  const rotatedHeight = turns % 2 === 0 ? height : width;
+  const rotated = new Uint8Array(pixels.length);
+
+  for (let y = 0; y < rotatedHeight; y++) {
+    for (let x = 0; x < rotatedWidth; x++) {
+      let sourceX;
+      let sourceY;
+      if (turns === 1) {
+        sourceX = y;
+        sourceY = height - 1 - x;
+      } else if (turns === 2) {
+        sourceX = width - 1 - x;
+        sourceY = height - 1 - y;
+      } else if (turns === 3) {
+        sourceX = width - 1 - y;
+        sourceY = x;
+      } else {
+        sourceX = x;
+        sourceY = y;
+      }
+      rotated[y * rotatedWidth + x] = pixels[sourceY * width + sourceX];
+    }
+  }
+
+  return { width: rotatedWidth, height: rotatedHeight, pixels: rotated };
+}
+
+/**
+ * Cut the centered region covering the given fraction of each axis out of a thumbnail
+ */
+function cropThumbnail({ width, height, pixels }, widthFraction, heightFraction) {
+  const cropWidth = Math.max(HASH_WIDTH, Math.round(width * widthFraction));
+  const cropHeight = Math.max(HASH_HEIGHT, Math.round(height * heightFraction));
+  const left = Math.floor((width - cropWidth) / 2);
+  const top = Math.floor((height - cropHeight) / 2);
+  const cropped = new Uint8Array(cropWidth * cropHeight);
+
+  for (let y = 0; y < cropHeight; y++) {
+    cropped.set(pixels.subarray((top + y) * width + left, (top + y) * width + left + cropWidth), y * cropWidth);
+  }
+
+  return { width: cropWidth, height: cropHeight, pixels: cropped };
+}
+
+/**
+ * Check that a hash carries enough structure to be matched against other images
+ */
+export function hasHashStructure(hash) {
+  const bits = hammingDistance(hash, '0'.repeat(hash.length));
+  return bits >= MIN_VARIANT_BITS && bits <= HASH_BITS - MIN_VARIANT_BITS;
+}
+
+/**
+ * Hash rotated and center-cropped versions of a thumbnail
+ * Lightly filtered exports need no variant: dHash only records which neighbour is brighter,
+ * so tone and color adjustments already land within the duplicate distance.
+ * @param {Object} thumbnail - {width, height, pixels} as returned by loadGrayscaleThumbnail
+ * @param {Object} photo - Photo with {width, height}, used to find the square crop
+ * @returns {Object} HashVariant -> hash, variants without enough structure are left out
+ */
+export function computeVariantHashes(thumbnail, photo) {
+  const variants = {
+    [HashVariant.ROTATED_90]: rotateThumbnail(thumbnail, 1),
+    [HashVariant.ROTATED_180]: rotateThumbnail(thumbnail, 2),
+    [HashVariant.ROTATED_270]: rotateThumbnail(thumbnail, 3),
+    [HashVariant.CENTER_80]: cropThumbnail(thumbnail, 0.8, 0.8),
+    [HashVariant.CENTER_60]: cropThumbnail(thumbnail, 0.6, 0.6),
+  };
+
+  // Square crops (profile pictures, social media) keep the full short edge
+  if (photo.width > 0 && photo.height > 0 && photo.width !== photo.height) {
+    variants[HashVariant.SQUARE] = photo.width > photo.height
+      ? cropThumbnail(thumbnail, photo.height / photo.width, 1)
+      : cropThumbnail(thumbnail, 1, photo.width / photo.height);
+  }
+
+  const hashes = {};
+  Object.entries(variants).forEach(([variant, variantThumbnail]) => {
+    const hash = computeDifferenceHash(variantThumbnail);
+    if (hasHashStructure(hash)) {
+      hashes[variant] = hash;
+    }
+  });
+  return hashes;
+}
+
+/**
+ * Count differing bits between two hex hashes of equal length
+ */
+export function hammingDistance(hash1, hash2) {
+  let distance = 0;
+  for (let i = 0; i < hash1.length; i++) {
+    distance += NIBBLE_BITS[parseInt(hash1[i], 16) ^ parseInt(hash2[i], 16)];
+  }
+  return distance;
+}
+
+/**
+ * Check whether a signature is a perceptual hash (as opposed to a metadata fallback)
  */
-export function generateImageSignature(photo) {
+export function isPerceptualSignature(signature) {
+  return typeof signature === 'string' && PERCEPTUAL_SIGNATURE.test(signature);
+}
+
+/**
+ * Generate a perceptual signature for an image from its pixels
+ * Visually identical images produce identical or near-identical signatures
+ * @param {Object} photo - Photo object with {id, uri}
+ * @returns {Promise<string>} 64-bit dHash as 16 hex characters
+ */
+export async function generateImageSignature(photo) {
+  const thumbnail = await loadGrayscaleThumbnail(photo);
+  return computeDifferenceHash(thumbnail);
+}
+
+/**
+ * Generate a metadata-only signature (works in Expo Go without native modules)
+ * Only exact matches are meaningful, there is no notion of distance between these
+ */
+export function generateMetadataSignature(photo) {
   // Create signature from metadata:
   // 1. Image dimensions (exact match = likely duplicate)
   // 2. File size (similar size = likely duplicate)
   // 3. Creation time rounded to minute (burst shots)
   // 4. Filename base (for copy detection)
-  const filename = extractFileName(photo.uri);
-  const filenameBase = filename.replace(/\s*\([0-9]+\)\s*/g, '')
-                               .replace(/-copy/i, '')
-                               .replace(/-\d+$/i, '')
-                               .toLowerCase();
+  const filenameBase = getFilenameBase(photo.filename || '');
   
   // Round creation time to nearest minute for burst shot detection
   const timeRounded = Math.floor(photo.creationTime / 60000); // Minutes
@@ -44,7 +241,7 @@ export function generateImageSignature(photo) {
     filenameBase,
   ].join('|');
 
-  return simpleHash(signatureString);
+  return `meta:${simpleHash(signatureString)}`;
 }
 
 /**
@@ -54,16 +251,11 @@ export function generateImageSignature(photo) {
 export function calculateSimilarity(sig1, sig2) {
   if (sig1 === sig2) return 0; // Identical
   
-  // Calculate Hamming distance for similarity
-  let distance = 0;
-  const minLength = Math.min(sig1.length, sig2.length);
-  
-  for (let i = 0; i < minLength; i++) {
-    if (sig1[i] !== sig2[i]) distance++;
-  }
+  // Metadata signatures carry no visual information, so they either match exactly or not at all
+  if (!isPerceptualSignature(sig1) || !isPerceptualSignature(sig2)) return 1;
   
-  // Normalize to 0-1 range
-  return distance / Math.max(sig1.length, sig2.length);
+  // Bit-level Hamming distance normalized to 0-1 range
+  return hammingDistance(sig1, sig2) / HASH_BITS;
 }
 
 /**
@@ -74,6 +266,17 @@ export function extractFileName(uri) {
   return parts[parts.length - 1] || '';
 }
 
+/**
+ * Strip copy markers from a file name or path, e.g. "IMG_1234 (1).jpg" and "img_1234-copy.jpg" -> "img_1234.jpg"
+ */
+export function getFilenameBase(uri) {
+  return extractFileName(uri)
+    .replace(/\s*\([0-9]+\)\s*/g, '')
+    .replace(/-copy/i, '')
+    .replace(/-\d+$/i, '')
+    .toLowerCase();
+}
+
 /**
  * Check if two photos are likely duplicates based on filename patterns
  */
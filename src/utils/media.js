@@ -0,0 +1,21 @@
+// Helpers for working with mixed photo and video assets
+
+/**
+ * Check whether an asset is a video
+ */
+export function isVideo(asset) {
+  return asset?.mediaType === 'video';
+}
+
+/**
+ * Format a duration in seconds as m:ss (or h:mm:ss for long clips)
+ */
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
@@ -1,61 +1,203 @@
 // Production-ready photo detection utilities for identifying duplicates and similar images
 
-import { generateImageSignature, calculateSimilarity, areLikelyDuplicatesByFilename, extractFileName } from './imageHashing';
+import { computeDifferenceHash, computeVariantHashes, hasHashStructure, generateMetadataSignature, calculateSimilarity, isPerceptualSignature, getFilenameBase, areLikelyDuplicatesByFilename, HashVariant, HASH_BITS } from './imageHashing';
+import { createSimilarityIndex } from './similarityIndex';
+import { clusterPhotos } from './clustering';
+import { applyBestShotSuggestions } from './bestShot';
+import { measurePhotoSharpness } from './sharpness';
+import { analyzeExposure } from './exposure';
+import { analyzeDocumentLayout } from './documentAnalysis';
+import { loadGrayscaleThumbnail } from './thumbnail';
+import { throwIfCancelled } from './cancellation';
+import { isVideo } from './media';
+import { findBurstSets, findCaptureTwins, TwinKind } from './captureGroups';
+import { getSettings, SettingKey } from './settings';
+import { AnalysisPhase } from '../constants/analysis';
+import { PhotoCategory } from '../constants/categories';
+import { getDetectors, getDetectorsByCost } from '../detectors';
 
-export const PhotoCategory = {
-  DUPLICATE: 'duplicate',
-  SIMILAR: 'similar',
-  SCREENSHOT: 'screenshot',
-  LOW_QUALITY: 'low_quality',
-  BURST: 'burst',
-  OLD_UNUSED: 'old_unused',
-};
+export { PhotoCategory };
 
-const SIMILARITY_THRESHOLD = 0.1; // Images with similarity < 0.1 are considered duplicates
-const TIME_THRESHOLD = 60000; // 1 minute for burst shots
+// The duplicate tolerance and the similar shot window come from settings
+const SIMILAR_SHOT_THRESHOLD = 0.25; // Looser bound for near-identical shots of the same scene
+const EDITED_DISTANCE = 7; // Max bits between a photo and a rotated/cropped variant of another
+
+const ROTATION_VARIANTS = new Set([HashVariant.ROTATED_90, HashVariant.ROTATED_180, HashVariant.ROTATED_270]);
+
+/**
+ * Check whether two photos look like consecutive shots of the same scene
+ * Uses perceptual distance when both have pixel hashes, dimensions and file size otherwise
+ */
+function isSimilarShot(photo, otherPhoto) {
+  if (isVideo(photo) !== isVideo(otherPhoto)) return false;
+
+  if (isPerceptualSignature(photo.signature) && isPerceptualSignature(otherPhoto.signature)) {
+    return calculateSimilarity(photo.signature, otherPhoto.signature) < SIMILAR_SHOT_THRESHOLD;
+  }
+
+  if (photo.width !== otherPhoto.width || photo.height !== otherPhoto.height) return false;
+  return Math.abs(photo.size - otherPhoto.size) < Math.max(photo.size * 0.1, 10000);
+}
+
+/**
+ * Check whether another photo is a copy of this one saved under a copy name, e.g. "IMG_1234 (1).jpg"
+ * Camera names repeat across devices and resets, so the pixels (or without them the file) must agree too
+ */
+function isFilenameCopy(photo, otherPhoto) {
+  if (!areLikelyDuplicatesByFilename(photo.filename, otherPhoto.filename)) return false;
+  if (isVideo(photo) !== isVideo(otherPhoto)) return false;
+
+  if (isPerceptualSignature(photo.signature) && isPerceptualSignature(otherPhoto.signature)) {
+    return calculateSimilarity(photo.signature, otherPhoto.signature) < SIMILAR_SHOT_THRESHOLD;
+  }
+
+  return photo.width === otherPhoto.width && photo.height === otherPhoto.height
+    && Math.abs(photo.size - otherPhoto.size) <= photo.size * 0.01;
+}
+
+/**
+ * Decide which of two photos is the original when either could be an edit of the other
+ */
+function isOriginalOf(candidate, photo) {
+  if (candidate.creationTime !== photo.creationTime) {
+    return candidate.creationTime < photo.creationTime;
+  }
+  return String(candidate.id) < String(photo.id);
+}
+
+/**
+ * Find the photo this one is a rotated or cropped edit of
+ * @param {Object} photo - Photo with a perceptual signature
+ * @param {Object} variantIndex - Similarity index over other photos' variant hashes
+ * @param {Map} variantOwners - Variant index key -> {photoId, variant}
+ * @param {Map} photosById - Id -> photo
+ * @param {Set} linkedIds - Photos already linked as similar shots or the same capture, not edits
+ * @returns {Object|null} {id, edit ('rotated' | 'cropped'), distance} of the closest original
+ */
+function findEditedOriginal(photo, variantIndex, variantOwners, photosById, linkedIds) {
+  if (!isPerceptualSignature(photo.signature) || !hasHashStructure(photo.signature)) {
+    return null;
+  }
+
+  let best = null;
+  for (const { id: key, distance } of variantIndex.query(photo.signature, EDITED_DISTANCE)) {
+    const { photoId, variant } = variantOwners.get(key);
+    if (photoId === photo.id || linkedIds.has(photoId)) continue;
+
+    // A crop is always the edit, rotations match both ways so the older photo counts as original
+    const rotated = ROTATION_VARIANTS.has(variant);
+    if (rotated && !isOriginalOf(photosById.get(photoId), photo)) continue;
+
+    if (!best || distance < best.distance) {
+      best = { id: photoId, edit: rotated ? 'rotated' : 'cropped', distance };
+    }
+  }
+  return best;
+}
+
+/**
+ * Run the per-photo pixel analysis: perceptual hashes, exposure, document layout and sharpness
+ * @returns {Promise<Object>} {signature, pixelAnalyzed, ...metrics}
+ */
+async function analyzePhotoPixels(photo) {
+  // Videos can't be rendered into thumbnails here, they are matched on metadata only
+  if (isVideo(photo)) {
+    return { signature: generateMetadataSignature(photo), pixelAnalyzed: false };
+  }
+
+  // One thumbnail feeds the perceptual hashes, the exposure histogram and the document layout
+  let signature;
+  let hashVariants = null;
+  let exposureMetrics = null;
+  let documentMetrics = null;
+  try {
+    const thumbnail = await loadGrayscaleThumbnail(photo);
+    signature = computeDifferenceHash(thumbnail);
+    hashVariants = computeVariantHashes(thumbnail, photo);
+    exposureMetrics = analyzeExposure(thumbnail);
+    documentMetrics = analyzeDocumentLayout(thumbnail);
+  } catch (error) {
+    console.error(`Error processing photo ${photo.id}:`, error);
+    // Continue with metadata-only signature
+    signature = generateMetadataSignature(photo);
+  }
+  
+  // Sharpness is optional, without it low quality falls back to file size heuristics
+  let sharpnessMetrics = null;
+  try {
+    sharpnessMetrics = await measurePhotoSharpness(photo);
+  } catch (error) {
+    sharpnessMetrics = null;
+  }
+  
+  return {
+    signature,
+    hashVariants,
+    pixelAnalyzed: exposureMetrics !== null,
+    ...sharpnessMetrics,
+    ...exposureMetrics,
+    ...documentMetrics,
+  };
+}
 
 /**
  * Detect duplicates and similar photos using image signatures
- * @param {Array} photos - Array of photo objects with {uri, width, height, size, creationTime, id}
- * @param {Function} onProgress - Optional callback for progress updates
+ * @param {Array} photos - Array of photo and video objects with {uri, mediaType, width, height, size,
+ *   creationTime, id}
+ * @param {Function} onProgress - Optional callback receiving {phase, processed, total}
+ * @param {Object} options - Optional {favoriteIds} used to pick the best shot in each group,
+ *   {screenshotAlbumIds, screenRecordingAlbumIds, deviceScreen} used for screenshot and
+ *   screen recording detection,
+ *   {analysisCache} from loadAnalysisCache, {libraryIds} of every asset in the library to prune
+ *   the cache to (leave out when only part of the library was read),
+ *   {signal} to cancel; analyzed photos are flushed to the cache first so the next run resumes
  * @returns {Promise<Array>} Categorized photos with metadata
  */
-export async function detectDuplicatesAndSimilar(photos, onProgress) {
+export async function detectDuplicatesAndSimilar(photos, onProgress, options = {}) {
   if (!photos || photos.length === 0) {
     return [];
   }
 
-  // Generate signatures for all photos (in batches for better performance)
+  // Generate signatures for all photos (in batches, thumbnails are rendered natively in parallel)
+  const analysisCache = options.analysisCache || null;
   const photosWithSignatures = [];
   const total = photos.length;
-  const batchSize = 50;
+  const batchSize = 10;
   
   for (let batchStart = 0; batchStart < photos.length; batchStart += batchSize) {
     const batchEnd = Math.min(batchStart + batchSize, photos.length);
     
-    for (let i = batchStart; i < batchEnd; i++) {
-      const photo = photos[i];
-      
-      try {
-        const signature = generateImageSignature(photo);
-        photosWithSignatures.push({
-          ...photo,
-          signature,
-        });
-      } catch (error) {
-        console.error(`Error processing photo ${photo.id}:`, error);
-        // Continue with metadata-only signature
-        photosWithSignatures.push({
-          ...photo,
-          signature: `${photo.width}|${photo.height}|${photo.size}`,
-        });
+    if (options.signal?.aborted) {
+      if (analysisCache) {
+        await analysisCache.flush();
       }
+      throwIfCancelled(options.signal);
     }
+    
+    const batch = await Promise.all(photos.slice(batchStart, batchEnd).map(async (photo) => {
+      // Unchanged assets reuse their cached pixel analysis
+      const cached = analysisCache ? analysisCache.get(photo) : null;
+      if (cached) {
+        const { modificationTime, analyzedAt, ...analysis } = cached;
+        return { ...photo, ...analysis };
+      }
+      
+      const analysis = await analyzePhotoPixels(photo);
+      if (analysisCache && analysis.pixelAnalyzed) {
+        analysisCache.set(photo, analysis);
+      }
+      return { ...photo, ...analysis };
+    }));
+    photosWithSignatures.push(...batch);
 
     // Report progress after each batch
     if (onProgress) {
-      const progress = Math.round((batchEnd / total) * 100);
-      onProgress(progress);
+      onProgress({ phase: AnalysisPhase.ANALYZING, processed: batchEnd, total });
+    }
+    
+    // Persist progress regularly so an interrupted scan doesn't start over
+    if (analysisCache && (batchStart / batchSize) % 20 === 19) {
+      await analysisCache.flush();
     }
     
     // Allow UI to update between batches
@@ -63,23 +205,76 @@ export async function detectDuplicatesAndSimilar(photos, onProgress) {
       await new Promise(resolve => setTimeout(resolve, 10));
     }
   }
+  
+  // Assets deleted since the last scan no longer need cache entries
+  if (analysisCache) {
+    if (options.libraryIds) {
+      analysisCache.prune(options.libraryIds);
+    }
+    await analysisCache.flush();
+  }
 
-  // Find duplicates and similar photos (optimized comparison)
+  const now = Date.now();
+  // Images differing by less than the duplicate tolerance are duplicates, the same bound in bits
+  const settings = getSettings();
+  const duplicateDistance = Math.ceil(settings[SettingKey.SIMILARITY_THRESHOLD] * HASH_BITS) - 1;
+  const similarWindow = settings[SettingKey.SIMILAR_WINDOW_SECONDS] * 1000;
+  const screenshotContext = {
+    screenshotAlbumIds: new Set(options.screenshotAlbumIds || []),
+    screenRecordingAlbumIds: new Set(options.screenRecordingAlbumIds || []),
+    deviceScreen: options.deviceScreen,
+  };
+  
+  // Find duplicates and similar photos (indexed comparison, no pairwise scans)
   const categorized = [];
-  const signatureMap = new Map(); // For faster duplicate lookup
+  const photosById = new Map();
+  const similarityIndex = createSimilarityIndex();
+  const variantIndex = createSimilarityIndex(); // Rotated/cropped hashes, for edited versions
+  const variantOwners = new Map();
+  const filenameMap = new Map(); // Filename base -> photos, for copy detection
   
-  // First pass: group by signature (for O(n) duplicate detection instead of O(n²))
+  // First pass: index signatures and filenames (radius queries instead of O(n²) comparisons)
   for (let i = 0; i < photosWithSignatures.length; i++) {
     const photo = photosWithSignatures[i];
-    if (!signatureMap.has(photo.signature)) {
-      signatureMap.set(photo.signature, []);
+    photosById.set(photo.id, photo);
+    similarityIndex.add(photo.id, photo.signature);
+    
+    Object.entries(photo.hashVariants || {}).forEach(([variant, hash]) => {
+      const key = `${photo.id}#${variant}`;
+      variantIndex.add(key, hash);
+      variantOwners.set(key, { photoId: photo.id, variant });
+    });
+    
+    // Keyed on the asset file name, iOS uris (ph://<id>/L0/001) all end the same
+    const filenameBase = photo.filename ? getFilenameBase(photo.filename) : '';
+    if (filenameBase.length > 0) {
+      if (!filenameMap.has(filenameBase)) {
+        filenameMap.set(filenameBase, []);
+      }
+      filenameMap.get(filenameBase).push(photo);
+    }
+    
+    if (i > 0 && i % 500 === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
     }
-    signatureMap.get(photo.signature).push({ photo, index: i });
   }
   
-  // Report progress after signature grouping
+  // Photos ordered by capture time, so burst candidates are a contiguous run
+  const timeOrder = photosWithSignatures
+    .map((photo, index) => index)
+    .sort((a, b) => photosWithSignatures[a].creationTime - photosWithSignatures[b].creationTime);
+  const timePosition = new Array(timeOrder.length);
+  timeOrder.forEach((photoIndex, position) => {
+    timePosition[photoIndex] = position;
+  });
+  
+  // Real burst sets and the same capture saved in several formats are known without comparing pixels
+  const burstSets = findBurstSets(photosWithSignatures);
+  const captureTwins = findCaptureTwins(photosWithSignatures);
+  
+  // Report progress after indexing
   if (onProgress) {
-    onProgress(50);
+    onProgress({ phase: AnalysisPhase.GROUPING, processed: 0, total });
   }
   
   // Second pass: categorize photos (process in batches to avoid blocking)
@@ -92,120 +287,86 @@ export async function detectDuplicatesAndSimilar(photos, onProgress) {
     // Allow UI updates every 25 photos
     if (index > 0 && index % 25 === 0) {
       await new Promise(resolve => setTimeout(resolve, 5));
+      throwIfCancelled(options.signal);
     }
     
-    // Check for duplicates using signature map (much faster - O(1) lookup)
-    const sameSignaturePhotos = signatureMap.get(photo.signature) || [];
+    // Shots of the same burst and formats of the same capture are linked as such, not as copies
+    const burstMemberIds = (burstSets.get(photo.id) || []).filter(id => id !== photo.id);
+    const twin = captureTwins.get(photo.id);
+    const captureTwinIds = twin ? twin.memberIds.filter(id => id !== photo.id) : [];
+    const sameCapture = new Set([...burstMemberIds, ...captureTwinIds]);
+    Object.assign(photo, {
+      burstMemberIds,
+      captureTwinIds,
+      twinKind: twin ? twin.kind : null,
+      twinFormat: twin ? twin.format : null,
+      twinPrimaryId: twin ? twin.primaryId : null,
+      isLivePhoto: !!photo.mediaSubtypes?.includes('livePhoto') || twin?.kind === TwinKind.LIVE_PHOTO,
+    });
+    
+    // Near-identical signatures anywhere in the library (re-saved or resized copies)
     const duplicateIds = new Set();
+    const neighbours = similarityIndex.query(photo.signature, duplicateDistance);
     
-    for (const { photo: otherPhoto, index: otherIndex } of sameSignaturePhotos) {
-      if (otherIndex === index) continue;
-      duplicates.push(otherPhoto);
-      duplicateIds.add(otherPhoto.id);
+    for (const { id } of neighbours) {
+      if (id === photo.id || sameCapture.has(id)) continue;
+      duplicates.push(photosById.get(id));
+      duplicateIds.add(id);
     }
     
-    // Check filename-based duplicates (only check if we have < 10 duplicates to avoid slowdown)
-    if (duplicates.length < 10) {
-      const filenameBase = extractFileName(photo.uri)
-        .replace(/\s*\([0-9]+\)\s*/g, '')
-        .replace(/-copy/i, '')
-        .replace(/-\d+$/i, '')
-        .toLowerCase();
+    // Check filename-based copies (only check if we have < 10 duplicates to avoid slowdown)
+    if (duplicates.length < 10 && photo.filename) {
+      const sameFilenamePhotos = filenameMap.get(getFilenameBase(photo.filename)) || [];
       
-      for (let i = 0; i < photosWithSignatures.length && duplicates.length < 20; i++) {
-        if (i === index || duplicateIds.has(photosWithSignatures[i].id)) continue;
-        const otherPhoto = photosWithSignatures[i];
-        const otherFilenameBase = extractFileName(otherPhoto.uri)
-          .replace(/\s*\([0-9]+\)\s*/g, '')
-          .replace(/-copy/i, '')
-          .replace(/-\d+$/i, '')
-          .toLowerCase();
-        
-        if (filenameBase === otherFilenameBase && filenameBase.length > 0) {
-          duplicates.push(otherPhoto);
-          duplicateIds.add(otherPhoto.id);
-        }
+      for (const otherPhoto of sameFilenamePhotos) {
+        if (duplicates.length >= 20) break;
+        if (otherPhoto.id === photo.id || duplicateIds.has(otherPhoto.id) || sameCapture.has(otherPhoto.id)) continue;
+        if (!isFilenameCopy(photo, otherPhoto)) continue;
+        duplicates.push(otherPhoto);
+        duplicateIds.add(otherPhoto.id);
       }
     }
     
-    // Check for similar photos (only check nearby photos in sorted array for performance)
+    // Check for similar photos among shots taken within the similar shot window of this one
     // Skip if we already have duplicates (they're prioritized)
     if (duplicates.length === 0) {
-      // Only check 50 nearby photos (before and after in array)
-      const checkRange = 25;
-      const start = Math.max(0, index - checkRange);
-      const end = Math.min(photosWithSignatures.length, index + checkRange);
+      const position = timePosition[index];
       
-      for (let i = start; i < end; i++) {
-        if (i === index || duplicateIds.has(photosWithSignatures[i].id)) continue;
-        const otherPhoto = photosWithSignatures[i];
-        
-        // Only check photos with same dimensions (quick filter)
-        if (photo.width !== otherPhoto.width || photo.height !== otherPhoto.height) continue;
-        
-        const similarSize = Math.abs(photo.size - otherPhoto.size) < Math.max(photo.size * 0.1, 10000);
-        const timeDiff = Math.abs(photo.creationTime - otherPhoto.creationTime);
-        
-        // Similar photos or burst shots
-        if (similarSize && timeDiff < TIME_THRESHOLD && similar.length < 5) {
-          similar.push(otherPhoto);
+      for (const step of [-1, 1]) {
+        for (let i = position + step; i >= 0 && i < timeOrder.length && similar.length < 5; i += step) {
+          const otherPhoto = photosWithSignatures[timeOrder[i]];
+          const timeDiff = Math.abs(photo.creationTime - otherPhoto.creationTime);
+          if (timeDiff >= similarWindow) break;
+          
+          // Similar photos or burst shots the camera didn't mark as such
+          if (!sameCapture.has(otherPhoto.id) && isSimilarShot(photo, otherPhoto)) {
+            similar.push(otherPhoto);
+          }
         }
       }
     }
 
-    // Categorize
-    if (duplicates.length > 0) {
-      categories.push(PhotoCategory.DUPLICATE);
-      photo.duplicateCount = duplicates.length;
-      photo.duplicateIds = duplicates.map(d => d.id);
-    }
-    
-    if (similar.length > 0) {
-      if (similar.length > 2) {
-        categories.push(PhotoCategory.BURST);
-      } else {
-        categories.push(PhotoCategory.SIMILAR);
-      }
-      photo.similarCount = similar.length;
-    }
+    // Rotated or cropped edits of another photo, kept apart from exact duplicates
+    // Skip if we already have duplicates, the group already relates them to the original
+    const editedOriginal = duplicates.length === 0
+      ? findEditedOriginal(photo, variantIndex, variantOwners, photosById, new Set([...sameCapture, ...similar.map(s => s.id)]))
+      : null;
+    photo.editedFromId = editedOriginal ? editedOriginal.id : null;
+    photo.editKind = editedOriginal ? editedOriginal.edit : null;
 
-    // Screenshot detection (common device dimensions)
-    const isSquare = Math.abs(photo.width - photo.height) < 10;
-    const commonScreenshotSizes = [
-      { width: 1080, height: 1920 }, // iPhone X
-      { width: 1242, height: 2208 }, // iPhone 6/7/8 Plus
-      { width: 750, height: 1334 }, // iPhone 6/7/8
-      { width: 1440, height: 2560 }, // Android common
-      { width: 1080, height: 2340 }, // iPhone 12/13
-      { width: 1170, height: 2532 }, // iPhone 14
-      { width: 1179, height: 2556 }, // iPhone 14 Pro
-      { width: 1284, height: 2778 }, // iPhone 14 Pro Max
-    ];
-    
-    const isScreenshot = isSquare || commonScreenshotSizes.some(
-      size => Math.abs(photo.width - size.width) < 50 && 
-              Math.abs(photo.height - size.height) < 50
-    );
-    
-    if (isScreenshot) {
-      categories.push(PhotoCategory.SCREENSHOT);
-    }
-    
-    // Low quality detection (small file size relative to dimensions)
-    const pixels = photo.width * photo.height;
-    if (pixels > 0) {
-      const bytesPerPixel = photo.size / pixels;
-      // Very small files or very low bytes per pixel indicates compression/low quality
-      if (photo.size < 50000 || (pixels > 1000000 && bytesPerPixel < 0.1)) {
-        categories.push(PhotoCategory.LOW_QUALITY);
+    // Categorize with every registered detector (cheapest first)
+    const detectorContext = { duplicates, similar, screenshotContext, now };
+    getDetectorsByCost().forEach(detector => {
+      const result = detector.analyze(photo, detectorContext);
+      if (!result) return;
+      categories.push(detector.id);
+      if (typeof result === 'object') {
+        Object.assign(photo, result);
       }
-    }
+    });
     
-    // Old unused detection (check creation time)
-    const now = Date.now();
-    const daysSinceCreation = (now - photo.creationTime) / (1000 * 60 * 60 * 24);
-    if (daysSinceCreation > 365) {
-      categories.push(PhotoCategory.OLD_UNUSED);
+    if (similar.length > 0) {
+      photo.similarCount = similar.length;
     }
     
     categorized.push({
@@ -214,20 +375,37 @@ export async function detectDuplicatesAndSimilar(photos, onProgress) {
       isDuplicate: duplicates.length > 0,
       duplicateIds: duplicates.map(d => d.id),
       duplicateCount: duplicates.length,
+      similarIds: similar.map(s => s.id),
+      editedVersionIds: [],
+      groupId: null,
+      suggestedKeeper: false,
+      suggestedDelete: false,
     });
     
     // Report progress more frequently during categorization
     if (onProgress && (index % 25 === 0 || index === photosWithSignatures.length - 1)) {
-      // Progress from 50% to 95% (leave 5% for final sorting)
-      const categorizationProgress = 50 + ((index + 1) / photosWithSignatures.length) * 45;
-      onProgress(Math.round(categorizationProgress));
+      onProgress({ phase: AnalysisPhase.GROUPING, processed: index + 1, total });
     }
   }
   
-  // Final progress update
-  if (onProgress) {
-    onProgress(100);
-  }
+  // Let originals know about their edited versions
+  const categorizedById = new Map(categorized.map(photo => [photo.id, photo]));
+  categorized.forEach(photo => {
+    if (!photo.editedFromId) return;
+    categorizedById.get(photo.editedFromId).editedVersionIds.push(photo.id);
+  });
+  
+  // Attach transitive group membership so screens can act on whole groups
+  const groups = getDuplicateGroups(categorized);
+  groups.forEach(group => {
+    group.members.forEach(member => {
+      member.groupId = group.id;
+      member.groupSize = group.members.length;
+    });
+  });
+  
+  // Suggest which copy to keep in each group
+  applyBestShotSuggestions(groups, new Set(options.favoriteIds || []));
   
   return categorized;
 }
@@ -238,14 +416,10 @@ export async function detectDuplicatesAndSimilar(photos, onProgress) {
  * @returns {Object} Grouped photos by category
  */
 export function groupPhotosByCategory(categorizedPhotos) {
-  const grouped = {
-    [PhotoCategory.DUPLICATE]: [],
-    [PhotoCategory.SIMILAR]: [],
-    [PhotoCategory.SCREENSHOT]: [],
-    [PhotoCategory.LOW_QUALITY]: [],
-    [PhotoCategory.BURST]: [],
-    [PhotoCategory.OLD_UNUSED]: [],
-  };
+  const grouped = {};
+  getDetectors().forEach(detector => {
+    grouped[detector.id] = [];
+  });
   
   categorizedPhotos.forEach(photo => {
     photo.categories.forEach(category => {
@@ -259,34 +433,15 @@ export function groupPhotosByCategory(categorizedPhotos) {
 }
 
 /**
- * Get duplicate groups (photos that are duplicates of each other)
- * @param {Array} categorizedPhotos - Photos with duplicate info
- * @returns {Array} Array of duplicate groups
+ * Get duplicate groups (duplicates, similar shots and burst sets, merged transitively)
+ * A≈B and B≈C end up in one group even if A and C were never matched directly
+ * @param {Array} categorizedPhotos - Photos with duplicateIds / similarIds / burstMemberIds
+ * @returns {Array} Groups of {id, representativeId, representative, members}
  */
 export function getDuplicateGroups(categorizedPhotos) {
-  const duplicates = categorizedPhotos.filter(p => p.isDuplicate);
-  const groups = [];
-  const processed = new Set();
-  
-  duplicates.forEach(photo => {
-    if (processed.has(photo.id)) return;
-    
-    const group = [photo];
-    if (photo.duplicateIds) {
-      photo.duplicateIds.forEach(dupId => {
-        const dupPhoto = categorizedPhotos.find(p => p.id === dupId);
-        if (dupPhoto && !processed.has(dupId)) {
-          group.push(dupPhoto);
-          processed.add(dupId);
-        }
-      });
-    }
-    
-    if (group.length > 1) {
-      groups.push(group);
-      processed.add(photo.id);
-    }
-  });
-  
-  return groups;
+  return clusterPhotos(categorizedPhotos, photo => [
+    ...(photo.duplicateIds || []),
+    ...(photo.similarIds || []),
+    ...(photo.burstMemberIds || []),
+  ]);
 }
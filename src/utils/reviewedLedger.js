@@ -0,0 +1,159 @@
+// Reviewed photos ledger
+// Every decision in a swipe session is recorded per mode with the asset id, decision and time,
+// so new sessions of that mode leave out photos reviewed within the period set in Settings.
+// The ledger can outgrow AsyncStorage, so like asset locations it is a JSON file under the
+// document directory, read once and kept in memory. Rewriting it is too slow to do on every swipe,
+// so changes are written a little later in one go, and right away when the app goes to the background.
+
+import { AppState } from 'react-native';
+import { File, Paths } from 'expo-file-system';
+import { getSetting, SettingKey, SettingDefinitions } from './settings';
+
+const STORE_VERSION = 1;
+const STORE_FILE_NAME = 'reviewed-photos.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WRITE_DELAY_MS = 3000;
+
+let store = null;
+let loadPromise = null;
+let writeTimer = null;
+
+function getStoreFile() {
+  return new File(Paths.document, STORE_FILE_NAME);
+}
+
+/**
+ * Drop entries older than the longest period that can be set, they can never hide a photo again
+ */
+function pruneStore(modes) {
+  const cutoff = Date.now() - SettingDefinitions[SettingKey.REVIEWED_HIDE_DAYS].max * DAY_MS;
+  Object.values(modes).forEach(mode => {
+    Object.keys(mode.entries).forEach(id => {
+      if (mode.entries[id].reviewedAt < cutoff) delete mode.entries[id];
+    });
+  });
+  return modes;
+}
+
+/**
+ * Load the ledger (only the first call reads, later calls share it), empty for missing,
+ * corrupt or outdated files
+ */
+function loadStore() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      let modes = {};
+      try {
+        const file = getStoreFile();
+        if (file.exists) {
+          const data = JSON.parse(await file.text());
+          if (data.version === STORE_VERSION) {
+            modes = pruneStore(data.modes || {});
+          }
+        }
+      } catch (error) {
+        console.error('Error reading reviewed photos:', error);
+      }
+      store = { modes };
+      AppState.addEventListener('change', state => {
+        if (state !== 'active') flushReviewed();
+      });
+      return store;
+    })();
+  }
+  return loadPromise;
+}
+
+/**
+ * Write the ledger after a while, together with whatever else changes until then
+ */
+function scheduleWrite() {
+  if (!writeTimer) {
+    writeTimer = setTimeout(flushReviewed, WRITE_DELAY_MS);
+  }
+}
+
+/**
+ * Write pending changes now, e.g. when a session ends
+ */
+export function flushReviewed() {
+  if (!writeTimer) return;
+  clearTimeout(writeTimer);
+  writeTimer = null;
+  try {
+    getStoreFile().write(JSON.stringify({ version: STORE_VERSION, ...store }));
+  } catch (error) {
+    console.error('Error writing reviewed photos:', error);
+  }
+}
+
+/**
+ * Record a decision on photos
+ * @param {Object} mode - {key, label} of the session's mode, see getSessionKey
+ * @param {Array} photos - The decided photo and the other formats of its capture
+ * @param {string} decision - The swipe action
+ */
+export async function recordReview(mode, photos, decision) {
+  await loadStore();
+  const entry = store.modes[mode.key] || { label: mode.label, entries: {} };
+  entry.label = mode.label;
+  const reviewedAt = Date.now();
+  photos.forEach(photo => {
+    entry.entries[photo.id] = { decision, reviewedAt };
+  });
+  store.modes[mode.key] = entry;
+  scheduleWrite();
+}
+
+/**
+ * Forget a decision again, when it is undone
+ */
+export async function removeReview(modeKey, photos) {
+  await loadStore();
+  const entry = store.modes[modeKey];
+  if (!entry) return;
+  photos.forEach(photo => delete entry.entries[photo.id]);
+  scheduleWrite();
+}
+
+/**
+ * Leave out photos reviewed in a mode within the period set in Settings
+ * @returns {Promise<Array>} The photos not reviewed recently, in the same order
+ */
+export async function excludeRecentlyReviewed(modeKey, photos) {
+  const days = getSetting(SettingKey.REVIEWED_HIDE_DAYS);
+  await loadStore();
+  const entries = store.modes[modeKey]?.entries;
+  if (!entries || days === 0) return photos;
+
+  const cutoff = Date.now() - days * DAY_MS;
+  return photos.filter(photo => !(entries[photo.id]?.reviewedAt >= cutoff));
+}
+
+/**
+ * Modes with reviewed photos, for resetting them
+ * @returns {Promise<Array>} {key, label, count} with count of photos hidden right now
+ */
+export async function getReviewedModes() {
+  const days = getSetting(SettingKey.REVIEWED_HIDE_DAYS);
+  const cutoff = Date.now() - days * DAY_MS;
+  await loadStore();
+  return Object.entries(store.modes)
+    .map(([key, mode]) => ({
+      key,
+      label: mode.label,
+      count: days === 0 ? 0 : Object.values(mode.entries).filter(entry => entry.reviewedAt >= cutoff).length,
+    }))
+    .filter(mode => mode.count > 0)
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Forget every photo reviewed in a mode, so all of them show up again
+ */
+export async function resetReviewed(modeKey) {
+  await loadStore();
+  delete store.modes[modeKey];
+  scheduleWrite();
+  flushReviewed();
+}
@@ -0,0 +1,108 @@
+// Resumable swipe sessions
+// A session is saved as it changes: its ordered photo ids once, then position, counts and the
+// decision history after every swipe. History entries keep ids instead of photos, so they stay
+// small; resuming runs the analysis again and looks the photos back up. One session is kept per
+// mode, album selection and event, starting one over replaces its saved session.
+
+import { EVENT_MODE_KEY } from './eventClustering';
+
+/**
+ * Key a session is saved under: its mode, narrowed to the session's albums or event, so
+ * starting another album selection or event doesn't replace the saved one
+ * @param {Object} params - Swipe screen route params {mode, event, albumIds}
+ */
+export function getSessionKey(params) {
+  if (params?.albumIds?.length) return `albums:${[...params.albumIds].sort().join(',')}`;
+  if (params?.mode === EVENT_MODE_KEY) {
+    return params?.event?.id ? `${EVENT_MODE_KEY}:${params.event.id}` : EVENT_MODE_KEY;
+  }
+  return params?.mode || 'all';
+}
+
+/**
+ * Route params that reopen a session, without the resume flag
+ */
+export function getSessionParams({ mode = 'all', event = null, albumIds = null, albumTitles = [] } = {}) {
+  return { mode, event, albumIds, albumTitles };
+}
+
+/**
+ * History entry as saved, photos replaced by their ids
+ */
+function serializeHistoryEntry(entry) {
+  return {
+    index: entry.index,
+    photoId: entry.photo.id,
+    action: entry.action,
+    markedIds: (entry.markedPhotos || []).map(photo => photo.id),
+    journalId: entry.journalId,
+    timestamp: entry.timestamp,
+  };
+}
+
+/**
+ * Progress to save for a session
+ * @param {Object} state - {params, sessionId, label, icon, photos, currentIndex, counts, history,
+ *   dismissedSeparators}
+ */
+export function buildSessionProgress({ params, sessionId, label, icon, photos, currentIndex, counts, history, dismissedSeparators }) {
+  return {
+    params: getSessionParams(params),
+    sessionId,
+    label,
+    icon,
+    total: photos.length,
+    currentIndex,
+    counts,
+    history: history.map(serializeHistoryEntry),
+    dismissedSeparators,
+  };
+}
+
+/**
+ * Rebuild a saved session from freshly analyzed photos. Photos deleted from the library since
+ * are left out and positions shift to match, history entries for them are dropped.
+ * @param {Object} progress - From getSessionProgress
+ * @param {Array} queueIds - From getSessionQueue
+ * @param {Array} photos - Analyzed photos with capture twins collapsed, session photos last so
+ *   they win over the same photo from a wider selection
+ * @returns {Object|null} {photos, currentIndex, history}, null if none of its photos are left
+ */
+export function restoreSession(progress, queueIds, photos) {
+  const photosById = new Map();
+  photos.forEach(photo => {
+    photosById.set(photo.id, photo);
+    (photo.twins || []).forEach(twin => {
+      if (!photosById.has(twin.id)) photosById.set(twin.id, twin);
+    });
+  });
+
+  // New position of every saved position still in the library
+  const restoredPhotos = [];
+  const newIndices = new Map();
+  queueIds.forEach((id, index) => {
+    const photo = photosById.get(id);
+    if (photo) {
+      newIndices.set(index, restoredPhotos.length);
+      restoredPhotos.push(photo);
+    }
+  });
+  if (restoredPhotos.length === 0) return null;
+
+  // Resume at the first photo left from the saved position on
+  const skippedBefore = queueIds.slice(0, progress.currentIndex).filter(id => !photosById.has(id)).length;
+  const currentIndex = Math.min(progress.currentIndex - skippedBefore, restoredPhotos.length - 1);
+
+  const history = progress.history
+    .filter(entry => newIndices.has(entry.index) && photosById.has(entry.photoId))
+    .map(entry => ({
+      index: newIndices.get(entry.index),
+      photo: photosById.get(entry.photoId),
+      action: entry.action,
+      markedPhotos: entry.markedIds.map(id => photosById.get(id)).filter(Boolean),
+      journalId: entry.journalId,
+      timestamp: entry.timestamp,
+    }));
+
+  return { photos: restoredPhotos, currentIndex, history };
+}
@@ -0,0 +1,137 @@
+// Screenshot and screen recording detection
+// Checks the strongest evidence first: the OS media subtype (iOS), the Screenshots album
+// (Android), the file name the OS gave it, and only then falls back to screen dimensions
+
+export const ScreenshotSignal = {
+  MEDIA_SUBTYPE: 'media_subtype',
+  ALBUM: 'album',
+  FILENAME: 'filename',
+  DIMENSIONS: 'dimensions',
+};
+
+// Names used by Android, Samsung, MIUI, macOS and Windows screenshot tools
+const SCREENSHOT_FILENAME_PATTERNS = [
+  /^screenshot[_\-\s]/i, // Screenshot_20240312-101500.png, Screenshot 2024-03-12 at 10.15.00.png
+  /^screen\s?shot[_\-\s]/i, // Screen Shot 2019-05-01 at 09.30.12.png
+  /^scr_?\d{8}/i, // SCR_20240312_101500.jpg
+  /^scrnli_/i,
+  /^capture[_\-]\d{4}/i,
+];
+
+// Names used by iOS (ReplayKit), Android and common recorder apps
+const SCREEN_RECORDING_FILENAME_PATTERNS = [
+  /^rpreplay_/i, // RPReplay_Final1712345678.MP4
+  /^screen[_\-\s]?record/i, // Screen_Recording_20240312-101500.mp4, ScreenRecorder-..., Screen Recording ...
+  /^record_screen_/i,
+  /^screen-\d{8}-\d{6}/i, // screen-20240312-101500.mp4
+];
+
+// Native screen resolutions, only consulted when nothing else identifies the image
+const SCREEN_SIZES = [
+  { width: 750, height: 1334 }, // iPhone 6/7/8/SE
+  { width: 1242, height: 2208 }, // iPhone 6/7/8 Plus
+  { width: 1125, height: 2436 }, // iPhone X/XS/11 Pro
+  { width: 828, height: 1792 }, // iPhone XR/11
+  { width: 1242, height: 2688 }, // iPhone XS Max/11 Pro Max
+  { width: 1080, height: 2340 }, // iPhone 12/13 mini
+  { width: 1170, height: 2532 }, // iPhone 12/13/14
+  { width: 1284, height: 2778 }, // iPhone 12/13 Pro Max, 14 Plus
+  { width: 1179, height: 2556 }, // iPhone 14 Pro/15/16
+  { width: 1290, height: 2796 }, // iPhone 14 Pro Max/15 Plus/16 Plus
+  { width: 1206, height: 2622 }, // iPhone 16 Pro
+  { width: 1320, height: 2868 }, // iPhone 16 Pro Max
+  { width: 1080, height: 1920 }, // Android FHD
+  { width: 1080, height: 2400 }, // Android FHD+ 20:9
+  { width: 1440, height: 2560 }, // Android QHD
+  { width: 1440, height: 3200 }, // Android QHD+ 20:9
+];
+const DIMENSION_TOLERANCE = 2;
+
+/**
+ * Find the file extension of a photo, lowercased ('' when unknown)
+ */
+function getExtension(filename) {
+  const match = /\.([a-z0-9]+)$/i.exec(filename || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Check whether a size is also a standard camera video resolution (16:9 HD, FHD, QHD)
+ */
+function isVideoResolution({ width, height }) {
+  const longEdge = Math.max(width, height);
+  const shortEdge = Math.min(width, height);
+  return Math.abs(longEdge / shortEdge - 16 / 9) < 0.01;
+}
+
+/**
+ * Check whether width x height matches a screen in either orientation
+ */
+function matchesScreenSize(photo, screenSizes) {
+  return screenSizes.some(size => (
+    (Math.abs(photo.width - size.width) <= DIMENSION_TOLERANCE &&
+      Math.abs(photo.height - size.height) <= DIMENSION_TOLERANCE) ||
+    (Math.abs(photo.width - size.height) <= DIMENSION_TOLERANCE &&
+      Math.abs(photo.height - size.width) <= DIMENSION_TOLERANCE)
+  ));
+}
+
+/**
+ * Decide whether a photo is a screenshot and record which signal fired
+ * @param {Object} photo - Photo with {width, height, filename, mediaSubtypes, albumId}
+ * @param {Object} context - Optional {screenshotAlbumIds: Set, deviceScreen: {width, height}}
+ * @returns {Object} {isScreenshot, signal} where signal is a ScreenshotSignal or null
+ */
+export function detectScreenshot(photo, context = {}) {
+  if (photo.mediaSubtypes?.includes('screenshot')) {
+    return { isScreenshot: true, signal: ScreenshotSignal.MEDIA_SUBTYPE };
+  }
+
+  if (photo.albumId && context.screenshotAlbumIds?.has(photo.albumId)) {
+    return { isScreenshot: true, signal: ScreenshotSignal.ALBUM };
+  }
+
+  const filename = photo.filename || '';
+  if (SCREENSHOT_FILENAME_PATTERNS.some(pattern => pattern.test(filename))) {
+    return { isScreenshot: true, signal: ScreenshotSignal.FILENAME };
+  }
+
+  // Camera output is JPEG/HEIC, so screen-sized images only count when they are lossless
+  // or we know nothing about the file (iOS already answered through mediaSubtypes above)
+  const extension = getExtension(filename);
+  const screenSizes = context.deviceScreen ? [context.deviceScreen, ...SCREEN_SIZES] : SCREEN_SIZES;
+  if ((extension === 'png' || extension === '') && matchesScreenSize(photo, screenSizes)) {
+    return { isScreenshot: true, signal: ScreenshotSignal.DIMENSIONS };
+  }
+
+  return { isScreenshot: false, signal: null };
+}
+
+/**
+ * Decide whether a video is a screen recording and record which signal fired
+ * Screen dimensions only count for clips without a camera subtype and outside standard 16:9 sizes
+ * @param {Object} video - Video with {width, height, filename, mediaSubtypes, albumId}
+ * @param {Object} context - Optional {screenRecordingAlbumIds: Set, deviceScreen: {width, height}}
+ * @returns {Object} {isScreenRecording, signal} where signal is a ScreenshotSignal or null
+ */
+export function detectScreenRecording(video, context = {}) {
+  if (video.albumId && context.screenRecordingAlbumIds?.has(video.albumId)) {
+    return { isScreenRecording: true, signal: ScreenshotSignal.ALBUM };
+  }
+
+  const filename = video.filename || '';
+  if (SCREEN_RECORDING_FILENAME_PATTERNS.some(pattern => pattern.test(filename))) {
+    return { isScreenRecording: true, signal: ScreenshotSignal.FILENAME };
+  }
+
+  // Camera clips come in standard video sizes (1920x1080, 3840x2160), phone screens don't
+  const screenSizes = context.deviceScreen ? [context.deviceScreen, ...SCREEN_SIZES] : SCREEN_SIZES;
+  const recordedWithCamera = (video.mediaSubtypes || []).some(subtype =>
+    ['highFrameRate', 'timelapse', 'videoCinematic', 'spatialMedia'].includes(subtype)
+  );
+  if (!recordedWithCamera && matchesScreenSize(video, screenSizes.filter(size => !isVideoResolution(size)))) {
+    return { isScreenRecording: true, signal: ScreenshotSignal.DIMENSIONS };
+  }
+
+  return { isScreenRecording: false, signal: null };
+}
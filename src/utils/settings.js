@@ -0,0 +1,258 @@
+// App settings
+// Every tunable value lives here with its default and allowed range. Settings are stored under
+// STORAGE_KEYS.SETTINGS and kept in memory once loaded, so detection and gesture code can read
+// them synchronously. Screens subscribe to changes instead of re-reading storage.
+
+import { useState, useEffect } from 'react';
+import { getStoredSettings, saveStoredSettings } from './storage';
+import { SwipeActions, SwipeDirections } from '../constants/colors';
+
+export const SettingKey = {
+  SWIPE_THRESHOLD: 'swipeThreshold',
+  SIMILARITY_THRESHOLD: 'similarityThreshold',
+  SIMILAR_WINDOW_SECONDS: 'similarWindowSeconds',
+  LARGE_FILE_MB: 'largeFileMB',
+  OLD_AFTER_DAYS: 'oldAfterDays',
+  HISTORY_LIMIT: 'historyLimit',
+  REVIEWED_HIDE_DAYS: 'reviewedHideDays',
+  TRASH_RETENTION_DAYS: 'trashRetentionDays',
+  GESTURES: 'gestures',
+};
+
+export const SettingType = {
+  NUMBER: 'number',
+  GESTURES: 'gestures', // Swipe direction -> action, every action on exactly one direction
+};
+
+const formatPercent = value => `${Math.round(value * 100)}%`;
+
+/**
+ * Definition of each setting: type, label and description for the Settings screen, default,
+ * and for numbers the range, step of the stepper and how to display a value
+ */
+export const SettingDefinitions = {
+  [SettingKey.SWIPE_THRESHOLD]: {
+    type: SettingType.NUMBER,
+    label: 'Swipe distance',
+    description: 'How far a card has to travel before a swipe counts, as a share of the screen width',
+    defaultValue: 0.3,
+    min: 0.15,
+    max: 0.6,
+    step: 0.05,
+    format: formatPercent,
+  },
+  [SettingKey.SIMILARITY_THRESHOLD]: {
+    type: SettingType.NUMBER,
+    label: 'Duplicate tolerance',
+    description: 'How different two photos may look and still count as duplicates',
+    defaultValue: 0.1,
+    min: 0.02,
+    // Up to 7 bits apart, the widest radius the similarity index answers without a full scan
+    max: 0.12,
+    step: 0.01,
+    format: formatPercent,
+  },
+  [SettingKey.SIMILAR_WINDOW_SECONDS]: {
+    type: SettingType.NUMBER,
+    label: 'Similar shot window',
+    description: 'Photos taken this close together are compared as shots of the same scene',
+    defaultValue: 60,
+    min: 5,
+    max: 600,
+    step: 5,
+    format: value => (value < 60 ? `${value} s` : `${Math.floor(value / 60)} min${value % 60 ? ` ${value % 60} s` : ''}`),
+  },
+  [SettingKey.LARGE_FILE_MB]: {
+    type: SettingType.NUMBER,
+    label: 'Large file size',
+    description: 'Photos above this size show up in Large Files',
+    defaultValue: 5,
+    min: 1,
+    max: 100,
+    step: 1,
+    format: value => `${value} MB`,
+  },
+  [SettingKey.OLD_AFTER_DAYS]: {
+    type: SettingType.NUMBER,
+    label: 'Old photo age',
+    description: 'Photos older than this show up in Old Photos',
+    defaultValue: 365,
+    min: 30,
+    max: 3650,
+    step: 30,
+    format: value => `${value} days`,
+  },
+  [SettingKey.HISTORY_LIMIT]: {
+    type: SettingType.NUMBER,
+    label: 'Sessions kept',
+    description: 'How many cleanup sessions the history remembers',
+    defaultValue: 50,
+    min: 10,
+    max: 500,
+    step: 10,
+    format: value => `${value}`,
+  },
+  [SettingKey.REVIEWED_HIDE_DAYS]: {
+    type: SettingType.NUMBER,
+    label: 'Hide reviewed photos',
+    description: 'Photos you already decided on stay out of that mode for this long',
+    defaultValue: 90,
+    min: 0,
+    max: 720,
+    step: 30,
+    format: value => (value === 0 ? 'Off' : `${value} days`),
+  },
+  [SettingKey.TRASH_RETENTION_DAYS]: {
+    type: SettingType.NUMBER,
+    label: 'Trash',
+    description: 'Keep copies of deleted photos in the app to restore them, they use storage until purged',
+    defaultValue: 0,
+    min: 0,
+    max: 30,
+    step: 1,
+    format: value => (value === 0 ? 'Off' : `${value} day${value === 1 ? '' : 's'}`),
+  },
+  [SettingKey.GESTURES]: {
+    type: SettingType.GESTURES,
+    label: 'Swipe directions',
+    description: 'What each swipe direction does, e.g. swap left and right for left-handed use',
+    defaultValue: {
+      [SwipeDirections.LEFT]: SwipeActions.DELETE,
+      [SwipeDirections.RIGHT]: SwipeActions.KEEP,
+      [SwipeDirections.UP]: SwipeActions.FAVORITE,
+      [SwipeDirections.DOWN]: SwipeActions.LATER,
+    },
+  },
+};
+
+const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SettingDefinitions).map(([key, definition]) => [key, definition.defaultValue])
+);
+
+let currentSettings = { ...DEFAULT_SETTINGS };
+let loadPromise = null;
+const listeners = new Set();
+
+/**
+ * Validate a value for a setting
+ * @returns {string|null} Message describing the problem, null if the value is valid
+ */
+export function validateSetting(key, value) {
+  const definition = SettingDefinitions[key];
+  if (!definition) {
+    return `Unknown setting "${key}".`;
+  }
+  if (definition.type === SettingType.GESTURES) {
+    const directions = Object.values(SwipeDirections);
+    const actions = directions.map(direction => value?.[direction]);
+    const isComplete = Object.values(SwipeActions).every(action => actions.includes(action));
+    return isComplete ? null : 'Every swipe action needs exactly one direction.';
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${definition.label} has to be a number.`;
+  }
+  if (value < definition.min || value > definition.max) {
+    return `${definition.label} has to be between ${definition.format(definition.min)} and ${definition.format(definition.max)}.`;
+  }
+  return null;
+}
+
+/**
+ * Keep valid stored values, anything missing or out of range falls back to its default
+ */
+function sanitize(stored) {
+  const settings = { ...DEFAULT_SETTINGS };
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if (stored?.[key] !== undefined && validateSetting(key, stored[key]) === null) {
+      settings[key] = stored[key];
+    }
+  });
+  return settings;
+}
+
+function notify() {
+  listeners.forEach(listener => listener(currentSettings));
+}
+
+/**
+ * Load settings from storage (only the first call reads, later calls share the result)
+ * @returns {Promise<Object>} Current settings
+ */
+export function loadSettings() {
+  if (!loadPromise) {
+    loadPromise = getStoredSettings().then(stored => {
+      currentSettings = sanitize(stored);
+      notify();
+      return currentSettings;
+    });
+  }
+  return loadPromise;
+}
+
+/**
+ * Current settings; defaults until loadSettings has finished
+ */
+export function getSettings() {
+  return currentSettings;
+}
+
+export function getSetting(key) {
+  return currentSettings[key];
+}
+
+/**
+ * Change a setting and persist it
+ * @returns {Promise<string|null>} Validation or save error message, null on success
+ */
+export async function updateSetting(key, value) {
+  const problem = validateSetting(key, value);
+  if (problem) return problem;
+
+  await loadSettings();
+  const previous = currentSettings;
+  currentSettings = { ...currentSettings, [key]: value };
+  notify();
+  if (!(await saveStoredSettings(currentSettings))) {
+    currentSettings = previous;
+    notify();
+    return 'Could not save the setting.';
+  }
+  return null;
+}
+
+/**
+ * Restore every setting to its default
+ */
+export async function resetSettings() {
+  await loadSettings();
+  currentSettings = { ...DEFAULT_SETTINGS };
+  notify();
+  return saveStoredSettings(currentSettings);
+}
+
+/**
+ * Get notified when settings change
+ * @param {Function} listener - Called with the new settings
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToSettings(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Current settings for a component, re-rendering it when they change
+ */
+export function useSettings() {
+  const [settings, setSettings] = useState(currentSettings);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToSettings(setSettings);
+    // Settings may have loaded between the first render and subscribing
+    setSettings(getSettings());
+    loadSettings();
+    return unsubscribe;
+  }, []);
+
+  return settings;
+}
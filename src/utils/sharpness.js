@@ -0,0 +1,94 @@
+// Blur and sharpness analysis
+// Variance of the Laplacian: sharp edges give strong second derivatives, blur flattens them.
+// A whole-image thumbnail shrinks blur away, so we measure a center crop at a milder downscale.
+
+import { loadGrayscaleThumbnail } from './thumbnail';
+
+const SAMPLE_SIZE = 128;
+const CROP_FRACTION = 1 / 3; // Center square, a third of the shorter edge
+const BLUR_VARIANCE = 60; // Laplacian variance where a sample is as likely blurred as not
+const MIN_CONTRAST = 8; // Below this luminance std dev the sample is too flat to judge
+
+/**
+ * Load the center crop used for sharpness measurement
+ * @param {Object} photo - Photo object with {id, uri, width, height}
+ * @returns {Promise<Object>} Grayscale thumbnail {width, height, pixels}
+ */
+export async function loadSharpnessSample(photo) {
+  const side = Math.floor(Math.min(photo.width, photo.height) * CROP_FRACTION);
+  if (side < SAMPLE_SIZE) {
+    // Small images: the whole frame is already close to sample resolution
+    return loadGrayscaleThumbnail(photo, SAMPLE_SIZE);
+  }
+
+  return loadGrayscaleThumbnail(photo, SAMPLE_SIZE, {
+    originX: Math.floor((photo.width - side) / 2),
+    originY: Math.floor((photo.height - side) / 2),
+    width: side,
+    height: side,
+  });
+}
+
+/**
+ * Compute the variance of the 4-neighbour Laplacian and the luminance standard deviation
+ * @param {Object} thumbnail - {width, height, pixels}
+ * @returns {Object} {laplacianVariance, contrast}
+ */
+export function measureLaplacianVariance({ width, height, pixels }) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+
+  let luminanceSum = 0;
+  let luminanceSquares = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    luminanceSum += pixels[i];
+    luminanceSquares += pixels[i] * pixels[i];
+  }
+
+  const mean = count > 0 ? sum / count : 0;
+  const luminanceMean = pixels.length > 0 ? luminanceSum / pixels.length : 0;
+
+  return {
+    laplacianVariance: count > 0 ? sumSquares / count - mean * mean : 0,
+    contrast: Math.sqrt(Math.max(0, luminanceSquares / Math.max(pixels.length, 1) - luminanceMean * luminanceMean)),
+  };
+}
+
+/**
+ * Turn a sharpness sample into scores
+ * @param {Object} thumbnail - Sample from loadSharpnessSample
+ * @returns {Object} {laplacianVariance, sharpness (0-1, higher is sharper), blurConfidence (0-1)}
+ */
+export function analyzeSharpness(thumbnail) {
+  const { laplacianVariance, contrast } = measureLaplacianVariance(thumbnail);
+  const sharpness = laplacianVariance / (laplacianVariance + BLUR_VARIANCE);
+
+  // Flat scenes (sky, walls) have weak edges without being blurred, so trust them less
+  const contrastFactor = Math.min(1, contrast / MIN_CONTRAST);
+  const blurConfidence = Math.max(0, Math.min(1, 1 - laplacianVariance / (2 * BLUR_VARIANCE))) * contrastFactor;
+
+  return {
+    laplacianVariance: Math.round(laplacianVariance * 10) / 10,
+    sharpness: Math.round(sharpness * 1000) / 1000,
+    blurConfidence: Math.round(blurConfidence * 1000) / 1000,
+  };
+}
+
+/**
+ * Load and analyze sharpness for a photo
+ */
+export async function measurePhotoSharpness(photo) {
+  const sample = await loadSharpnessSample(photo);
+  return analyzeSharpness(sample);
+}
@@ -0,0 +1,117 @@
+// Near-duplicate index over image signatures
+// Perceptual hashes are stored with multi-index hashing: the 64 bits are split into 8 byte-sized
+// chunks with one lookup table each. Two hashes within 7 bits of each other must agree exactly on
+// at least one chunk (pigeonhole), so a radius query only verifies photos sharing a chunk.
+// Metadata signatures have no distance, they are kept in an exact-match map.
+
+import { isPerceptualSignature } from './imageHashing';
+
+const CHUNK_COUNT = 8;
+const CHUNK_HEX_LENGTH = 2; // 8 bits per chunk
+
+/**
+ * Count set bits in a 32-bit integer
+ */
+function popcount32(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Create an empty similarity index
+ * @returns {Object} Index with add(id, signature) and query(signature, maxDistance)
+ */
+export function createSimilarityIndex() {
+  // Entries are kept in parallel arrays, hashes as two 32-bit halves for fast XOR
+  const ids = [];
+  const high = [];
+  const low = [];
+  const chunkTables = Array.from({ length: CHUNK_COUNT }, () => new Map()); // chunk -> entry indexes
+  const exactMatches = new Map(); // metadata signature -> ids
+  let size = 0;
+
+  const distanceTo = (entry, queryHigh, queryLow) => (
+    popcount32(high[entry] ^ queryHigh) + popcount32(low[entry] ^ queryLow)
+  );
+
+  /**
+   * Add a photo signature to the index
+   */
+  const add = (id, signature) => {
+    size++;
+
+    if (!isPerceptualSignature(signature)) {
+      if (!exactMatches.has(signature)) {
+        exactMatches.set(signature, []);
+      }
+      exactMatches.get(signature).push(id);
+      return;
+    }
+
+    const entry = ids.length;
+    ids.push(id);
+    high.push(parseInt(signature.slice(0, 8), 16) | 0);
+    low.push(parseInt(signature.slice(8), 16) | 0);
+
+    for (let chunk = 0; chunk < CHUNK_COUNT; chunk++) {
+      const key = signature.substr(chunk * CHUNK_HEX_LENGTH, CHUNK_HEX_LENGTH);
+      const table = chunkTables[chunk];
+      if (!table.has(key)) {
+        table.set(key, []);
+      }
+      table.get(key).push(entry);
+    }
+  };
+
+  /**
+   * Find all photos within maxDistance bits of a signature
+   * @returns {Array} [{id, distance}] including the queried photo itself if it was added
+   */
+  const query = (signature, maxDistance) => {
+    if (!isPerceptualSignature(signature)) {
+      return (exactMatches.get(signature) || []).map(id => ({ id, distance: 0 }));
+    }
+
+    const queryHigh = parseInt(signature.slice(0, 8), 16) | 0;
+    const queryLow = parseInt(signature.slice(8), 16) | 0;
+    const results = [];
+
+    // Pigeonhole no longer holds for wide radii, verify every entry instead
+    if (maxDistance >= CHUNK_COUNT) {
+      for (let entry = 0; entry < ids.length; entry++) {
+        const distance = distanceTo(entry, queryHigh, queryLow);
+        if (distance <= maxDistance) {
+          results.push({ id: ids[entry], distance });
+        }
+      }
+      return results;
+    }
+
+    const checked = new Set();
+    for (let chunk = 0; chunk < CHUNK_COUNT; chunk++) {
+      const key = signature.substr(chunk * CHUNK_HEX_LENGTH, CHUNK_HEX_LENGTH);
+      const candidates = chunkTables[chunk].get(key) || [];
+
+      for (const entry of candidates) {
+        if (checked.has(entry)) continue;
+        checked.add(entry);
+
+        const distance = distanceTo(entry, queryHigh, queryLow);
+        if (distance <= maxDistance) {
+          results.push({ id: ids[entry], distance });
+        }
+      }
+    }
+
+    return results;
+  };
+
+  return {
+    add,
+    query,
+    get size() {
+      return size;
+    },
+  };
+}
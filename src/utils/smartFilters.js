@@ -0,0 +1,258 @@
+// User-defined smart filters
+// A smart filter is a named list of conditions combined with AND/OR. Saved filters show up as
+// custom cleanup modes next to the built-in ones, under the mode key "custom:<id>".
+
+import { loadAlbumAssetIds } from './albums';
+import { PhotoCategory } from '../constants/categories';
+
+export const SMART_FILTER_MODE_PREFIX = 'custom:';
+
+export const FilterField = {
+  CATEGORY: 'category',
+  SIZE: 'size',
+  DATE: 'date',
+  DIMENSIONS: 'dimensions',
+  ALBUM: 'album',
+  FILENAME: 'filename',
+};
+
+export const FilterFieldLabels = {
+  [FilterField.CATEGORY]: 'Category',
+  [FilterField.SIZE]: 'File size',
+  [FilterField.DATE]: 'Date taken',
+  [FilterField.DIMENSIONS]: 'Dimensions',
+  [FilterField.ALBUM]: 'Album',
+  [FilterField.FILENAME]: 'File name',
+};
+
+export const FilterCombinator = {
+  AND: 'and',
+  OR: 'or',
+};
+
+const BYTES_PER_MB = 1024 * 1024;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Create a condition with empty values for a field
+ */
+export function createRule(field) {
+  switch (field) {
+    case FilterField.CATEGORY:
+      return { field, category: null, negate: false };
+    case FilterField.SIZE:
+      return { field, minMB: '', maxMB: '' };
+    case FilterField.DATE:
+      return { field, from: '', to: '' };
+    case FilterField.DIMENSIONS:
+      return { field, minWidth: '', minHeight: '', maxWidth: '', maxHeight: '' };
+    case FilterField.ALBUM:
+      return { field, albumId: null, albumTitle: '' };
+    case FilterField.FILENAME:
+      return { field, pattern: '' };
+    default:
+      throw new Error(`Unknown filter field "${field}"`);
+  }
+}
+
+/**
+ * Read an optional number typed into a form field ('' and null mean "no limit")
+ */
+function toNumber(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+/**
+ * Parse YYYY-MM-DD as local midnight, null for empty, NaN for malformed dates
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const match = DATE_PATTERN.exec(String(value).trim());
+  if (!match) return NaN;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 ? date.getTime() : NaN;
+}
+
+/**
+ * Last millisecond of the local day a timestamp falls on (days around DST changes aren't 24 hours)
+ */
+function endOfDay(time) {
+  const date = new Date(time);
+  date.setHours(23, 59, 59, 999);
+  return date.getTime();
+}
+
+/**
+ * Turn a file name pattern into a case-insensitive regular expression
+ * Supports * and ? wildcards, patterns without wildcards match anywhere in the name
+ */
+function patternToRegExp(pattern) {
+  const trimmed = pattern.trim();
+  const escaped = trimmed.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  if (!/[*?]/.test(trimmed)) {
+    return new RegExp(escaped, 'i');
+  }
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+/**
+ * Check that a value lies within optional bounds
+ */
+function isWithin(value, min, max) {
+  return (min === null || value >= min) && (max === null || value <= max);
+}
+
+/**
+ * Check a single condition
+ * @param {Object} photo - Categorized photo
+ * @param {Object} rule - Condition created by createRule
+ * @param {Object} context - {albumMembers: Map of album id to Set of asset ids}
+ */
+export function matchesRule(photo, rule, context = {}) {
+  switch (rule.field) {
+    case FilterField.CATEGORY: {
+      const inCategory = !!photo.categories?.includes(rule.category);
+      return rule.negate ? !inCategory : inCategory;
+    }
+    case FilterField.SIZE: {
+      const minMB = toNumber(rule.minMB);
+      const maxMB = toNumber(rule.maxMB);
+      return isWithin(
+        photo.size || 0,
+        minMB === null ? null : minMB * BYTES_PER_MB,
+        maxMB === null ? null : maxMB * BYTES_PER_MB
+      );
+    }
+    case FilterField.DATE: {
+      const from = parseDate(rule.from);
+      const to = parseDate(rule.to);
+      // "To" includes the whole day
+      return isWithin(photo.creationTime, from, to === null ? null : endOfDay(to));
+    }
+    case FilterField.DIMENSIONS:
+      return isWithin(photo.width || 0, toNumber(rule.minWidth), toNumber(rule.maxWidth)) &&
+        isWithin(photo.height || 0, toNumber(rule.minHeight), toNumber(rule.maxHeight));
+    case FilterField.ALBUM:
+      return photo.albumId === rule.albumId ||
+        !!context.albumMembers?.get(rule.albumId)?.has(photo.id);
+    case FilterField.FILENAME:
+      return patternToRegExp(rule.pattern).test(photo.filename || '');
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a photo against all conditions of a filter
+ */
+export function matchesSmartFilter(photo, filter, context = {}) {
+  const check = rule => matchesRule(photo, rule, context);
+  return filter.combinator === FilterCombinator.OR
+    ? filter.rules.some(check)
+    : filter.rules.every(check);
+}
+
+/**
+ * Validate a filter before saving
+ * @returns {string|null} Message describing the first problem, null if the filter is valid
+ */
+export function validateSmartFilter(filter) {
+  if (!filter.name?.trim()) {
+    return 'Give your filter a name.';
+  }
+  if (!filter.rules?.length) {
+    return 'Add at least one condition.';
+  }
+
+  for (const rule of filter.rules) {
+    const label = FilterFieldLabels[rule.field];
+    switch (rule.field) {
+      case FilterField.CATEGORY:
+        if (!rule.category) return 'Pick a category for the category condition.';
+        if (!Object.values(PhotoCategory).includes(rule.category)) return `Unknown category "${rule.category}".`;
+        break;
+      case FilterField.SIZE:
+      case FilterField.DIMENSIONS: {
+        const [minKeys, maxKeys] = rule.field === FilterField.SIZE
+          ? [['minMB'], ['maxMB']]
+          : [['minWidth', 'minHeight'], ['maxWidth', 'maxHeight']];
+        const values = [...minKeys, ...maxKeys].map(key => toNumber(rule[key]));
+        if (values.some(value => Number.isNaN(value) || value < 0)) {
+          return `${label} limits have to be positive numbers.`;
+        }
+        if (values.every(value => value === null)) {
+          return `Enter at least one ${label.toLowerCase()} limit.`;
+        }
+        const crossed = minKeys.some((key, i) => {
+          const min = toNumber(rule[key]);
+          const max = toNumber(rule[maxKeys[i]]);
+          return min !== null && max !== null && min > max;
+        });
+        if (crossed) return `${label} minimum is larger than the maximum.`;
+        break;
+      }
+      case FilterField.DATE: {
+        const from = parseDate(rule.from);
+        const to = parseDate(rule.to);
+        if (Number.isNaN(from) || Number.isNaN(to)) return 'Enter dates as YYYY-MM-DD.';
+        if (from === null && to === null) return 'Enter a start or end date.';
+        if (from !== null && to !== null && from > to) return 'The start date is after the end date.';
+        break;
+      }
+      case FilterField.ALBUM:
+        if (!rule.albumId) return 'Pick an album for the album condition.';
+        break;
+      case FilterField.FILENAME:
+        if (!rule.pattern?.trim()) return 'Enter a file name pattern.';
+        break;
+      default:
+        return `Unknown condition "${rule.field}".`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe a filter in a few words, e.g. "3 conditions · match all"
+ */
+export function describeSmartFilter(filter) {
+  const count = filter.rules.length;
+  const match = filter.combinator === FilterCombinator.OR ? 'match any' : 'match all';
+  return count === 1
+    ? FilterFieldLabels[filter.rules[0].field]
+    : `${count} conditions · ${match}`;
+}
+
+export function getSmartFilterModeKey(filter) {
+  return `${SMART_FILTER_MODE_PREFIX}${filter.id}`;
+}
+
+/**
+ * Get the filter id from a mode key, null for built-in modes
+ */
+export function getSmartFilterId(modeKey) {
+  return modeKey?.startsWith(SMART_FILTER_MODE_PREFIX)
+    ? modeKey.slice(SMART_FILTER_MODE_PREFIX.length)
+    : null;
+}
+
+/**
+ * Select the photos matching a smart filter, in library order
+ * @param {Array} photos - Categorized photos
+ * @param {Object} filter - Saved smart filter
+ * @returns {Promise<Array>} Matching photos
+ */
+export async function selectPhotosForSmartFilter(photos, filter) {
+  let albumMembers = new Map();
+  try {
+    // Assets only carry their album on Android, so membership is read from the library
+    const albumIds = filter.rules.filter(rule => rule.field === FilterField.ALBUM).map(rule => rule.albumId);
+    albumMembers = await loadAlbumAssetIds(albumIds);
+  } catch (error) {
+    console.error('Error loading album members for smart filter:', error);
+  }
+  return photos.filter(photo => matchesSmartFilter(photo, filter, { albumMembers }));
+}
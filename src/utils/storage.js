@@ -1,12 +1,21 @@
 // Storage utilities for managing photo cleanup and local caching
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { loadSettings, SettingKey } from './settings';
 
 const STORAGE_KEYS = {
   DELETED_PHOTOS: 'swipeclean:deleted_photos',
   FAVORITE_PHOTOS: 'swipeclean:favorite_photos',
   CLEANUP_HISTORY: 'swipeclean:cleanup_history',
   SETTINGS: 'swipeclean:settings',
+  SMART_FILTERS: 'swipeclean:smart_filters',
+  PROTECTED_ALBUMS: 'swipeclean:protected_albums',
+  UNDECIDED_PHOTOS: 'swipeclean:undecided_photos',
+  QUICK_ALBUMS: 'swipeclean:quick_albums',
+  UNDO_JOURNAL: 'swipeclean:undo_journal',
+  // Followed by ":<session key>", one entry per session so saving never has to read first
+  SAVED_SESSION: 'swipeclean:saved_session',
+  SESSION_QUEUE: 'swipeclean:session_queue',
 };
 
 /**
@@ -68,6 +77,21 @@ export async function saveFavoritePhoto(photo) {
   }
 }
 
+/**
+ * Remove a photo from favorites
+ */
+export async function removeFavoritePhoto(photoId) {
+  try {
+    const favorites = await getFavoritePhotos();
+    const filtered = favorites.filter(p => p.id !== photoId);
+    await AsyncStorage.setItem(STORAGE_KEYS.FAVORITE_PHOTOS, JSON.stringify(filtered));
+    return true;
+  } catch (error) {
+    console.error('Error removing favorite photo:', error);
+    return false;
+  }
+}
+
 /**
  * Get favorite photos
  */
@@ -91,8 +115,9 @@ export async function saveCleanupSession(stats) {
       ...stats,
       timestamp: Date.now(),
     });
-    // Keep only last 50 sessions
-    const recent = history.slice(-50);
+    // Keep only the most recent sessions
+    const settings = await loadSettings();
+    const recent = history.slice(-settings[SettingKey.HISTORY_LIMIT]);
     await AsyncStorage.setItem(STORAGE_KEYS.CLEANUP_HISTORY, JSON.stringify(recent));
   } catch (error) {
     console.error('Error saving cleanup session:', error);
@@ -119,10 +144,10 @@ export async function getCleanupHistory() {
 export async function getTotalStorageCleared() {
   try {
     const history = await getCleanupHistory();
-    // Sum up all storage from sessions where photos were actually deleted
-    // Only count sessions where storageCleared > 0 and deleted > 0
+    // Sum up all storage from sessions where photos were actually deleted or purged from the trash
+    // Only count sessions where storageCleared > 0 and deleted > 0 (or purged > 0)
     return history.reduce((total, session) => {
-      if (session.deleted > 0 && session.storageCleared > 0) {
+      if ((session.deleted > 0 || session.purged > 0) && session.storageCleared > 0) {
         const cleared = Number(session.storageCleared) || 0;
         return total + cleared;
       }
@@ -147,3 +172,310 @@ export async function getMarkedDeletionCount() {
   }
 }
 
+
+/**
+ * Get saved smart filters (custom cleanup modes)
+ */
+export async function getSmartFilters() {
+  try {
+    const data = await AsyncStorage.getItem(STORAGE_KEYS.SMART_FILTERS);
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    console.error('Error getting smart filters:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a saved smart filter by id
+ */
+export async function getSmartFilter(filterId) {
+  const filters = await getSmartFilters();
+  return filters.find(f => f.id === filterId) || null;
+}
+
+/**
+ * Save a smart filter, replacing the stored one with the same id
+ * @returns {Promise<Object|null>} The saved filter (with id), null on failure
+ */
+export async function saveSmartFilter(filter) {
+  try {
+    const filters = await getSmartFilters();
+    const saved = {
+      ...filter,
+      id: filter.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      updatedAt: Date.now(),
+    };
+    const index = filters.findIndex(f => f.id === saved.id);
+    if (index >= 0) {
+      filters[index] = saved;
+    } else {
+      filters.push(saved);
+    }
+    await AsyncStorage.setItem(STORAGE_KEYS.SMART_FILTERS, JSON.stringify(filters));
+    return saved;
+  } catch (error) {
+    console.error('Error saving smart filter:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete a smart filter
+ */
+export async function deleteSmartFilter(filterId) {
+  try {
+    const filters = await getSmartFilters();
+    const filtered = filters.filter(f => f.id !== filterId);
+    await AsyncStorage.setItem(STORAGE_KEYS.SMART_FILTERS, JSON.stringify(filtered));
+    return true;
+  } catch (error) {
+    console.error('Error deleting smart filter:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the albums protected from cleanup
+ * @returns {Promise<Array>} Albums {id, title}
+ */
+export async function getProtectedAlbums() {
+  try {
+    const data = await AsyncStorage.getItem(STORAGE_KEYS.PROTECTED_ALBUMS);
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    console.error('Error getting protected albums:', error);
+    return [];
+  }
+}
+
+/**
+ * Protect an album from cleanup, or lift its protection
+ */
+export async function setAlbumProtected(album, isProtected) {
+  try {
+    const albums = (await getProtectedAlbums()).filter(a => a.id !== album.id);
+    if (isProtected) {
+      albums.push({ id: album.id, title: album.title });
+    }
+    await AsyncStorage.setItem(STORAGE_KEYS.PROTECTED_ALBUMS, JSON.stringify(albums));
+    return true;
+  } catch (error) {
+    console.error('Error saving protected albums:', error);
+    return false;
+  }
+}
+
+/**
+ * Get stored settings, use loadSettings in settings.js for validated values with defaults
+ */
+export async function getStoredSettings() {
+  try {
+    const data = await AsyncStorage.getItem(STORAGE_KEYS.SETTINGS);
+    return data ? JSON.parse(data) : {};
+  } catch (error) {
+    console.error('Error getting settings:', error);
+    return {};
+  }
+}
+
+/**
+ * Store settings
+ */
+export async function saveStoredSettings(settings) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    return false;
+  }
+}
+
+/**
+ * Put a photo in the "decide later" queue, moving it to the end if it is already queued
+ */
+export async function saveUndecidedPhoto(photo) {
+  try {
+    const undecided = (await getUndecidedPhotos()).filter(p => p.id !== photo.id);
+    undecided.push({
+      ...photo,
+      queuedAt: Date.now(),
+    });
+    await AsyncStorage.setItem(STORAGE_KEYS.UNDECIDED_PHOTOS, JSON.stringify(undecided));
+  } catch (error) {
+    console.error('Error saving undecided photo:', error);
+  }
+}
+
+/**
+ * Get the "decide later" queue, oldest first
+ */
+export async function getUndecidedPhotos() {
+  try {
+    const data = await AsyncStorage.getItem(STORAGE_KEYS.UNDECIDED_PHOTOS);
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    console.error('Error getting undecided photos:', error);
+    return [];
+  }
+}
+
+/**
+ * Take a photo out of the "decide later" queue once it has been decided
+ */
+export async function removeUndecidedPhoto(photoId) {
+  try {
+    const undecided = await getUndecidedPhotos();
+    const filtered = undecided.filter(p => p.id !== photoId);
+    await AsyncStorage.setItem(STORAGE_KEYS.UNDECIDED_PHOTOS, JSON.stringify(filtered));
+    return true;
+  } catch (error) {
+    console.error('Error removing undecided photo:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the albums pinned for one-tap filing during a swipe session
+ * @returns {Promise<Array>} Albums {id, title}, in pinning order
+ */
+export async function getQuickAlbums() {
+  try {
+    const data = await AsyncStorage.getItem(STORAGE_KEYS.QUICK_ALBUMS);
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    console.error('Error getting quick albums:', error);
+    return [];
+  }
+}
+
+/**
+ * Pin an album for one-tap filing, or unpin it
+ * @returns {Promise<Array|null>} The quick albums after the change, null if saving failed
+ */
+export async function setQuickAlbumPinned(album, isPinned) {
+  try {
+    const albums = (await getQuickAlbums()).filter(a => a.id !== album.id);
+    if (isPinned) {
+      albums.push({ id: album.id, title: album.title });
+    }
+    await AsyncStorage.setItem(STORAGE_KEYS.QUICK_ALBUMS, JSON.stringify(albums));
+    return albums;
+  } catch (error) {
+    console.error('Error saving quick albums:', error);
+    return null;
+  }
+}
+
+/**
+ * Store the ordered photo ids of a swipe session, written once when it starts being saved
+ */
+export async function saveSessionQueue(sessionKey, photoIds) {
+  try {
+    await AsyncStorage.setItem(`${STORAGE_KEYS.SESSION_QUEUE}:${sessionKey}`, JSON.stringify(photoIds));
+  } catch (error) {
+    console.error('Error saving session queue:', error);
+  }
+}
+
+/**
+ * Get the ordered photo ids of a saved swipe session
+ * @returns {Promise<Array|null>} Photo ids, null if none are stored
+ */
+export async function getSessionQueue(sessionKey) {
+  try {
+    const data = await AsyncStorage.getItem(`${STORAGE_KEYS.SESSION_QUEUE}:${sessionKey}`);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    console.error('Error getting session queue:', error);
+    return null;
+  }
+}
+
+/**
+ * Store the progress of a swipe session (position, counts and decision history)
+ */
+export async function saveSessionProgress(sessionKey, progress) {
+  try {
+    await AsyncStorage.setItem(`${STORAGE_KEYS.SAVED_SESSION}:${sessionKey}`, JSON.stringify({
+      ...progress,
+      key: sessionKey,
+      updatedAt: Date.now(),
+    }));
+  } catch (error) {
+    console.error('Error saving session progress:', error);
+  }
+}
+
+/**
+ * Get the progress of a saved swipe session
+ * @returns {Promise<Object|null>} Progress, null if there is no unfinished session
+ */
+export async function getSessionProgress(sessionKey) {
+  try {
+    const data = await AsyncStorage.getItem(`${STORAGE_KEYS.SAVED_SESSION}:${sessionKey}`);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    console.error('Error getting session progress:', error);
+    return null;
+  }
+}
+
+/**
+ * Get every unfinished swipe session, most recently used first
+ */
+export async function getSavedSessions() {
+  try {
+    const prefix = `${STORAGE_KEYS.SAVED_SESSION}:`;
+    const keys = (await AsyncStorage.getAllKeys()).filter(key => key.startsWith(prefix));
+    const entries = await AsyncStorage.multiGet(keys);
+    return entries
+      .filter(([, data]) => data)
+      .map(([, data]) => JSON.parse(data))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch (error) {
+    console.error('Error getting saved sessions:', error);
+    return [];
+  }
+}
+
+/**
+ * Forget a swipe session once it is finished
+ */
+export async function clearSavedSession(sessionKey) {
+  try {
+    await AsyncStorage.multiRemove([
+      `${STORAGE_KEYS.SAVED_SESSION}:${sessionKey}`,
+      `${STORAGE_KEYS.SESSION_QUEUE}:${sessionKey}`,
+    ]);
+  } catch (error) {
+    console.error('Error clearing saved session:', error);
+  }
+}
+
+/**
+ * Get the stored undo/redo journal, use loadJournal in undoJournal.js instead
+ */
+export async function getStoredJournal() {
+  try {
+    const data = await AsyncStorage.getItem(STORAGE_KEYS.UNDO_JOURNAL);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    console.error('Error getting undo journal:', error);
+    return null;
+  }
+}
+
+/**
+ * Store the undo/redo journal
+ */
+export async function saveStoredJournal(journal) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.UNDO_JOURNAL, JSON.stringify(journal));
+    return true;
+  } catch (error) {
+    console.error('Error saving undo journal:', error);
+    return false;
+  }
+}
@@ -0,0 +1,97 @@
+// Thumbnail loading for pixel-based photo analysis
+// The native side downscales the image, JS only decodes a few thousand pixels
+// (requires expo-image-manipulator, so this fails in Expo Go and callers fall back to metadata)
+
+import * as MediaLibrary from 'expo-media-library';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import { File } from 'expo-file-system';
+import { decode as decodeJpeg } from 'jpeg-js';
+
+export const THUMBNAIL_SIZE = 64;
+
+/**
+ * Decode a base64 string into raw bytes
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Resolve a URI the image manipulator can read
+ * iOS library URIs (ph://) have to be converted to file:// first
+ */
+async function resolveLocalUri(photo) {
+  if (photo.uri && !photo.uri.startsWith('ph://')) {
+    return photo.uri;
+  }
+
+  const assetInfo = await MediaLibrary.getAssetInfoAsync(photo.id, {
+    shouldDownloadFromNetwork: false,
+  });
+  return assetInfo?.localUri || assetInfo?.uri || photo.uri;
+}
+
+/**
+ * Remove the temporary file written by the manipulator
+ */
+function discardTemporaryFile(uri) {
+  try {
+    const file = new File(uri);
+    if (file.exists) {
+      file.delete();
+    }
+  } catch (error) {
+    // Cache files are cleaned up by the OS eventually, nothing to do
+  }
+}
+
+/**
+ * Convert decoded RGBA pixels to luminance (ITU-R BT.601 weights)
+ */
+function toGrayscale({ width, height, data }) {
+  const pixels = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < pixels.length; i++, p += 4) {
+    pixels[i] = Math.round(0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]);
+  }
+  return { width, height, pixels };
+}
+
+/**
+ * Load a square grayscale thumbnail for a photo
+ * @param {Object} photo - Photo object with {id, uri}
+ * @param {number} size - Edge length of the thumbnail in pixels
+ * @param {Object} crop - Optional {originX, originY, width, height} region of the original to use
+ * @returns {Promise<Object>} {width, height, pixels} with row-major luminance values (0-255)
+ */
+export async function loadGrayscaleThumbnail(photo, size = THUMBNAIL_SIZE, crop = null) {
+  const uri = await resolveLocalUri(photo);
+  const context = ImageManipulator.manipulate(uri);
+  if (crop) {
+    context.crop(crop);
+  }
+  context.resize({ width: size, height: size });
+  let image = null;
+
+  try {
+    image = await context.renderAsync();
+    const result = await image.saveAsync({
+      format: SaveFormat.JPEG,
+      compress: 1,
+      base64: true,
+    });
+    discardTemporaryFile(result.uri);
+
+    const decoded = decodeJpeg(base64ToBytes(result.base64), { useTArray: true });
+    return toGrayscale(decoded);
+  } finally {
+    if (image) {
+      image.release();
+    }
+    context.release();
+  }
+}
@@ -0,0 +1,205 @@
+// Recoverable trash
+// With a retention period set, originals are copied into the app's document directory before
+// they are deleted from the library, and can be put back into the library until the period ends.
+// An index file lists what is in the trash. Expired items are purged whenever the Dashboard
+// loads, so the trash only takes storage for as long as the user asked for. The space is counted
+// as cleared when items leave the trash for good, not when they are deleted from the library.
+
+import * as MediaLibrary from 'expo-media-library';
+import { Directory, File, Paths } from 'expo-file-system';
+import { getSetting, SettingKey } from './settings';
+import { saveCleanupSession } from './storage';
+
+const TRASH_VERSION = 1;
+const TRASH_DIRECTORY_NAME = 'trash';
+const INDEX_FILE_NAME = 'index.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getTrashDirectory() {
+  return new Directory(Paths.document, TRASH_DIRECTORY_NAME);
+}
+
+function getTrashFile(item) {
+  return new File(getTrashDirectory(), item.fileName);
+}
+
+/**
+ * Read the index, returning an empty trash for missing, corrupt or outdated files
+ */
+async function readIndex() {
+  try {
+    const file = new File(getTrashDirectory(), INDEX_FILE_NAME);
+    if (file.exists) {
+      const data = JSON.parse(await file.text());
+      if (data.version === TRASH_VERSION) {
+        return data.items || [];
+      }
+    }
+  } catch (error) {
+    console.error('Error reading trash index:', error);
+  }
+  return [];
+}
+
+function writeIndex(items) {
+  try {
+    getTrashDirectory().create({ intermediates: true, idempotent: true });
+    new File(getTrashDirectory(), INDEX_FILE_NAME).write(JSON.stringify({ version: TRASH_VERSION, items }));
+  } catch (error) {
+    console.error('Error writing trash index:', error);
+  }
+}
+
+function deleteTrashFile(item) {
+  try {
+    const file = getTrashFile(item);
+    if (file.exists) file.delete();
+  } catch (error) {
+    console.error(`Error deleting ${item.fileName} from trash:`, error);
+  }
+}
+
+/**
+ * Count the space of items deleted for good as cleared
+ */
+async function recordPurged(items) {
+  if (items.length === 0) return;
+  await saveCleanupSession({
+    purged: items.length,
+    storageCleared: items.reduce((sum, item) => sum + item.size, 0),
+  });
+}
+
+/**
+ * Whether deleted photos go to the trash
+ */
+export function isTrashEnabled() {
+  return getSetting(SettingKey.TRASH_RETENTION_DAYS) > 0;
+}
+
+/**
+ * Copy originals into the trash, before they are deleted from the library
+ * @param {Array} photos - Photos about to be deleted
+ * @returns {Promise<Object>} {trashed, failed} photos, only trashed ones are safe to delete
+ */
+export async function copyToTrash(photos) {
+  const items = await readIndex();
+  const deletedAt = Date.now();
+  const expiresAt = deletedAt + getSetting(SettingKey.TRASH_RETENTION_DAYS) * DAY_MS;
+  const trashed = [];
+  const failed = [];
+
+  getTrashDirectory().create({ intermediates: true, idempotent: true });
+  for (const [index, photo] of photos.entries()) {
+    try {
+      // Downloads originals that are only in iCloud, so the copy is the full photo
+      const info = await MediaLibrary.getAssetInfoAsync(photo.id);
+      if (!info?.localUri) throw new Error('No local file');
+
+      const filename = info.filename || photo.filename || `${photo.id}`;
+      const item = {
+        fileName: `${deletedAt}-${index}-${filename.replace(/[\\/]/g, '_')}`,
+        photoId: photo.id,
+        filename,
+        mediaType: photo.mediaType,
+        size: Number(photo.size) || 0,
+        deletedAt,
+        expiresAt,
+      };
+      new File(info.localUri).copy(getTrashFile(item));
+      items.push(item);
+      trashed.push(photo);
+    } catch (error) {
+      console.error(`Error copying ${photo.id} to trash:`, error);
+      failed.push(photo);
+    }
+  }
+
+  writeIndex(items);
+  return { trashed, failed };
+}
+
+/**
+ * Take the copies of photos back out of the trash, when deleting them from the library didn't
+ * go through. The photos are still there, restoring the copies would duplicate them.
+ */
+export async function discardTrashCopies(photos) {
+  const ids = new Set(photos.map(photo => photo.id));
+  const items = await readIndex();
+  items.filter(item => ids.has(item.photoId)).forEach(deleteTrashFile);
+  writeIndex(items.filter(item => !ids.has(item.photoId)));
+}
+
+/**
+ * Get what is in the trash, most recently deleted first
+ * @returns {Promise<Array>} Items {fileName, photoId, filename, mediaType, size, deletedAt, expiresAt, uri}
+ */
+export async function getTrashItems() {
+  const items = await readIndex();
+  return items
+    .map(item => ({ ...item, uri: getTrashFile(item).uri }))
+    .sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * Number of items in the trash and the storage they take
+ */
+export async function getTrashSummary() {
+  const items = await readIndex();
+  return {
+    count: items.length,
+    size: items.reduce((sum, item) => sum + item.size, 0),
+  };
+}
+
+/**
+ * Put items back into the library and take them out of the trash
+ * @returns {Promise<number>} Number of items restored
+ */
+export async function restoreFromTrash(restoring) {
+  const keys = new Set(restoring.map(item => item.fileName));
+  let items = await readIndex();
+  let restored = 0;
+
+  for (const item of items.filter(item => keys.has(item.fileName))) {
+    try {
+      await MediaLibrary.createAssetAsync(getTrashFile(item).uri);
+      deleteTrashFile(item);
+      items = items.filter(i => i.fileName !== item.fileName);
+      restored++;
+    } catch (error) {
+      console.error(`Error restoring ${item.fileName}:`, error);
+    }
+  }
+
+  writeIndex(items);
+  return restored;
+}
+
+/**
+ * Delete items from the trash for good
+ */
+export async function deleteFromTrash(deleting) {
+  const keys = new Set(deleting.map(item => item.fileName));
+  const items = await readIndex();
+  const deleted = items.filter(item => keys.has(item.fileName));
+  deleted.forEach(deleteTrashFile);
+  writeIndex(items.filter(item => !keys.has(item.fileName)));
+  await recordPurged(deleted);
+}
+
+/**
+ * Delete items whose retention period has ended
+ * @returns {Promise<number>} Number of items purged
+ */
+export async function purgeExpiredTrash() {
+  const items = await readIndex();
+  const now = Date.now();
+  const expired = items.filter(item => item.expiresAt <= now);
+  if (expired.length > 0) {
+    expired.forEach(deleteTrashFile);
+    writeIndex(items.filter(item => item.expiresAt > now));
+    await recordPurged(expired);
+  }
+  return expired.length;
+}
@@ -0,0 +1,15 @@
+// "Decide later" sessions
+// Swiping a photo to the later action queues it instead of deciding. The queue is stored with
+// the other marks (see storage.js) and reviewed as a session of its own, in the order queued.
+
+export const UNDECIDED_MODE_KEY = 'undecided';
+
+/**
+ * Select the queued photos still in the library, in queue order
+ * @param {Array} photos - Analyzed photos
+ * @param {Array} queue - Photos from getUndecidedPhotos
+ */
+export function selectUndecidedPhotos(photos, queue) {
+  const photosById = new Map(photos.map(photo => [photo.id, photo]));
+  return queue.map(queued => photosById.get(queued.id)).filter(Boolean);
+}
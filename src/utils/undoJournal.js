@@ -0,0 +1,353 @@
+// Undo/redo journal
+// Every decision is recorded as a list of effects (mark for deletion, favorite, album move, ...)
+// that the journal carries out, and can revert and carry out again. The journal is stored under
+// STORAGE_KEYS.UNDO_JOURNAL and kept in memory once loaded, so undo and redo survive restarts
+// and every screen shares one history. Screens subscribe to changes instead of polling.
+
+import { useState, useEffect } from 'react';
+import {
+  getStoredJournal,
+  saveStoredJournal,
+  saveDeletedPhoto,
+  restorePhoto,
+  saveFavoritePhoto,
+  removeFavoritePhoto,
+  saveUndecidedPhoto,
+  removeUndecidedPhoto,
+} from './storage';
+import { addToAlbum, removeFromAlbum } from './albums';
+import { recordReview, removeReview } from './reviewedLedger';
+
+const MAX_ENTRIES = 100;
+// What the journal keeps of a photo: enough to mark, list and trash it again, not its analysis
+const STORED_PHOTO_FIELDS = ['id', 'uri', 'filename', 'mediaType', 'duration', 'size', 'creationTime'];
+
+export const JournalEffect = {
+  MARK_DELETED: 'mark_deleted', // {photos}
+  UNMARK_DELETED: 'unmark_deleted', // {photos}
+  FAVORITE: 'favorite', // {photo}
+  QUEUE_LATER: 'queue_later', // {photo}
+  UNQUEUE_LATER: 'unqueue_later', // {photo}
+  ALBUM: 'album', // {album, photos, inAlbum}
+  REVIEWED: 'reviewed', // {mode, photos, decision}
+};
+
+const ACTION_DESCRIPTIONS = {
+  delete: 'marked for deletion',
+  keep: 'kept',
+  favorite: 'favorited',
+  later: 'put off for later',
+  drop_twins: 'other formats marked for deletion',
+  unmark: 'unmarked for deletion',
+};
+const MAX_DESCRIBED = 5;
+
+/**
+ * How to carry out and revert each effect. Album moves can't be reverted on Android, so the
+ * effect tracks whether its photos are in the album right now.
+ */
+const EFFECTS = {
+  [JournalEffect.MARK_DELETED]: {
+    apply: async ({ photos }) => {
+      for (const photo of photos) await saveDeletedPhoto(photo);
+    },
+    revert: async ({ photos }) => {
+      for (const photo of photos) await restorePhoto(photo.id);
+    },
+  },
+  [JournalEffect.UNMARK_DELETED]: {
+    apply: async ({ photos }) => {
+      for (const photo of photos) await restorePhoto(photo.id);
+    },
+    revert: async ({ photos }) => {
+      for (const photo of photos) await saveDeletedPhoto(photo);
+    },
+  },
+  [JournalEffect.FAVORITE]: {
+    apply: ({ photo }) => saveFavoritePhoto(photo),
+    revert: ({ photo }) => removeFavoritePhoto(photo.id),
+  },
+  [JournalEffect.QUEUE_LATER]: {
+    apply: ({ photo }) => saveUndecidedPhoto(photo),
+    revert: ({ photo }) => removeUndecidedPhoto(photo.id),
+  },
+  [JournalEffect.UNQUEUE_LATER]: {
+    apply: ({ photo }) => removeUndecidedPhoto(photo.id),
+    revert: ({ photo }) => saveUndecidedPhoto(photo),
+  },
+  [JournalEffect.ALBUM]: {
+    apply: async (effect) => {
+      if (effect.inAlbum) return;
+      await addToAlbum(effect.photos, effect.album);
+      effect.inAlbum = true;
+    },
+    revert: async (effect) => {
+      if (effect.inAlbum && await removeFromAlbum(effect.photos, effect.album)) {
+        effect.inAlbum = false;
+      }
+    },
+  },
+  [JournalEffect.REVIEWED]: {
+    apply: ({ mode, photos, decision }) => recordReview(mode, photos, decision),
+    revert: ({ mode, photos }) => removeReview(mode.key, photos),
+  },
+};
+
+// entries[0..position) are done and can be undone, the rest were undone and can be redone
+let journal = { entries: [], position: 0 };
+let loadPromise = null;
+let pending = Promise.resolve();
+const listeners = new Set();
+
+/**
+ * Run journal changes one after another, so a quick second tap can't interleave with the first
+ */
+function enqueue(task) {
+  const run = pending.then(task);
+  pending = run.catch(() => {});
+  return run;
+}
+
+function getState() {
+  return {
+    undoCount: journal.position,
+    redoCount: journal.entries.length - journal.position,
+    nextUndo: journal.entries[journal.position - 1] || null,
+    nextRedo: journal.entries[journal.position] || null,
+  };
+}
+
+async function commit() {
+  await saveStoredJournal(journal);
+  const state = getState();
+  listeners.forEach(listener => listener(state));
+}
+
+/**
+ * Copy of a photo with only the fields effects need, so the stored journal stays small
+ */
+function toStoredPhoto(photo) {
+  const stored = {};
+  STORED_PHOTO_FIELDS.forEach(field => {
+    if (photo[field] !== undefined) stored[field] = photo[field];
+  });
+  return stored;
+}
+
+function toStoredEffect(effect) {
+  const stored = { ...effect };
+  if (effect.photo) stored.photo = toStoredPhoto(effect.photo);
+  if (effect.photos) stored.photos = effect.photos.map(toStoredPhoto);
+  return stored;
+}
+
+function getEntryPhotoIds(entry) {
+  return [
+    entry.photo?.id,
+    ...entry.effects.flatMap(effect => (effect.photos || [effect.photo]).map(photo => photo?.id)),
+  ].filter(Boolean);
+}
+
+async function applyEntry(entry) {
+  const applied = [];
+  try {
+    for (const effect of entry.effects) {
+      await EFFECTS[effect.type].apply(effect);
+      applied.push(effect);
+    }
+  } catch (error) {
+    // Leave nothing half done
+    for (const effect of applied.reverse()) {
+      await EFFECTS[effect.type].revert(effect);
+    }
+    throw error;
+  }
+}
+
+async function revertEntry(entry) {
+  for (const effect of [...entry.effects].reverse()) {
+    await EFFECTS[effect.type].revert(effect);
+  }
+}
+
+/**
+ * Load the journal from storage (only the first call reads, later calls share the result).
+ * A journal that can't be read is started empty and read again on the next call, so decisions
+ * keep working either way.
+ */
+export function loadJournal() {
+  if (!loadPromise) {
+    loadPromise = getStoredJournal()
+      .then(stored => {
+        if (Array.isArray(stored?.entries)) {
+          const entries = stored.entries.filter(entry => Array.isArray(entry?.effects));
+          journal = {
+            entries,
+            position: Math.min(Math.max(0, stored.position || 0), entries.length),
+          };
+        }
+      })
+      .catch(error => {
+        console.error('Error loading undo journal:', error);
+        loadPromise = null;
+      })
+      .then(() => {
+        const state = getState();
+        listeners.forEach(listener => listener(state));
+        return journal;
+      });
+  }
+  return loadPromise;
+}
+
+/**
+ * Carry out a decision and record it, dropping whatever could be redone
+ * @param {Object} decision - {action, photo, effects, context} where context is whatever the
+ *   screen needs to find its way back to the decision, e.g. the session it was made in
+ * @returns {Promise<Object>} The journal entry, with its id
+ */
+export function recordDecision({ action, photo, effects, context = null }) {
+  return enqueue(async () => {
+    await loadJournal();
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      action,
+      photo: toStoredPhoto(photo),
+      effects: effects.map(toStoredEffect),
+      context,
+      timestamp: Date.now(),
+    };
+    await applyEntry(entry);
+
+    const entries = [...journal.entries.slice(0, journal.position), entry].slice(-MAX_ENTRIES);
+    journal = { entries, position: entries.length };
+    await commit();
+    return entry;
+  });
+}
+
+/**
+ * Undo the last decisions
+ * @returns {Promise<Array>} The entries undone, most recent first
+ */
+export function undo(steps = 1) {
+  return enqueue(async () => {
+    await loadJournal();
+    const undone = [];
+    try {
+      while (undone.length < steps && journal.position > 0) {
+        const entry = journal.entries[journal.position - 1];
+        await revertEntry(entry);
+        journal = { ...journal, position: journal.position - 1 };
+        undone.push(entry);
+      }
+    } finally {
+      if (undone.length > 0) await commit();
+    }
+    return undone;
+  });
+}
+
+/**
+ * Redo decisions undone before
+ * @returns {Promise<Array>} The entries redone, oldest first
+ */
+export function redo(steps = 1) {
+  return enqueue(async () => {
+    await loadJournal();
+    const redone = [];
+    try {
+      while (redone.length < steps && journal.position < journal.entries.length) {
+        const entry = journal.entries[journal.position];
+        await applyEntry(entry);
+        journal = { ...journal, position: journal.position + 1 };
+        redone.push(entry);
+      }
+    } finally {
+      if (redone.length > 0) await commit();
+    }
+    return redone;
+  });
+}
+
+/**
+ * The entries undo would revert, without reverting them, e.g. to ask first
+ * @returns {Promise<Array>} Most recent first
+ */
+export function peekUndo(steps = 1) {
+  return enqueue(async () => {
+    await loadJournal();
+    return journal.entries.slice(Math.max(0, journal.position - steps), journal.position).reverse();
+  });
+}
+
+/**
+ * The entries redo would carry out again, without carrying them out
+ * @returns {Promise<Array>} Oldest first
+ */
+export function peekRedo(steps = 1) {
+  return enqueue(async () => {
+    await loadJournal();
+    return journal.entries.slice(journal.position, journal.position + steps);
+  });
+}
+
+/**
+ * Drop every decision on photos that are gone from the library, they can't be undone or redone
+ */
+export function forgetPhotos(photoIds) {
+  return enqueue(async () => {
+    await loadJournal();
+    const gone = new Set(photoIds);
+    const keep = entry => !getEntryPhotoIds(entry).some(id => gone.has(id));
+    journal = {
+      entries: journal.entries.filter(keep),
+      position: journal.entries.slice(0, journal.position).filter(keep).length,
+    };
+    await commit();
+  });
+}
+
+/**
+ * Say what decisions were, e.g. for asking before an undo reverts decisions made somewhere else
+ * @param {Array} entries - Journal entries
+ * @returns {string} One line per decision, the first few only
+ */
+export function describeEntries(entries) {
+  const lines = entries.slice(0, MAX_DESCRIBED).map(entry => {
+    const name = entry.photo?.filename || 'A photo';
+    const filing = entry.effects.find(effect => effect.type === JournalEffect.ALBUM);
+    const description = filing ? `moved to "${filing.album.title}"` : ACTION_DESCRIPTIONS[entry.action] || entry.action;
+    return `• ${name} ${description}`;
+  });
+  if (entries.length > MAX_DESCRIBED) {
+    lines.push(`and ${entries.length - MAX_DESCRIBED} more`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Get notified when the journal changes
+ * @param {Function} listener - Called with {undoCount, redoCount, nextUndo, nextRedo}
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToJournal(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Journal state for a component, re-rendering it when decisions are made, undone or redone
+ */
+export function useUndoJournal() {
+  const [state, setState] = useState(getState);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToJournal(setState);
+    setState(getState());
+    loadJournal();
+    return unsubscribe;
+  }, []);
+
+  return state;
+}